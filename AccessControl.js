@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Control de acceso por roles.
+ *
+ * - Hoja 'Roles': asigna a cada correo un rol y, para los roles por sucursal, las sucursales
+ *   que puede ver (una fila por sucursal o separadas por coma; 'TODAS' equivale a todas).
+ * - Hoja 'Permisos': una fila por permiso y una columna por rol; una 'x' concede el permiso.
+ *   Los permisos de AccessControl.DEFAULT_PERMISSIONS que falten se agregan con sus valores iniciales.
+ *
+ * Los usuarios sin fila en 'Roles' conservan el comportamiento anterior: quien está en
+ * 'Administradores' es analista de las sucursales que tenga en la hoja 'analista' y el resto
+ * es vendedor. Un administrador sin sucursales en 'analista' no ve ninguna: el alcance global
+ * se asigna solo en 'Roles'.
+ */
+
+class AccessControl {
+  /**
+   * Rol de un usuario según la hoja 'Roles' o, si no tiene fila, según 'Administradores'.
+   * @param {string} email
+   * @returns {string} Uno de AccessControl.ROLES.
+   */
+  static getRole(email) {
+    return AccessControl.roleResolver()(email).rol;
+  }
+
+  /**
+   * Lee una sola vez las hojas 'Roles', 'Administradores' y 'analista' y devuelve una función
+   * que resuelve el rol de cualquier correo (útil para listar muchos usuarios).
+   * @returns {function(string): {rol: string, sucursales: string[], asignado: boolean}}
+   */
+  static roleResolver() {
+    const read = (name, columns) => {
+      const sheet = SheetManager.getSheet(name);
+      return sheet.getLastRow() < 2 ? [] : sheet.getRange(2, 1, sheet.getLastRow() - 1, columns).getValues();
+    };
+    const asignaciones = {};
+    read('Roles', 3).forEach(([correo, rol, sucursales]) => {
+      const key = String(correo).trim().toLowerCase();
+      if (!key || asignaciones[key] || !AccessControl.ROLES.includes(String(rol).trim())) return;
+      asignaciones[key] = {
+        rol: String(rol).trim(),
+        sucursales: String(sucursales).split(',').map(s => s.trim()).filter(Boolean),
+        asignado: true
+      };
+    });
+    const admins = new Set(read('Administradores', 1).map(([correo]) => String(correo).trim().toLowerCase()));
+    const analistas = read('analista', 2)
+      .map(([sucursal, usuario]) => ({ sucursal: String(sucursal).trim(), usuario: String(usuario).trim().toLowerCase() }))
+      .filter(a => a.sucursal);
+
+    return (email) => {
+      const correo = String(email || '').trim().toLowerCase();
+      if (asignaciones[correo]) return asignaciones[correo];
+      if (!admins.has(correo)) return { rol: AccessControl.VENDEDOR, sucursales: [], asignado: false };
+      const localPart = correo.split('@')[0];
+      const sucursales = analistas.filter(a => a.usuario === correo || a.usuario === localPart).map(a => a.sucursal);
+      return {
+        rol: AccessControl.ANALISTA_SUCURSAL,
+        sucursales,
+        asignado: false
+      };
+    };
+  }
+
+  /**
+   * Filas de la hoja 'Roles' del usuario.
+   * @returns {{rol: string, sucursales: string[]}[]}
+   */
+  static getAssignments(email) {
+    const correo = String(email || '').trim().toLowerCase();
+    const sheet = SheetManager.getSheet('Roles');
+    if (!correo || sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues()
+      .filter(row => String(row[0]).trim().toLowerCase() === correo)
+      .map(row => ({
+        rol: String(row[1]).trim(),
+        sucursales: String(row[2]).split(',').map(s => s.trim()).filter(Boolean)
+      }))
+      .filter(a => {
+        if (AccessControl.ROLES.includes(a.rol)) return true;
+        Logger.error(`Rol desconocido en la hoja Roles para ${correo}: ${a.rol}`);
+        return false;
+      });
+  }
+
+  /**
+   * Sucursales asignadas a un analista en la hoja 'analista' (por correo o por la
+   * parte local del correo en `codigousuario`).
+   */
+  static getAnalystBranches(email) {
+    const correo = String(email || '').trim().toLowerCase();
+    const localPart = correo.split('@')[0];
+    const sheet = SheetManager.getSheet('analista');
+    if (sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues()
+      .map(row => ({ sucursal: String(row[0]).trim(), usuario: String(row[1]).trim().toLowerCase() }))
+      .filter(a => a.sucursal && (a.usuario === correo || a.usuario === localPart))
+      .map(a => a.sucursal);
+  }
+
+  /**
+   * Matriz de permisos: permiso -> roles que lo tienen. Se guarda 5 minutos en caché.
+   * Los permisos por defecto que falten en la hoja se agregan con sus valores iniciales.
+   * @returns {Object<string, string[]>}
+   */
+  static getPermissions() {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get(AccessControl.CACHE_KEY);
+    if (cached) return JSON.parse(cached);
+
+    const sheet = SheetManager.getSheet('Permisos');
+    AccessControl.seedPermissions(sheet);
+    const [header, ...rows] = sheet.getDataRange().getValues();
+    const permisos = {};
+    rows.forEach(row => {
+      const permiso = String(row[0]).trim();
+      if (!permiso) return;
+      permisos[permiso] = header
+        .map((rol, i) => ({ rol: String(rol).trim(), marcado: String(row[i]).trim().toLowerCase() }))
+        .filter(c => AccessControl.ROLES.includes(c.rol) && ['x', 'si', 'sí', 'true'].includes(c.marcado))
+        .map(c => c.rol);
+    });
+    cache.put(AccessControl.CACHE_KEY, JSON.stringify(permisos), 300);
+    return permisos;
+  }
+
+  static seedPermissions(sheet) {
+    const existentes = sheet.getLastRow() < 2 ? [] : sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+      .map(([permiso]) => String(permiso).trim());
+    const faltantes = Object.keys(AccessControl.DEFAULT_PERMISSIONS).filter(p => !existentes.includes(p));
+    if (faltantes.length === 0) return;
+    const rows = faltantes.map(permiso => [
+      permiso,
+      ...AccessControl.ROLES.map(rol => AccessControl.DEFAULT_PERMISSIONS[permiso].includes(rol) ? 'x' : '')
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  static hasPermission(role, permiso) {
+    return (AccessControl.getPermissions()[permiso] || []).includes(role);
+  }
+
+  static assertPermission(user, permiso) {
+    if (!AccessControl.hasPermission(user.role, permiso)) {
+      Logger.log(`Acceso denegado a ${user.email} (${user.role}) para ${permiso}.`);
+      AuditLog.record(user, 'acceso.denegado', 'Permiso', permiso);
+      throw new Error('No tiene permiso para realizar esta acción.');
+    }
+  }
+
+  /**
+   * Rol con el que el usuario participa en el ciclo de estados de PaymentStatus:
+   * 'Analista' si puede revisar registros, 'Vendedor' si no.
+   */
+  static statusActor(role) {
+    return AccessControl.hasPermission(role, 'revision.estado') ? 'Analista' : 'Vendedor';
+  }
+
+  /**
+   * Sucursales que puede ver el usuario.
+   * @param {Object} user El usuario de la sesión.
+   * @returns {{all: boolean, branches: string[]}} Para vendedores `branches` queda vacío:
+   *     su alcance son los vendedores asignados a su correo.
+   */
+  static getBranchScope(user) {
+    const todas = () => {
+      const branches = new DataFetcher().fetchAllVendedoresFromSheet().map(v => v.sucursal);
+      return { all: true, branches: [...new Set(branches)].sort() };
+    };
+    if (AccessControl.GLOBAL_ROLES.includes(user.role)) return todas();
+    if (!AccessControl.BRANCH_ROLES.includes(user.role)) return { all: false, branches: [] };
+
+    let sucursales = AccessControl.getAssignments(user.email)
+      .reduce((all, a) => all.concat(a.sucursales), []);
+    if (sucursales.length === 0 && user.role === AccessControl.ANALISTA_SUCURSAL) {
+      sucursales = AccessControl.getAnalystBranches(user.email);
+    }
+    if (sucursales.includes('TODAS')) return todas();
+    return { all: false, branches: [...new Set(sucursales)].sort() };
+  }
+
+  static canAccessBranch(user, sucursal) {
+    const scope = AccessControl.getBranchScope(user);
+    return scope.all || scope.branches.includes(String(sucursal || '').trim());
+  }
+
+  /**
+   * Vendedores cuyos registros puede ver el usuario: los asignados a su correo y, para los
+   * roles por sucursal, todos los de sus sucursales.
+   * @returns {{nombre: string, codigo: string, sucursal: string}[]}
+   */
+  static visibleVendors(user) {
+    const dataFetcher = new DataFetcher();
+    const scope = AccessControl.getBranchScope(user);
+    if (scope.all) return dataFetcher.fetchAllVendedoresFromSheet();
+    const propios = dataFetcher.fetchVendedoresFromSheetByUser(user.email)
+      .map(({ nombre, codigo, sucursal }) => ({ nombre, codigo, sucursal }));
+    if (scope.branches.length === 0) return propios;
+    const codigos = new Set(propios.map(v => v.codigo));
+    return propios.concat(dataFetcher.fetchAllVendedoresFromSheet()
+      .filter(v => scope.branches.includes(v.sucursal) && !codigos.has(v.codigo)));
+  }
+
+  /**
+   * Nombres de vendedor para filtrar registros, o null si el usuario ve todos.
+   * @param {Object} user
+   * @param {string} [vendedor] Código del vendedor elegido o 'Mostrar todos'.
+   * @returns {string[]|null}
+   */
+  static vendorFilter(user, vendedor) {
+    const visibles = AccessControl.visibleVendors(user);
+    if (vendedor && vendedor !== 'Mostrar todos') {
+      const elegido = visibles.find(v => v.codigo === vendedor);
+      if (!elegido) throw new Error('No tiene acceso a los registros de ese vendedor.');
+      return [elegido.nombre];
+    }
+    return AccessControl.getBranchScope(user).all ? null : visibles.map(v => v.nombre);
+  }
+
+  static assertVendor(user, codVendedor) {
+    if (!AccessControl.visibleVendors(user).some(v => v.codigo === String(codVendedor || '').trim())) {
+      throw new Error('No tiene acceso a ese vendedor.');
+    }
+  }
+
+  /**
+   * Verifica que el usuario pueda ver un registro: es su creador, pertenece a uno de sus
+   * vendedores o a una de sus sucursales.
+   * @param {Object} user
+   * @param {Object} data Registro indexado por encabezado.
+   */
+  static assertRecordAccess(user, data) {
+    if (data['Usuario Creador'] === user.email) return;
+    if (AccessControl.BRANCH_ROLES.concat(AccessControl.GLOBAL_ROLES).includes(user.role)
+        && AccessControl.canAccessBranch(user, data.Sucursal)) return;
+    if (AccessControl.visibleVendors(user).some(v => v.nombre === data.Vendedor)) return;
+    throw new Error('No tienes permiso para consultar este registro.');
+  }
+}
+AccessControl.VENDEDOR = 'Vendedor';
+AccessControl.SUPERVISOR = 'Supervisor';
+AccessControl.ANALISTA_SUCURSAL = 'Analista de sucursal';
+AccessControl.ANALISTA_GLOBAL = 'Analista global';
+AccessControl.ADMIN = 'Admin';
+AccessControl.ROLES = ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'];
+AccessControl.BRANCH_ROLES = ['Supervisor', 'Analista de sucursal'];
+AccessControl.GLOBAL_ROLES = ['Analista global', 'Admin'];
+AccessControl.CACHE_KEY = 'rbac_permisos';
+// Permisos con los que se inicializa la hoja 'Permisos'.
+AccessControl.DEFAULT_PERMISSIONS = {
+  'catalogos.ver': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'registros.enviar': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'registros.ver': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'registros.eliminar': ['Vendedor', 'Supervisor', 'Admin'],
+  'registros.restaurar': ['Analista de sucursal', 'Analista global', 'Admin'],
+  'registros.editar': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'registros.reenviar': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'reportes.pdf': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'reportes.exportar': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'reportes.kpi': ['Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'reportes.suscripciones': ['Admin'],
+  'cartera.ver': ['Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'],
+  'revision.ver': ['Analista de sucursal', 'Analista global', 'Admin'],
+  'revision.estado': ['Analista de sucursal', 'Analista global', 'Admin'],
+  'conciliacion': ['Analista de sucursal', 'Analista global', 'Admin'],
+  'efactory.registrar': ['Analista de sucursal', 'Analista global', 'Admin'],
+  'admin.usuarios': ['Admin'],
+  'seguridad.2fa': ['Analista de sucursal', 'Analista global', 'Admin'],
+  'auditoria.ver': ['Admin']
+};
+
+/**
+ * Recarga la matriz de permisos tras editar la hoja 'Permisos' (si no, se toma en 5 minutos).
+ */
+function recargarPermisos() {
+  CacheService.getScriptCache().remove(AccessControl.CACHE_KEY);
+  Logger.log(JSON.stringify(AccessControl.getPermissions()));
+}
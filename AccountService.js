@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Gestión de cuentas de la hoja 'Usuarios': cambio de contraseña, restablecimiento
+ * con códigos de un solo uso enviados por correo (ver MailSender.js) y la consola de
+ * administración (activar, desactivar, desbloquear, asignar roles y cerrar sesiones; ver
+ * SessionStore.js). Cada acción queda en
+ * el registro de auditoría (AuditLog.js).
+ */
+
+class AccountService {
+  /**
+   * @param {MailSender} [mailSender]
+   */
+  constructor(mailSender) {
+    this.mailSender = mailSender;
+  }
+
+  static getSheet() {
+    return SheetManager.getSheet('Usuarios');
+  }
+
+  static column(name) {
+    return SheetManager.SHEET_CONFIG['Usuarios'].headers.indexOf(name) + 1;
+  }
+
+  /**
+   * Ubica la fila de un usuario por correo.
+   * @returns {{row: number, correo: string, hash: string, estado: string, nombre: string}|null}
+   */
+  static findUser(email) {
+    const correo = String(email || '').trim().toLowerCase();
+    const sheet = AccountService.getSheet();
+    if (!correo || sheet.getLastRow() < 2) return null;
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+    const index = values.findIndex(row => String(row[0]).trim().toLowerCase() === correo);
+    if (index < 0) return null;
+    const [, hash, estado, nombre] = values[index];
+    return { row: index + 2, correo, hash: String(hash), estado: String(estado), nombre: String(nombre) };
+  }
+
+  /**
+   * Bloquea temporalmente una cuenta por intentos fallidos de login (LoginThrottle.LOCKOUT_SECONDS).
+   * No cambia su estado en la hoja ni cierra sus sesiones: el bloqueo vence solo.
+   * @param {Object} cuenta Resultado de findUser.
+   * @param {Object} contexto Intentos y origen.
+   */
+  static lock(cuenta, contexto) {
+    LoginThrottle.lockAccount(cuenta.correo);
+    AuditLog.record(cuenta.correo, 'cuenta.bloqueo', 'Usuario', cuenta.correo, null, null,
+      Object.assign({}, contexto, { minutos: LoginThrottle.LOCKOUT_SECONDS / 60 }));
+    Logger.log(`Cuenta bloqueada temporalmente por intentos fallidos: ${cuenta.correo}`);
+  }
+
+  static setPassword(cuenta, password) {
+    AccountService.getSheet().getRange(cuenta.row, AccountService.column('Contraseña')).setValue(hashPassword(password));
+  }
+
+  /**
+   * Cambio de contraseña por el propio usuario.
+   * @param {Object} user El usuario de la sesión.
+   */
+  changePassword(user, actual, nueva) {
+    const cuenta = AccountService.findUser(user.email);
+    if (!cuenta) throw new Error('No se encontró su cuenta.');
+    if (!verifyPassword(String(actual || ''), cuenta.hash).valid) {
+      AuditLog.record(user, 'cuenta.cambioContrasena.fallido', 'Usuario', cuenta.correo);
+      throw new Error('La contraseña actual no es correcta.');
+    }
+    validatePassword(nueva, cuenta.correo);
+    AccountService.setPassword(cuenta, nueva);
+    // La sesión actual sigue abierta; las demás (otros dispositivos, un token robado) se cierran.
+    const sesiones = SessionStore.revokeOthers(cuenta.correo, user.sessionId, cuenta.correo);
+    AuditLog.record(user, 'cuenta.cambioContrasena', 'Usuario', cuenta.correo, null, null, { sesionesCerradas: sesiones });
+    return sesiones > 0 ? `Contraseña actualizada. Se cerraron ${sesiones} sesiones en otros dispositivos.` : 'Contraseña actualizada.';
+  }
+
+  /**
+   * Genera un código de restablecimiento y lo envía al correo de la cuenta.
+   * La respuesta es la misma exista o no la cuenta, para no revelar qué correos están registrados.
+   * Por cuenta se envían como mucho RESET_MAX_REQUESTS códigos sin pausas de RESET_WINDOW_SECONDS,
+   * y ninguno mientras la cuenta acumule RESET_MAX_ATTEMPTS intentos fallidos en esa ventana.
+   */
+  requestReset(email) {
+    const cuenta = AccountService.findUser(email);
+    const respuesta = 'Si el correo está registrado, recibirá un código para restablecer la contraseña.';
+    if (!cuenta || cuenta.estado === AccountService.INACTIVO) {
+      AuditLog.record(String(email || ''), 'cuenta.restablecer.solicitud', 'Usuario', String(email || ''), null, null, { enviado: false });
+      return respuesta;
+    }
+    const cache = CacheService.getScriptCache();
+    const solicitudesKey = AccountService.resetKey(cuenta.correo, 'sol_');
+    const solicitudes = Number(cache.get(solicitudesKey)) || 0;
+    const fallos = Number(cache.get(AccountService.resetKey(cuenta.correo, 'fallos_'))) || 0;
+    if (solicitudes >= AccountService.RESET_MAX_REQUESTS || fallos >= AccountService.RESET_MAX_ATTEMPTS) {
+      AuditLog.record(cuenta.correo, 'cuenta.restablecer.solicitud', 'Usuario', cuenta.correo, null, null,
+        { enviado: false, motivo: 'limite', solicitudes, fallos });
+      return respuesta;
+    }
+    // Como en LoginThrottle, la ventana se reinicia con cada solicitud.
+    cache.put(solicitudesKey, String(solicitudes + 1), AccountService.RESET_WINDOW_SECONDS);
+
+    const codigo = AccountService.generateCode();
+    cache.put(AccountService.resetKey(cuenta.correo),
+      JSON.stringify({ hash: AccountService.hashCode(cuenta.correo, codigo) }),
+      AccountService.RESET_TTL_SECONDS);
+    (this.mailSender || new MailSender()).send({
+      to: cuenta.correo,
+      subject: 'Código para restablecer su contraseña',
+      body: `Hola ${cuenta.nombre || ''},\n\nSu código para restablecer la contraseña de Conciliapp es: ${codigo}\n\n` +
+        `Vence en ${AccountService.RESET_TTL_SECONDS / 60} minutos y solo puede usarse una vez. ` +
+        'Si no lo solicitó, ignore este mensaje.'
+    });
+    AuditLog.record(cuenta.correo, 'cuenta.restablecer.solicitud', 'Usuario', cuenta.correo, null, null, { enviado: true });
+    return respuesta;
+  }
+
+  /**
+   * Restablece la contraseña con un código de requestReset. El código se invalida al usarse
+   * o al llegar la cuenta a AccountService.RESET_MAX_ATTEMPTS intentos fallidos; los intentos
+   * se cuentan por cuenta durante RESET_WINDOW_SECONDS, no por código, así que pedir un código
+   * nuevo no los reinicia.
+   */
+  resetPassword(email, codigo, nueva) {
+    const cuenta = AccountService.findUser(email);
+    const cache = CacheService.getScriptCache();
+    const key = cuenta ? AccountService.resetKey(cuenta.correo) : null;
+    const pendiente = key ? JSON.parse(cache.get(key) || 'null') : null;
+    if (!pendiente) throw new Error('El código no es válido o ya venció. Solicite uno nuevo.');
+
+    const fallosKey = AccountService.resetKey(cuenta.correo, 'fallos_');
+    if (pendiente.hash !== AccountService.hashCode(cuenta.correo, String(codigo || '').trim())) {
+      const intentos = (Number(cache.get(fallosKey)) || 0) + 1;
+      cache.put(fallosKey, String(intentos), AccountService.RESET_WINDOW_SECONDS);
+      if (intentos >= AccountService.RESET_MAX_ATTEMPTS) cache.remove(key);
+      AuditLog.record(cuenta.correo, 'cuenta.restablecer.fallido', 'Usuario', cuenta.correo, null, null, { intentos });
+      throw new Error('El código no es válido o ya venció. Solicite uno nuevo.');
+    }
+
+    validatePassword(nueva, cuenta.correo);
+    cache.removeAll([key, fallosKey]);
+    AccountService.setPassword(cuenta, nueva);
+    const sesiones = SessionStore.revoke(cuenta.correo, null, cuenta.correo);
+    // Restablecer la contraseña por correo también desbloquea la cuenta.
+    LoginThrottle.clearAccount(cuenta.correo);
+    if (cuenta.estado === AccountService.BLOQUEADO) {
+      AccountService.getSheet().getRange(cuenta.row, AccountService.column('Estado')).setValue(AccountService.ACTIVO);
+    }
+    AuditLog.record(cuenta.correo, 'cuenta.restablecer', 'Usuario', cuenta.correo,
+      { estado: cuenta.estado }, { estado: cuenta.estado === AccountService.BLOQUEADO ? AccountService.ACTIVO : cuenta.estado },
+      { sesionesCerradas: sesiones });
+    return 'Contraseña restablecida. Ya puede iniciar sesión.';
+  }
+
+  /**
+   * Usuarios de la hoja con su estado y rol, para la consola de administración.
+   */
+  listUsers() {
+    const sheet = AccountService.getSheet();
+    if (sheet.getLastRow() < 2) return [];
+    const resolve = AccessControl.roleResolver();
+    const tz = Session.getScriptTimeZone();
+    const sesiones = SessionStore.countActive();
+    const sheet2fa = SheetManager.getSheet('SegundoFactor');
+    const con2fa = sheet2fa.getLastRow() < 2 ? [] : sheet2fa.getRange(2, 1, sheet2fa.getLastRow() - 1, 1).getValues()
+      .map(([correo]) => String(correo).trim().toLowerCase());
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues()
+      .filter(row => row[0])
+      .map(([correo, , estado, nombre, fechaRegistro]) => {
+        const rol = resolve(correo);
+        return {
+          correo: String(correo).trim().toLowerCase(),
+          nombre: String(nombre),
+          estado: String(estado),
+          rol: rol.rol,
+          sucursales: rol.sucursales,
+          rolAsignado: rol.asignado,
+          sesiones: sesiones[String(correo).trim().toLowerCase()] || 0,
+          dosPasos: con2fa.includes(String(correo).trim().toLowerCase()),
+          fechaRegistro: fechaRegistro instanceof Date ? Utilities.formatDate(fechaRegistro, tz, 'dd/MM/yyyy') : String(fechaRegistro)
+        };
+      });
+  }
+
+  /**
+   * Cambia el estado de una cuenta ('activo' o 'inactivo'). Desbloquear es pasar a 'activo'.
+   * Desactivar una cuenta cierra de inmediato sus sesiones abiertas.
+   * @param {Object} admin El usuario de la sesión.
+   */
+  setStatus(admin, email, estado) {
+    if (![AccountService.ACTIVO, AccountService.INACTIVO].includes(estado)) {
+      throw new Error(`Estado inválido: ${estado}`);
+    }
+    const cuenta = AccountService.findUser(email);
+    if (!cuenta) throw new Error(`No existe el usuario ${email}.`);
+    if (cuenta.correo === admin.email && estado !== AccountService.ACTIVO) {
+      throw new Error('No puede desactivar su propia cuenta.');
+    }
+    if (cuenta.estado === estado) return `La cuenta ya está ${estado}.`;
+    AccountService.getSheet().getRange(cuenta.row, AccountService.column('Estado')).setValue(estado);
+    if (estado === AccountService.ACTIVO) LoginThrottle.clearAccount(cuenta.correo);
+    const sesiones = estado === AccountService.INACTIVO ? SessionStore.revoke(cuenta.correo, null, admin.email) : 0;
+    const accion = cuenta.estado === AccountService.BLOQUEADO && estado === AccountService.ACTIVO
+      ? 'usuario.desbloquear' : 'usuario.estado';
+    AuditLog.record(admin, accion, 'Usuario', cuenta.correo, { estado: cuenta.estado }, { estado },
+      sesiones ? { sesionesCerradas: sesiones } : null);
+    return `Cuenta de ${cuenta.correo}: ${estado}.`;
+  }
+
+  /**
+   * Asigna un rol (y sus sucursales) reemplazando las filas del usuario en la hoja 'Roles'.
+   * @param {Object} admin El usuario de la sesión.
+   * @param {string} email
+   * @param {string} rol Uno de AccessControl.ROLES.
+   * @param {string[]|string} [sucursales] Para Supervisor y Analista de sucursal.
+   */
+  assignRole(admin, email, rol, sucursales) {
+    if (!AccessControl.ROLES.includes(rol)) throw new Error(`Rol desconocido: ${rol}`);
+    const cuenta = AccountService.findUser(email);
+    if (!cuenta) throw new Error(`No existe el usuario ${email}.`);
+    const lista = (Array.isArray(sucursales) ? sucursales : String(sucursales || '').split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+    if (rol === AccessControl.SUPERVISOR && lista.length === 0) {
+      throw new Error('Indique al menos una sucursal para el supervisor.');
+    }
+    if (cuenta.correo === admin.email && rol !== admin.role) {
+      throw new Error('No puede cambiar su propio rol.');
+    }
+
+    const antes = AccessControl.roleResolver()(cuenta.correo);
+    const sheet = SheetManager.getSheet('Roles');
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+          .map((row, i) => String(row[0]).trim().toLowerCase() === cuenta.correo ? i + 2 : 0)
+          .filter(Boolean)
+          .reverse()
+          .forEach(row => sheet.deleteRow(row));
+      }
+      sheet.appendRow([cuenta.correo, rol, lista.join(',')]);
+    } finally {
+      lock.releaseLock();
+    }
+    // Las sesiones abiertas toman el nuevo rol; las sucursales se resuelven en cada consulta.
+    SessionStore.updateRole(cuenta.correo, rol);
+    AuditLog.record(admin, 'usuario.rol', 'Usuario', cuenta.correo,
+      { rol: antes.rol, sucursales: antes.sucursales }, { rol, sucursales: lista });
+    return `Rol de ${cuenta.correo}: ${rol}.`;
+  }
+
+  /**
+   * Sesiones activas de un usuario.
+   * @param {string} email
+   */
+  listSessions(email) {
+    return SessionStore.listActive(email);
+  }
+
+  /**
+   * Cierra sesiones de un usuario: la indicada por id o, si no se indica, todas.
+   * @param {Object} actor El usuario de la sesión (el propio usuario o un administrador).
+   * @param {string} email
+   * @param {string} [id] Identificador corto de la sesión (ver SessionStore.listActive).
+   */
+  revokeSessions(actor, email, id) {
+    const correo = String(email || '').trim().toLowerCase();
+    const total = SessionStore.revoke(correo, id || null, actor.email);
+    if (id && total === 0) throw new Error('La sesión no existe o ya fue cerrada.');
+    AuditLog.record(actor, 'sesion.revocar', 'Usuario', correo, null, null, { id: id || 'todas', sesiones: total });
+    return total === 1 ? 'Se cerró 1 sesión.' : `Se cerraron ${total} sesiones.`;
+  }
+
+  /** Código numérico de AccountService.CODE_LENGTH dígitos a partir de un UUID aleatorio. */
+  static generateCode() {
+    const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid());
+    return bytes.slice(0, AccountService.CODE_LENGTH)
+      .map(b => String((b & 0xff) % 10))
+      .join('');
+  }
+
+  static hashCode(correo, codigo) {
+    const secret = PropertiesService.getScriptProperties().getProperty(SECRET_KEY_PROPERTY);
+    return Utilities.base64Encode(Utilities.computeHmacSha256Signature(`${correo}|${codigo}`, secret));
+  }
+
+  /** Clave de caché del código pendiente o, con `tipo`, de sus contadores ('sol_', 'fallos_'). */
+  static resetKey(correo, tipo = '') {
+    return `reset_${tipo}${Utilities.base64EncodeWebSafe(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, correo))}`;
+  }
+}
+AccountService.ACTIVO = 'activo';
+AccountService.INACTIVO = 'inactivo';
+AccountService.BLOQUEADO = 'bloqueado';
+AccountService.CODE_LENGTH = 6;
+AccountService.RESET_TTL_SECONDS = 15 * 60;
+AccountService.RESET_MAX_ATTEMPTS = 5;
+AccountService.RESET_MAX_REQUESTS = 3;
+AccountService.RESET_WINDOW_SECONDS = 60 * 60;
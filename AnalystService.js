@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Servicio de la cola de revisión del analista.
+ * Lee los registros de todas las particiones, los filtra por estado y sucursal
+ * según el alcance de sucursales del usuario (ver AccessControl.js), y actualiza
+ * el estado de revisión de cada registro ubicándolo por su `id_registro`.
+ */
+
+class AnalystService {
+  constructor(dataFetcher) {
+    this.dataFetcher = dataFetcher;
+    this.MAX_REGISTROS = 200;
+  }
+
+  /**
+   * Determina las sucursales que puede revisar un analista (ver AccessControl.getBranchScope).
+   * @param {Object} user El usuario de la sesión.
+   * @returns {{all: boolean, branches: string[]}} El alcance del analista.
+   */
+  getBranchScope(user) {
+    return AccessControl.getBranchScope(user);
+  }
+
+  /**
+   * Devuelve la etiqueta de sucursal que usa la vista del analista.
+   * @param {Object} user El usuario de la sesión.
+   * @returns {string} 'TODAS' para alcance global, o la primera sucursal asignada.
+   */
+  getBranchLabel(user) {
+    const scope = this.getBranchScope(user);
+    return scope.all ? 'TODAS' : (scope.branches[0] || '');
+  }
+
+  getAvailableBranches(user) {
+    return this.getBranchScope(user).branches;
+  }
+
+  /**
+   * Obtiene los registros de la cola de revisión.
+   * @param {Object} user El usuario de la sesión.
+   * @param {{status: string, branch: string}} filters Estado ('Todos' para no filtrar) y sucursal ('TODAS' para todo el alcance).
+   * @returns {Object[]} Registros listos para enviarse al cliente.
+   */
+  getRecords(user, filters = {}) {
+    const scope = this.getBranchScope(user);
+    const status = filters.status || 'Pendiente';
+    const branch = filters.branch || 'TODAS';
+
+    if (branch !== 'TODAS' && !scope.all && !scope.branches.includes(branch)) {
+      throw new Error(`No tiene acceso a la sucursal ${branch}.`);
+    }
+
+    // La sucursal se filtra en el índice; el estado, que no está en él, sobre los registros leídos.
+    const records = RecordIndex.latestRecords(this.MAX_REGISTROS,
+      entry => {
+        const sucursal = entry.sucursal.trim();
+        if (branch !== 'TODAS') return sucursal === branch;
+        return scope.all || scope.branches.includes(sucursal);
+      },
+      data => status === 'Todos' || AnalystService.statusOf(data) === status)
+      .map(r => r.data);
+
+    return records.map(data => AnalystService.toClientRecord(data, user.role));
+  }
+
+  /**
+   * Cambia el estado de revisión de un registro.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @param {string} newStatus El nuevo estado.
+   * @param {string} [comment] Comentario del analista (obligatorio al rechazar).
+   * @returns {string} Mensaje de confirmación.
+   */
+  updateStatus(user, idRegistro, newStatus, comment) {
+    const scope = this.getBranchScope(user);
+    PaymentStatus.transition(user, idRegistro, newStatus, comment, (found) => {
+      const sucursal = String(found.data.Sucursal || '').trim();
+      if (!scope.all && !scope.branches.includes(sucursal)) {
+        throw new Error('No tiene permiso para revisar registros de esta sucursal.');
+      }
+    });
+    return `Registro marcado como ${newStatus}.`;
+  }
+
+  /**
+   * Devuelve el historial de estados de un registro dentro del alcance del analista.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @returns {Object[]} Entradas del historial.
+   */
+  getHistory(user, idRegistro) {
+    const found = RecordRepository.findById(idRegistro);
+    if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+    const scope = this.getBranchScope(user);
+    if (!scope.all && !scope.branches.includes(String(found.data.Sucursal || '').trim())) {
+      throw new Error('No tiene permiso para ver registros de esta sucursal.');
+    }
+    return StatusHistory.getFor(idRegistro);
+  }
+
+  static statusOf(data) {
+    return PaymentStatus.normalize(data.EstadoAnalista);
+  }
+
+  /**
+   * Convierte un registro en un objeto serializable para google.script.run
+   * (las fechas viajan como ISO) con los campos que espera AnalystView.
+   * @param {Object} data Registro indexado por encabezado.
+   * @param {string} role Rol del usuario, para calcular las transiciones disponibles.
+   */
+  static toClientRecord(data, role) {
+    const record = {};
+    Object.keys(data).forEach(key => {
+      const value = data[key];
+      record[key] = value instanceof Date ? value.toISOString() : value;
+    });
+    record['ID Registro'] = data.id_registro;
+    record.EstadoRegistro = AnalystService.statusOf(data);
+    record.recordIdentifier = data.id_registro;
+    record.transiciones = PaymentStatus.allowedTransitions(record.EstadoRegistro, role);
+    return record;
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Registro de auditoría de acciones de los usuarios en la hoja 'RegistroAuditoria'.
+ * A diferencia de la hoja 'Auditoria' (el log técnico de Logger), cada fila identifica quién
+ * hizo qué sobre qué entidad, con los valores antes y después del cambio.
+ *
+ * withAuth fija el usuario de la sesión al inicio de cada llamada (AuditLog.begin): los eventos
+ * y las líneas de Logger de esa ejecución se atribuyen a ese usuario y el contexto incluye la
+ * sesión y el permiso usado. Fuera de una llamada autenticada (triggers, editor) el actor es la
+ * cuenta que ejecuta el script.
+ *
+ * Rotación (trigger diario, ver crearTriggerRotacionAuditoria):
+ * - los eventos con más de AUDITORIA_DIAS_ACTIVOS días (90 por defecto) pasan del libro principal
+ *   a hojas mensuales 'Auditoria_yyyy_MM' del libro de archivo (ARCHIVO_SPREADSHEET_ID);
+ * - las hojas mensuales con más de AUDITORIA_RETENCION_MESES meses (24 por defecto) se eliminan;
+ * - del log técnico 'Auditoria' se borran las líneas con más de LOG_RETENCION_DIAS días (30).
+ */
+
+class AuditLog {
+  /**
+   * Fija el actor y el contexto de la ejecución actual.
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} [contexto] Datos de la solicitud (sesión, permiso...).
+   */
+  static begin(user, contexto) {
+    AuditLog.current = { email: user.email, role: user.role, contexto: contexto || {} };
+  }
+
+  /** Correo del actor de la ejecución actual. */
+  static currentEmail() {
+    if (AuditLog.current) return AuditLog.current.email;
+    try {
+      return Session.getActiveUser().getEmail();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * @param {Object|string|null} actor Usuario de la sesión ({email, role}), un correo, o null para
+   *     usar el actor de la ejecución actual.
+   * @param {string} accion Nombre de la acción (p. ej. 'usuario.estado').
+   * @param {string} entidad Tipo de entidad afectada (p. ej. 'Usuario', 'Registro').
+   * @param {string} idEntidad Identificador de la entidad (correo, id_registro...).
+   * @param {*} [antes] Valor anterior; los objetos se guardan como JSON.
+   * @param {*} [despues] Valor nuevo.
+   * @param {*} [contexto] Datos adicionales; se combinan con el contexto de la solicitud.
+   */
+  static record(actor, accion, entidad, idEntidad, antes, despues, contexto) {
+    const current = AuditLog.current;
+    let email;
+    let rol;
+    if (!actor) {
+      email = AuditLog.currentEmail();
+      rol = current ? current.role : '';
+    } else if (typeof actor === 'string') {
+      email = actor;
+      rol = current && current.email === actor ? current.role : '';
+    } else {
+      email = actor.email || '';
+      rol = actor.role || '';
+    }
+    const extra = contexto === undefined || contexto === null ? {}
+      : (typeof contexto === 'object' ? contexto : { detalle: contexto });
+    const completo = Object.assign({}, current ? current.contexto : {}, extra);
+    SheetManager.getSheet('RegistroAuditoria').appendRow([
+      new Date(), email, rol, accion, entidad, idEntidad || '',
+      AuditLog.serialize(antes), AuditLog.serialize(despues),
+      Object.keys(completo).length > 0 ? JSON.stringify(completo) : ''
+    ]);
+  }
+
+  static serialize(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Eventos de la hoja activa que cumplen los filtros, del más reciente al más antiguo.
+   * @param {{desde: string, hasta: string, actor: string, accion: string, entidad: string, idEntidad: string}} filtros
+   *     Fechas 'yyyy-MM-dd'; actor y acción filtran por texto contenido; entidad e idEntidad, por igualdad.
+   * @returns {{eventos: Object[], total: number, truncado: boolean, acciones: string[], entidades: string[]}}
+   */
+  static query(filtros = {}) {
+    const sheet = SheetManager.getSheet('RegistroAuditoria');
+    if (sheet.getLastRow() < 2) return { eventos: [], total: 0, truncado: false, acciones: [], entidades: [] };
+    const tz = Session.getScriptTimeZone();
+    const desde = filtros.desde ? new Date(`${filtros.desde}T00:00:00`).getTime() : null;
+    const hasta = filtros.hasta ? new Date(`${filtros.hasta}T23:59:59`).getTime() : null;
+    const actor = String(filtros.actor || '').trim().toLowerCase();
+    const accion = String(filtros.accion || '').trim().toLowerCase();
+    const entidad = String(filtros.entidad || '').trim();
+    const idEntidad = String(filtros.idEntidad || '').trim();
+
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 9).getValues();
+    const acciones = new Set();
+    const entidades = new Set();
+    const matches = rows.filter(row => {
+      acciones.add(String(row[3]));
+      entidades.add(String(row[4]));
+      const time = new Date(row[0]).getTime();
+      return (desde === null || time >= desde)
+        && (hasta === null || time <= hasta)
+        && (!actor || String(row[1]).toLowerCase().includes(actor))
+        && (!accion || String(row[3]).toLowerCase().includes(accion))
+        && (!entidad || String(row[4]) === entidad)
+        && (!idEntidad || String(row[5]) === idEntidad);
+    }).reverse();
+
+    return {
+      eventos: matches.slice(0, AuditLog.QUERY_LIMIT).map(row => ({
+        fecha: Utilities.formatDate(new Date(row[0]), tz, 'dd/MM/yyyy HH:mm:ss'),
+        actor: String(row[1]),
+        rol: String(row[2]),
+        accion: String(row[3]),
+        entidad: String(row[4]),
+        idEntidad: String(row[5]),
+        antes: String(row[6]),
+        despues: String(row[7]),
+        contexto: String(row[8])
+      })),
+      total: matches.length,
+      truncado: matches.length > AuditLog.QUERY_LIMIT,
+      acciones: [...acciones].filter(Boolean).sort(),
+      entidades: [...entidades].filter(Boolean).sort()
+    };
+  }
+
+  /**
+   * Aplica la política de rotación y retención descrita en el encabezado del archivo.
+   * Debe llamarse con el lock del script tomado.
+   * @returns {{archivados: number, hojasEliminadas: number, lineasLog: number}}
+   */
+  static rotate() {
+    const props = PropertiesService.getScriptProperties();
+    const diasActivos = Number(props.getProperty('AUDITORIA_DIAS_ACTIVOS')) || AuditLog.DEFAULT_ACTIVE_DAYS;
+    const retencionMeses = Number(props.getProperty('AUDITORIA_RETENCION_MESES')) || AuditLog.DEFAULT_RETENTION_MONTHS;
+    const logDias = Number(props.getProperty('LOG_RETENCION_DIAS')) || AuditLog.DEFAULT_LOG_DAYS;
+    const dia = 24 * 3600 * 1000;
+    const now = new Date().getTime();
+
+    const archivados = AuditLog.archiveOlderThan(new Date(now - diasActivos * dia));
+    const hojasEliminadas = AuditLog.purgeArchive(retencionMeses);
+    const log = SheetManager.getSheet('Auditoria');
+    const lineasLog = AuditLog.countLeadingOlderThan(log, new Date(now - logDias * dia));
+    if (lineasLog > 0) log.deleteRows(2, lineasLog);
+    return { archivados, hojasEliminadas, lineasLog };
+  }
+
+  /** Mueve al libro de archivo, agrupados por mes, los eventos anteriores a `limite`. */
+  static archiveOlderThan(limite) {
+    const sheet = SheetManager.getSheet('RegistroAuditoria');
+    const total = AuditLog.countLeadingOlderThan(sheet, limite);
+    if (total === 0) return 0;
+    const headers = SheetManager.SHEET_CONFIG['RegistroAuditoria'].headers;
+    const rows = sheet.getRange(2, 1, total, headers.length).getValues();
+    const tz = Session.getScriptTimeZone();
+    const porMes = {};
+    rows.forEach(row => {
+      const name = `${AuditLog.ARCHIVE_PREFIX}${Utilities.formatDate(new Date(row[0]), tz, 'yyyy_MM')}`;
+      (porMes[name] = porMes[name] || []).push(row);
+    });
+    const archivo = PartitionMigrationJob.getArchiveSpreadsheet();
+    Object.keys(porMes).forEach(name => {
+      let destino = archivo.getSheetByName(name);
+      if (!destino) {
+        destino = archivo.insertSheet(name);
+        destino.getRange(1, 1, 1, headers.length).setValues([headers]);
+      }
+      destino.getRange(destino.getLastRow() + 1, 1, porMes[name].length, headers.length).setValues(porMes[name]);
+    });
+    SpreadsheetApp.flush();
+    sheet.deleteRows(2, total);
+    Logger.log(`Auditoría: ${total} eventos archivados en ${Object.keys(porMes).join(', ')}.`);
+    return total;
+  }
+
+  /** Elimina del libro de archivo las hojas mensuales de auditoría fuera del período de retención. */
+  static purgeArchive(meses) {
+    const id = PropertiesService.getScriptProperties().getProperty('ARCHIVO_SPREADSHEET_ID');
+    if (!id) return 0;
+    const archivo = SpreadsheetApp.openById(id);
+    const hoy = new Date();
+    const limite = (hoy.getFullYear() * 12 + hoy.getMonth()) - meses;
+    const viejas = archivo.getSheets().filter(sheet => {
+      const match = sheet.getName().match(new RegExp(`^${AuditLog.ARCHIVE_PREFIX}(\\d{4})_(\\d{2})$`));
+      return match && (Number(match[1]) * 12 + Number(match[2]) - 1) < limite;
+    });
+    viejas.forEach(sheet => {
+      Logger.log(`Auditoría: hoja archivada ${sheet.getName()} eliminada por retención.`);
+      archivo.deleteSheet(sheet);
+    });
+    return viejas.length;
+  }
+
+  /** Filas iniciales (en orden cronológico) con fecha en la columna A anterior a `limite`. */
+  static countLeadingOlderThan(sheet, limite) {
+    if (sheet.getLastRow() < 2) return 0;
+    const fechas = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+    const index = fechas.findIndex(([fecha]) => !(new Date(fecha).getTime() < limite.getTime()));
+    return index < 0 ? fechas.length : index;
+  }
+}
+AuditLog.current = null;
+AuditLog.QUERY_LIMIT = 500;
+AuditLog.ARCHIVE_PREFIX = 'Auditoria_';
+AuditLog.DEFAULT_ACTIVE_DAYS = 90;
+AuditLog.DEFAULT_RETENTION_MONTHS = 24;
+AuditLog.DEFAULT_LOG_DAYS = 30;
+
+/**
+ * Handler del trigger diario de rotación de la auditoría.
+ */
+function rotarAuditoria_() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const resultado = AuditLog.rotate();
+    Logger.log(`Rotación de auditoría: ${JSON.stringify(resultado)}`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Crea el trigger diario de rotación de la auditoría (ejecutar una vez desde el editor).
+ */
+function crearTriggerRotacionAuditoria() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'rotarAuditoria_') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  ScriptApp.newTrigger('rotarAuditoria_').timeBased().everyDays(1).atHour(4).create();
+  Logger.log('Trigger diario de rotación de auditoría creado.');
+}
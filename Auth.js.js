@@ -14,63 +14,91 @@ initializeAuthSecret();
 /**
  * Determina el rol de un usuario.
  * @param {string} email El correo del usuario.
- * @returns {string} El rol del usuario ('Analista' o 'Vendedor').
+ * @returns {string} El rol del usuario (ver AccessControl.ROLES).
  */
 function getUserRole(email) {
-    const dataFetcher = new DataFetcher(); // Usamos la clase de Codigo.js
-    if (dataFetcher.isUserAdmin(email)) {
-        return 'Analista';
-    }
-    // Si no es admin, asumimos que es vendedor. Se podría añadir más lógica si hay más roles.
-    return 'Vendedor';
+    return AccessControl.getRole(email);
 }
 
 /**
  * Procesa el intento de login de un usuario.
  * Si es exitoso, genera un token de sesión único y almacena los datos del usuario, incluido el rol.
+ * Tras LoginThrottle.MAX_ACCOUNT_FAILURES fallos seguidos la cuenta se bloquea por
+ * LoginThrottle.LOCKOUT_SECONDS; los fallos desde un mismo origen bloquean ese origen por
+ * LoginThrottle.WINDOW_SECONDS. Ya no se asigna el estado 'bloqueado' de la hoja: solo lo
+ * tienen cuentas bloqueadas antes del bloqueo temporal, y lo quita un administrador o un
+ * restablecimiento de contraseña.
+ * Si el usuario usa verificación en dos pasos (o su rol la exige) no se emite el token: se
+ * devuelve un desafío que se completa con verificarSegundoFactor.
  * @param {string} email El correo del usuario.
  * @param {string} password La contraseña del usuario.
- * @returns {object} Un objeto con el estado del login y el token si es exitoso.
+ * @param {{dispositivo: string, agente: string}} [origen] Dispositivo y navegador que envía Auth.html.
+ * @returns {object} Estado del login: 'SUCCESS' con el token, 'MFA_REQUIRED' o 'MFA_ENROLL' con el desafío.
  */
-function processLogin(email, password) {
+function processLogin(email, password, origen) {
   try {
-    const userSheet = SheetManager.getSheet('Usuarios');
-    const usersData = userSheet.getDataRange().getValues();
-    const normalizedEmail = email.trim().toLowerCase();
-
-    const userRow = usersData.find(row => row[0].toString().trim().toLowerCase() === normalizedEmail);
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const dispositivo = String((origen && origen.dispositivo) || '');
+    if (LoginThrottle.isSourceBlocked(dispositivo)) {
+      Logger.log(`Intento de login rechazado (origen bloqueado): ${email}`);
+      throw new Error("Demasiados intentos fallidos desde este dispositivo. Intente de nuevo en 15 minutos.");
+    }
 
-    if (!userRow) {
+    const cuenta = AccountService.findUser(normalizedEmail);
+    if (!cuenta) {
+      LoginThrottle.registerFailure(dispositivo, null);
       Logger.log(`Intento de login fallido (usuario no encontrado): ${email}`);
       throw new Error("Usuario o contraseña incorrectos.");
     }
 
-    const storedHash = userRow[1];
-    const passwordHash = hashPassword(password);
+    // Solo cuentas bloqueadas antes del bloqueo temporal de LoginThrottle.
+    if (cuenta.estado === AccountService.BLOQUEADO) {
+      Logger.log(`Intento de login fallido (cuenta bloqueada): ${email}`);
+      throw new Error("La cuenta está bloqueada por intentos fallidos. Restablezca la contraseña o contacte al administrador.");
+    }
+    if (LoginThrottle.isAccountLocked(normalizedEmail)) {
+      LoginThrottle.registerFailure(dispositivo, null);
+      Logger.log(`Intento de login rechazado (bloqueo temporal de la cuenta): ${email}`);
+      throw new Error(`La cuenta está bloqueada temporalmente por intentos fallidos. Intente de nuevo en ${LoginThrottle.LOCKOUT_SECONDS / 60} minutos o restablezca la contraseña.`);
+    }
 
-    if (storedHash !== passwordHash) {
+    const verificacion = verifyPassword(password, cuenta.hash);
+    if (!verificacion.valid) {
+      const fallos = LoginThrottle.registerFailure(dispositivo, normalizedEmail);
       Logger.log(`Intento de login fallido (contraseña incorrecta): ${email}`);
+      if (fallos >= LoginThrottle.MAX_ACCOUNT_FAILURES && cuenta.estado === AccountService.ACTIVO) {
+        AccountService.lock(cuenta, { fallos, dispositivo });
+        throw new Error(`La cuenta fue bloqueada por ${LoginThrottle.LOCKOUT_SECONDS / 60} minutos por intentos fallidos. Intente más tarde o restablezca la contraseña.`);
+      }
       throw new Error("Usuario o contraseña incorrectos.");
     }
+    LoginThrottle.clearAccount(normalizedEmail);
+    if (verificacion.needsUpgrade) {
+      AccountService.setPassword(cuenta, password);
+      Logger.log(`Hash de contraseña actualizado al formato ${PasswordHasher.VERSION} para: ${email}`);
+    }
 
-    if (userRow[2] !== 'activo') {
+    if (cuenta.estado !== AccountService.ACTIVO) {
       Logger.log(`Intento de login fallido (cuenta inactiva): ${email}`);
       throw new Error("La cuenta no está activa. Contacte al administrador.");
     }
 
-    // --- Lógica de Token de Sesión MEJORADA ---
-    const sessionCache = CacheService.getUserCache();
-    const token = Utilities.getUuid();
-    const userRole = getUserRole(normalizedEmail); // Obtenemos el rol
-
-    // Guardar el token en caché, asociándolo con email, nombre y ROL.
-    // El token expira en 6 horas (21600 segundos).
-    const userData = { 
-        email: normalizedEmail, 
-        name: userRow[3] || normalizedEmail.split('@')[0],
-        role: userRole // ¡Añadimos el rol a la sesión!
+    const userRole = getUserRole(normalizedEmail);
+    const userData = {
+        email: normalizedEmail,
+        name: cuenta.nombre || normalizedEmail.split('@')[0],
+        role: userRole
     };
-    sessionCache.put(token, JSON.stringify(userData), 21600);
+    if (TwoFactorAuth.isEnrolled(normalizedEmail)) {
+      Logger.log(`Contraseña válida para ${email}; se solicita el segundo factor.`);
+      return { status: 'MFA_REQUIRED', challenge: TwoFactorAuth.createChallenge(userData, origen) };
+    }
+    if (TwoFactorAuth.isRequired(userRole)) {
+      Logger.log(`Contraseña válida para ${email}; debe configurar el segundo factor.`);
+      return Object.assign({ status: 'MFA_ENROLL', challenge: TwoFactorAuth.createChallenge(userData, origen) },
+        TwoFactorAuth.beginEnrollment(normalizedEmail));
+    }
+    const token = SessionStore.create(userData, origen);
 
     Logger.log(`Login exitoso para: ${email} con rol: ${userRole}`);
     return { status: 'SUCCESS', token: token, role: userRole }; // Devolvemos el rol al cliente
@@ -81,48 +109,80 @@ function processLogin(email, password) {
   }
 }
 
+/**
+ * Completa un login con el código de la aplicación de autenticación o un código de recuperación.
+ * En la configuración inicial (MFA_ENROLL) el código confirma el secreto y se devuelven los
+ * códigos de recuperación, que el usuario ve una sola vez.
+ * @param {string} challenge Desafío devuelto por processLogin.
+ * @param {string} codigo
+ * @returns {object} { status: 'SUCCESS', token, role, codigosRecuperacion? }
+ */
+function verificarSegundoFactor(challenge, codigo) {
+  try {
+    const pendiente = TwoFactorAuth.getChallenge(challenge);
+    if (!pendiente) throw new Error("La verificación venció. Inicie sesión de nuevo.");
+    const { user, origen } = pendiente;
+
+    let codigosRecuperacion = null;
+    let valido;
+    if (TwoFactorAuth.isEnrolled(user.email)) {
+      valido = TwoFactorAuth.verify(user.email, codigo).valid;
+    } else {
+      codigosRecuperacion = TwoFactorAuth.confirmEnrollment(user.email, codigo);
+      valido = codigosRecuperacion !== null;
+    }
+
+    if (!valido) {
+      const restantes = TwoFactorAuth.failChallenge(challenge, pendiente);
+      const fallos = LoginThrottle.registerFailure(String((origen && origen.dispositivo) || ''), user.email);
+      Logger.log(`Segundo factor incorrecto: ${user.email}`);
+      if (fallos >= LoginThrottle.MAX_ACCOUNT_FAILURES) {
+        const cuenta = AccountService.findUser(user.email);
+        if (cuenta && cuenta.estado === AccountService.ACTIVO) {
+          AccountService.lock(cuenta, { fallos, segundoFactor: true });
+          TwoFactorAuth.clearChallenge(challenge);
+          throw new Error(`La cuenta fue bloqueada por ${LoginThrottle.LOCKOUT_SECONDS / 60} minutos por intentos fallidos. Intente más tarde o restablezca la contraseña.`);
+        }
+      }
+      throw new Error(restantes > 0 ? "El código no es válido." : "Demasiados códigos incorrectos. Inicie sesión de nuevo.");
+    }
+
+    TwoFactorAuth.clearChallenge(challenge);
+    LoginThrottle.clearAccount(user.email);
+    const token = SessionStore.create(user, origen);
+    Logger.log(`Login exitoso (dos pasos) para: ${user.email} con rol: ${user.role}`);
+    return { status: 'SUCCESS', token: token, role: user.role, codigosRecuperacion: codigosRecuperacion };
+  } catch (e) {
+    Logger.error(`Error en verificarSegundoFactor: ${e.message}`);
+    throw e;
+  }
+}
+
 /**
  * Valida un token de sesión y devuelve los datos del usuario, incluido el rol.
+ * Cada llamada válida renueva el plazo de inactividad (ver SessionStore.js).
  * @param {string} token El token a validar.
- * @returns {object|null} Los datos del usuario si el token es válido, de lo contrario null.
+ * @returns {object|null} Los datos del usuario si la sesión está vigente, de lo contrario null.
  */
 function checkAuth(token) {
-  if (!token) {
-    return null;
-  }
-  const sessionCache = CacheService.getUserCache();
-  const userDataJson = sessionCache.get(token);
-
-  if (userDataJson) {
-    const userData = JSON.parse(userDataJson);
-    // Si por alguna razón el rol no está en la sesión, lo volvemos a calcular
-    if (!userData.role) {
-        userData.role = getUserRole(userData.email);
-        sessionCache.put(token, JSON.stringify(userData), 21600); // Actualizamos la caché
-    }
-    return userData;
-  }
-  
-  return null;
+  return SessionStore.get(token);
 }
 
 /**
- * Cierra la sesión de un usuario eliminando su token de la caché.
+ * Cierra la sesión de un usuario invalidando su token.
  * @param {string} token El token de sesión a invalidar.
  */
 function logoutUser(token) {
   try {
-    if (token) {
-      const sessionCache = CacheService.getUserCache();
-      sessionCache.remove(token);
-      Logger.log(`Sesión cerrada para el token: ${token}`);
-    }
+    SessionStore.logout(token);
+    Logger.log('Cierre de sesión exitoso para el token.');
   } catch (e) {
     Logger.error(`Error en logoutUser: ${e.message}`);
   }
 }
 
 function registerUser(name, email, password) {
+  const normalizedName = validateName(name);
   const normalizedEmail = email.trim().toLowerCase();
   if (!validateUserInVendedoresSheet(normalizedEmail)) {
     throw new Error("No está autorizado para registrarse. Su correo no se encuentra en la lista de vendedores.");
@@ -134,8 +194,9 @@ function registerUser(name, email, password) {
     throw new Error("Este correo electrónico ya está registrado.");
   }
 
+  validatePassword(password, normalizedEmail);
   const passwordHash = hashPassword(password);
-  userSheet.appendRow([normalizedEmail, passwordHash, 'activo', name, new Date()]);
+  userSheet.appendRow([normalizedEmail, passwordHash, 'activo', normalizedName, new Date()]);
   Logger.log(`Nuevo usuario registrado: ${email}`);
   return "Usuario registrado con éxito.";
 }
@@ -147,8 +208,74 @@ function validateUserInVendedoresSheet(email) {
     return emailList.map(e => e.trim().toLowerCase()).includes(email);
 }
 
+/**
+ * Hash de una contraseña en el formato vigente (ver PasswordSecurity.js).
+ */
 function hashPassword(password) {
-  const secret = PropertiesService.getScriptProperties().getProperty(SECRET_KEY_PROPERTY);
-  const signature = Utilities.computeHmacSha256Signature(password, secret);
-  return Utilities.base64Encode(signature);
-}
\ No newline at end of file
+  return PasswordHasher.hash(password);
+}
+
+/**
+ * Verifica una contraseña contra el hash guardado, en cualquiera de sus versiones.
+ * @returns {{valid: boolean, needsUpgrade: boolean}}
+ */
+function verifyPassword(password, storedHash) {
+  return PasswordHasher.verify(password, storedHash);
+}
+
+/**
+ * El nombre se muestra en la consola de usuarios y en los reportes: solo letras, espacios,
+ * puntos, apóstrofos y guiones.
+ * @returns {string} El nombre sin espacios sobrantes.
+ */
+function validateName(name) {
+  const normalized = String(name || '').trim().replace(/\s+/g, ' ');
+  if (normalized.length < 2 || normalized.length > 80) {
+    throw new Error("El nombre debe tener entre 2 y 80 caracteres.");
+  }
+  if (!/^[A-Za-zÁÉÍÓÚÜáéíóúüÑñ .'-]+$/.test(normalized)) {
+    throw new Error("El nombre solo puede contener letras, espacios, puntos, apóstrofos y guiones.");
+  }
+  return normalized;
+}
+
+/**
+ * Reglas de contraseña, validadas en el servidor: al menos 8 caracteres, con letras y
+ * números, sin contener el usuario del correo y fuera de la lista de contraseñas comunes.
+ * @param {string} password
+ * @param {string} [email] Correo de la cuenta.
+ * @throws {Error} Si la contraseña no las cumple.
+ */
+function validatePassword(password, email) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new Error("La contraseña debe tener al menos 8 caracteres.");
+  }
+  if (!/[A-Za-zÁÉÍÓÚáéíóúÑñ]/.test(password) || !/\d/.test(password)) {
+    throw new Error("La contraseña debe combinar letras y números.");
+  }
+  const lower = password.toLowerCase();
+  const usuario = String(email || '').trim().toLowerCase().split('@')[0];
+  if (usuario.length >= 3 && lower.includes(usuario)) {
+    throw new Error("La contraseña no puede contener su usuario de correo.");
+  }
+  if (COMMON_PASSWORDS.includes(lower)) {
+    throw new Error("La contraseña es demasiado común. Elija otra.");
+  }
+}
+const COMMON_PASSWORDS = ['12345678', 'password1', 'contraseña1', 'contrasena1', 'qwerty123', 'abc12345',
+  'password123', 'admin123', '123456789a', 'conciliapp1', 'venezuela1', 'clave1234'];
+
+/**
+ * Envía un código de un solo uso para restablecer la contraseña (ver AccountService.js).
+ * @param {string} email El correo de la cuenta.
+ */
+function solicitarRestablecimientoContrasena(email) {
+  return new AccountService().requestReset(email);
+}
+
+/**
+ * Restablece la contraseña con el código recibido por correo.
+ */
+function restablecerContrasena(email, codigo, nuevaContrasena) {
+  return new AccountService().resetPassword(email, codigo, nuevaContrasena);
+}
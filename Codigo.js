@@ -4,41 +4,11 @@
  * Incluye soporte para facturas múltiples (CSV) en una sola fila.
  */
 
-// #region Autenticación (Funciones añadidas)
-const TOKEN_EXPIRATION_SECONDS = 6 * 3600; // 6 horas
-
-function checkAuth(token) {
-  if (!token) return null;
-  const userCache = CacheService.getUserCache();
-  const cached = userCache.get(token);
-  if (cached) {
-    const user = JSON.parse(cached);
-    // Renovar el token en caché para extender la sesión
-    userCache.put(token, JSON.stringify(user), TOKEN_EXPIRATION_SECONDS);
-    return user;
-  }
-  return null;
-}
-
-function logoutUser(token) {
-  if (!token) return;
-  try {
-    const userCache = CacheService.getUserCache();
-    userCache.remove(token);
-    Logger.log('Cierre de sesión exitoso para el token.');
-    return { status: 'success', message: 'Sesión cerrada.' };
-  } catch (e) {
-    Logger.error(`Error en logoutUser: ${e.message}`);
-    throw new Error('No se pudo cerrar la sesión en el servidor.');
-  }
-}
-// #endregion
-
 /** Limpieza controlada de propiedades del script */
 function clearScriptProperties() {
   const ultimoIndiceAConservar = 6;
   const propiedades = PropertiesService.getScriptProperties();
-  const todasLasClaves = propiedades.getKeys();
+  const todasLasClaves = clavesDepurables_(propiedades.getKeys());
   todasLasClaves.sort();
   Logger.log('Iniciando limpieza de propiedades desde el cliente.');
   todasLasClaves.forEach((clave, indice) => {
@@ -62,7 +32,7 @@ class Logger {
   }
   static appendLog(level, message) {
     const sheet = SheetManager.getSheet('Auditoria');
-    sheet.appendRow([new Date(), Session.getActiveUser().getEmail(), level, message]);
+    sheet.appendRow([new Date(), AuditLog.currentEmail(), level, message]);
   }
 }
 
@@ -83,8 +53,13 @@ class CacheManager {
 }
 
 class ApiHandler {
-  constructor() {
+  /**
+   * @param {{fetch: function(string, Object): GoogleAppsScript.URL_Fetch.HTTPResponse}} [transport]
+   *     Cliente HTTP; por defecto UrlFetchApp. Permite apuntar a un stub local del endpoint ASMX.
+   */
+  constructor(transport = UrlFetchApp) {
     const props = PropertiesService.getScriptProperties();
+    this.transport = transport;
     this.API_URL = props.getProperty('API_URL') || 'https://login.factorysoftve.com/api/generica/efactoryApiGenerica.asmx/Seleccionar';
     this.headers = {
       apikey: props.getProperty('API_KEY'),
@@ -106,7 +81,7 @@ class ApiHandler {
       validateHttpsCertificates: true
     };
     try {
-      const response = UrlFetchApp.fetch(this.API_URL, options);
+      const response = this.transport.fetch(this.API_URL, options);
       if (response.getResponseCode() !== 200) {
         throw new Error(`Error HTTP: ${response.getResponseCode()} - ${response.getContentText()}`);
       }
@@ -120,6 +95,33 @@ class ApiHandler {
       throw e;
     }
   }
+  /**
+   * Envía un payload JSON a un método de escritura de la API y devuelve la respuesta parseada.
+   * Los errores HTTP se devuelven en la respuesta en lugar de lanzarse, para que el llamador
+   * pueda guardarlos en el registro.
+   * @param {string} url URL del método ASMX.
+   * @param {Object} payload Cuerpo de la petición.
+   * @returns {{code: number, body: string, json: Object|null}}
+   */
+  postJson(url, payload) {
+    const options = {
+      method: 'post',
+      contentType: 'application/json; charset=utf-8',
+      headers: this.headers,
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true,
+      validateHttpsCertificates: true
+    };
+    const response = this.transport.fetch(url, options);
+    const body = response.getContentText();
+    let json = null;
+    try {
+      json = JSON.parse(body);
+    } catch (e) {
+      json = null;
+    }
+    return { code: response.getResponseCode(), body, json };
+  }
 }
 // #endregion
 
@@ -142,26 +144,243 @@ SheetManager.SHEET_CONFIG = {
   'CorreosPermitidos': { headers: null },
   'obtenerVendedoresPorUsuario': { headers: ['correo', 'vendedorcompleto', 'codvendedor','Sucursal'] },
   'Administradores': { headers: ['correo_admin'] },
+  'Roles': { headers: ['correo', 'rol', 'sucursal'] },
+  'Permisos': { headers: ['permiso', 'Vendedor', 'Supervisor', 'Analista de sucursal', 'Analista global', 'Admin'] },
   'Bancos': { headers: ['Nombre del Banco'] },
   'analista': { headers: ['sucursal', 'codigousuario'] },
   'Respuestas': {
     headers: ['Timestamp', 'Vendedor', 'Codigo Cliente', 'Nombre Cliente', 'Factura',
       'Monto Pagado', 'Forma de Pago', 'Banco Emisor', 'Banco Receptor',
       'Nro. de Referencia', 'Tipo de Cobro', 'Fecha de la Transferencia o Pago',
-      'Observaciones', 'Usuario Creador', 'EstadoAnalista', 'ComentarioAnalista', 'AnalistaAsignado','Sucursal','id_registro']
+      'Observaciones', 'Usuario Creador', 'EstadoAnalista', 'ComentarioAnalista', 'AnalistaAsignado','Sucursal','id_registro',
+      'DistribucionFacturas', 'SaldoAFavor', 'Moneda', 'TasaMoneda', 'MonedaFactura', 'TasaFactura',
+      'MontoConvertido', 'FuenteTasa', 'FechaTasa', 'TasaDesactualizada', 'PosibleDuplicado', 'Version', 'Comprobantes']
   },
   'Auditoria': { headers: ['Timestamp', 'Usuario', 'Nivel', 'Detalle'] },
+  'TasasCambio': { headers: ['Fecha', 'Moneda', 'Tasa', 'Fuente', 'FechaRegistro'] },
+  'IDX': { headers: ['id_registro', 'Particion', 'Fila', 'Timestamp', 'Vendedor', 'Codigo Cliente', 'Sucursal'] },
+  'IndiceReferencias': { headers: ['Clave', 'Banco', 'Referencia', 'Monto', 'Fecha', 'id_registro', 'Particion', 'Timestamp'] },
+  'ReporteMigracion': { headers: ['Generado', 'Operacion', 'Origen', 'Destino', 'Filas', 'Accion'] },
+  'HistorialEstados': {
+    headers: ['Timestamp', 'id_registro', 'Usuario', 'Rol', 'EstadoAnterior', 'EstadoNuevo', 'Comentario']
+  },
+  'VersionesRegistro': {
+    headers: ['Timestamp', 'id_registro', 'Version', 'Usuario', 'Rol', 'Cambios', 'VersionAnterior', 'Comentario']
+  },
+  'ExtractosBancarios': {
+    headers: ['id_linea', 'Banco', 'Fecha', 'Referencia', 'Descripcion', 'Monto', 'Archivo',
+      'FechaImportacion', 'ImportadoPor', 'EstadoConciliacion', 'id_registro']
+  },
   'Registros Eliminados': {
     headers: ['Fecha Eliminación', 'Usuario que Eliminó', 'Timestamp', 'Vendedor',
       'Codigo Cliente', 'Nombre Cliente', 'Factura', 'Monto Pagado',
       'Forma de Pago', 'Banco Emisor', 'Banco Receptor', 'Nro. de Referencia',
-      'Tipo de Cobro', 'Fecha de la Transferencia o Pago', 'Observaciones', 'Usuario Creador', 'EstadoAnalista', 'ComentarioAnalista', 'AnalistaAsignado','Sucursal']
+      'Tipo de Cobro', 'Fecha de la Transferencia o Pago', 'Observaciones', 'Usuario Creador', 'EstadoAnalista', 'ComentarioAnalista', 'AnalistaAsignado','Sucursal',
+      'id_registro', 'Particion', 'MotivoEliminacion', 'EstadoEliminacion', 'RestauradoPor', 'FechaRestauracion']
   },
   'Usuarios': {
     headers: ['Correo', 'Contraseña', 'Estado', 'Nombre', 'Fecha Registro']
+  },
+  'RegistroAuditoria': {
+    headers: ['Timestamp', 'Actor', 'Rol', 'Accion', 'Entidad', 'IdEntidad', 'Antes', 'Despues', 'Contexto']
+  },
+  'SegundoFactor': {
+    headers: ['Correo', 'Secreto', 'CodigosRecuperacion', 'UltimoPaso', 'Activado']
+  },
+  'Sesiones': {
+    headers: ['TokenHash', 'Correo', 'Nombre', 'Rol', 'Creada', 'UltimoAcceso', 'Expira',
+      'Dispositivo', 'Agente', 'Estado', 'CerradaPor']
+  },
+  'SuscripcionesReportes': {
+    headers: ['id', 'Activa', 'Destinatarios', 'Usuario', 'Frecuencia', 'Hora', 'Dia', 'Rango', 'Formato',
+      'Criterios', 'UltimoEnvio', 'CreadoPor', 'Creado']
+  },
+  'EnviosReportes': {
+    headers: ['Timestamp', 'id_suscripcion', 'Destinatarios', 'Periodo', 'Formato', 'Registros', 'Estado',
+      'Detalle', 'SolicitadoPor']
   }
 };
 
+/**
+ * Acceso a los registros de cobranza repartidos en las hojas de partición.
+ * Las columnas se resuelven por el nombre del encabezado de cada hoja, no por posición,
+ * y los registros se ubican por `id_registro` en lugar de por número de fila.
+ */
+class RecordRepository {
+  static getSpreadsheet() {
+    return SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
+  }
+
+  /**
+   * Devuelve los nombres de todas las hojas de partición del libro.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [ss] El Spreadsheet a inspeccionar.
+   * @returns {string[]} Nombres de las particiones.
+   */
+  static listPartitionNames(ss = this.getSpreadsheet()) {
+    return ss.getSheets()
+      .map(s => s.getName())
+      .filter(name => PartitionManager.isPartitionName(name));
+  }
+
+  /**
+   * Mapa nombre de encabezado -> índice de columna (base 0) de una hoja.
+   * Se cachea por hoja junto con el número de columnas, que se compara en cada lectura:
+   * si alguien agrega columnas, la entrada cacheada deja de usarse.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet La hoja de partición.
+   * @returns {Object<string, number>}
+   */
+  static getHeaderMap(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn < 1) return {};
+    const cache = CacheService.getScriptCache();
+    const key = `hdr_${sheet.getSheetId()}`;
+    const cached = cache.get(key);
+    if (cached) {
+      const { columns, map } = JSON.parse(cached);
+      if (columns === lastColumn) return map;
+    }
+    const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    const map = headers.reduce((map, header, index) => {
+      const name = String(header).trim();
+      if (name) map[name] = index;
+      return map;
+    }, {});
+    cache.put(key, JSON.stringify({ columns: lastColumn, map }), 21600);
+    return map;
+  }
+
+  /**
+   * Agrega al final del encabezado las columnas que falten en una hoja de partición.
+   * Permite que las particiones antiguas acepten campos nuevos sin migrarlas.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet La hoja de partición.
+   * @param {string[]} names Columnas requeridas.
+   * @returns {Object<string, number>} El mapa de encabezados actualizado.
+   */
+  static ensureColumns(sheet, names) {
+    const headerMap = this.getHeaderMap(sheet);
+    const missing = names.filter(name => !(name in headerMap));
+    if (missing.length === 0) return headerMap;
+    const startColumn = sheet.getLastColumn() + 1;
+    sheet.getRange(1, startColumn, 1, missing.length).setValues([missing]);
+    return this.getHeaderMap(sheet);
+  }
+
+  /**
+   * Lee todos los registros de una hoja de partición como objetos indexados por encabezado.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet La hoja de partición.
+   * @returns {{sheetName: string, rowIndex: number, data: Object}[]}
+   */
+  static readSheet(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+    const headerMap = this.getHeaderMap(sheet);
+    const values = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getValues();
+    const sheetName = sheet.getName();
+    return values.map((row, index) => ({
+      sheetName,
+      rowIndex: index + 2,
+      data: this.rowToObject(row, headerMap)
+    }));
+  }
+
+  /**
+   * Lee los registros de todas las particiones.
+   * @returns {{sheetName: string, rowIndex: number, data: Object}[]}
+   */
+  static readAll() {
+    const ss = this.getSpreadsheet();
+    return this.listPartitionNames(ss)
+      .reduce((all, name) => all.concat(this.readSheet(ss.getSheetByName(name))), []);
+  }
+
+  /**
+   * Ubica un registro por su `id_registro` en cualquier partición.
+   * @param {string} idRegistro El identificador del registro.
+   * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, rowIndex: number, headerMap: Object<string, number>, data: Object}|null}
+   */
+  static findById(idRegistro) {
+    const id = String(idRegistro || '').trim();
+    if (!id) return null;
+    const ss = this.getSpreadsheet();
+
+    // Primero se usa el puntero del índice; si no coincide se busca en todas las particiones.
+    const pointer = RecordIndex.locate(id);
+    const indexed = pointer && ss.getSheetByName(pointer.particion);
+    if (indexed && pointer.fila >= 2 && pointer.fila <= indexed.getLastRow()) {
+      const headerMap = this.getHeaderMap(indexed);
+      const row = indexed.getRange(pointer.fila, 1, 1, indexed.getLastColumn()).getValues()[0];
+      if (String(row[headerMap['id_registro']]) === id) {
+        return { sheet: indexed, rowIndex: pointer.fila, headerMap, data: this.rowToObject(row, headerMap) };
+      }
+    }
+
+    for (const name of this.listPartitionNames(ss)) {
+      const sheet = ss.getSheetByName(name);
+      const lastRow = sheet.getLastRow();
+      if (lastRow <= 1) continue;
+      const headerMap = this.getHeaderMap(sheet);
+      if (!('id_registro' in headerMap)) continue;
+      const match = sheet.getRange(2, headerMap['id_registro'] + 1, lastRow - 1, 1)
+        .createTextFinder(id)
+        .matchEntireCell(true)
+        .findNext();
+      if (!match) continue;
+      const rowIndex = match.getRow();
+      const row = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+      return { sheet, rowIndex, headerMap, data: this.rowToObject(row, headerMap) };
+    }
+    return null;
+  }
+
+  /**
+   * Actualiza columnas de un registro ubicado por `id_registro`.
+   * Las columnas que no existan en la partición se crean al final del encabezado.
+   * @param {string} idRegistro El identificador del registro.
+   * @param {Object<string, *>} fields Valores a escribir, indexados por encabezado.
+   * @returns {Object} El registro actualizado.
+   */
+  static updateFields(idRegistro, fields) {
+    const found = this.findById(idRegistro);
+    if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+    this.writeFields(found.sheet, found.rowIndex, fields);
+    return Object.assign({}, found.data, fields);
+  }
+
+  /**
+   * Escribe columnas en una fila ya ubicada de una partición (p. ej. obtenida con `readSheet`).
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet La hoja de partición.
+   * @param {number} rowIndex Número de fila (base 1).
+   * @param {Object<string, *>} fields Valores a escribir, indexados por encabezado.
+   */
+  static writeFields(sheet, rowIndex, fields) {
+    const headerMap = this.ensureColumns(sheet, Object.keys(fields));
+    Object.keys(fields).forEach(name => {
+      sheet.getRange(rowIndex, headerMap[name] + 1).setValue(fields[name]);
+    });
+  }
+
+  /**
+   * Agrega un registro al final de una partición, ubicando cada valor por encabezado.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet La hoja de partición.
+   * @param {Object<string, *>} record Valores indexados por encabezado.
+   * @returns {number} La fila en la que quedó el registro.
+   */
+  static appendRecord(sheet, record) {
+    const headerMap = this.ensureColumns(sheet, Object.keys(record));
+    const row = new Array(sheet.getLastColumn()).fill('');
+    Object.keys(record).forEach(name => { row[headerMap[name]] = record[name] ?? ''; });
+    sheet.appendRow(row);
+    return sheet.getLastRow();
+  }
+
+  static rowToObject(row, headerMap) {
+    return Object.keys(headerMap).reduce((obj, name) => {
+      obj[name] = row[headerMap[name]];
+      return obj;
+    }, {});
+  }
+}
+
 class DataFetcher {
   constructor() { this.api = new ApiHandler(); }
   fetchVendedoresFromSheetByUser(userEmail) {
@@ -288,24 +507,30 @@ class DataFetcher {
       return [];
     }
   }
-  fetchBcvRate() {
-    const apiUrl = 'https://ve.dolarapi.com/v1/dolares/oficial';
+  /**
+   * Documentos con saldo de todos los vendedores (propiedad CUENTAS_POR_COBRAR_QUERY).
+   * Los montos vienen en la moneda `cod_mon` del documento.
+   */
+  fetchCuentasPorCobrarFromApi() {
+    const query = PropertiesService.getScriptProperties().getProperty('CUENTAS_POR_COBRAR_QUERY');
+    if (!query) {
+      Logger.error('La propiedad CUENTAS_POR_COBRAR_QUERY no está definida.');
+      throw new Error('No se encontró la consulta de cuentas por cobrar.');
+    }
     try {
-      const response = UrlFetchApp.fetch(apiUrl, { muteHttpExceptions: true });
-      if (response.getResponseCode() !== 200) {
-        Logger.error(`Error en fetchBcvRate: Código ${response.getResponseCode()}`);
-        return 1;
-      }
-      const jsonResponse = JSON.parse(response.getContentText());
-      const rate = parseFloat(jsonResponse.promedio);
-      if (isNaN(rate) || rate <= 0) {
-        Logger.error('Tasa BCV inválida');
-        return 1;
-      }
-      return rate;
+      return this.api.fetchData(query).map(row => ({
+        documento: String(row.documento).trim(),
+        codVendedor: String(row.cod_ven || '').trim(),
+        codCliente: String(row.cod_cli || '').trim(),
+        nombreCliente: String(row.nom_cli || '').trim(),
+        mon_sal: parseFloat(row.mon_sal) || 0,
+        fec_ini: row.fec_ini ? new Date(row.fec_ini).toISOString().split('T')[0] : '',
+        cod_mon: String(row.cod_mon || '').trim() || 'USD'
+      }));
     } catch (e) {
-      Logger.error(`Error en fetchBcvRate: ${e.message}`);
-      return 1;
+      // Sin la cartera no hay un resultado parcial útil: una lista vacía se mostraría como cero por cobrar.
+      Logger.error(`Error en fetchCuentasPorCobrarFromApi: ${e.message}`, { query });
+      throw new Error(`No se pudieron consultar las cuentas por cobrar en eFactory: ${e.message}`);
     }
   }
   fetchBancosFromSheet() {
@@ -369,18 +594,17 @@ class CobranzaService {
       .join(',');
   }
 
-  getVendedores(userEmail, forceRefresh = false) {
-    if (!userEmail) throw new Error("No se pudo obtener el email del usuario para cargar los vendedores.");
-    const isAdmin = this.dataFetcher.isUserAdmin(userEmail);
-    const cacheKey = `vendedores_html_${isAdmin ? 'admin' : userEmail}`;
+  getVendedores(user, forceRefresh = false) {
+    if (!user || !user.email) throw new Error("No se pudo obtener el email del usuario para cargar los vendedores.");
+    const todos = AccessControl.getBranchScope(user).all;
+    const cacheKey = `vendedores_html_${todos ? 'admin' : user.email}`;
     const fetchFunction = () => {
-      let vendedores = isAdmin
-        ? this.dataFetcher.fetchAllVendedoresFromSheet()
-        : this.dataFetcher.fetchVendedoresFromSheetByUser(userEmail);
+      const vendedores = AccessControl.visibleVendors(user);
       if (vendedores.length === 0) {
         throw new Error(`No tiene vendedores asignados. Por favor, contacte al administrador.`);
       }
-      let optionsHtml = isAdmin ? '<option value="Mostrar todos">Mostrar todos</option>' : '';
+      let optionsHtml = vendedores.length > 1 && user.role !== AccessControl.VENDEDOR
+        ? '<option value="Mostrar todos">Mostrar todos</option>' : '';
       optionsHtml += vendedores.map(v => `<option value="${v.codigo}">${v.nombre} (${v.sucursal})</option>`).join('');
       return optionsHtml;
     };
@@ -404,23 +628,129 @@ class CobranzaService {
       () => this.dataFetcher.fetchFacturasFromApi(codVendedor, codCliente));
   }
 
+  /**
+   * Tasa oficial USD vigente. El histórico `TasasCambio` hace de caché; si los proveedores
+   * fallan se devuelve la última conocida con `desactualizada: true`.
+   */
   getBcvRate() {
-    return CacheManager.get('bcv_rate', 21600, () => this.dataFetcher.fetchBcvRate());
+    return new ExchangeRateService().getCurrentRate('USD');
   }
 
   getBancos() {
     return CacheManager.get('bancos', 86400, () => this.dataFetcher.fetchBancosFromSheet());
   }
 
-  submitData(data, userEmail) {
-    const ss = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
- // Normalización y validaciones mínimas
+  /**
+   * Cuentas por cobrar de eFactory de todos los vendedores, con el saldo también en USD
+   * (`saldoUsd`, a la tasa vigente). Se guardan 15 minutos en CacheService (no en CacheManager:
+   * la lista no cabe en una propiedad del script); si no caben en la caché, se consultan cada vez.
+   * Si eFactory no responde se lanza el error y no se guarda nada en la caché.
+   */
+  getCuentasPorCobrar() {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get('cuentas_por_cobrar');
+    if (cached) return JSON.parse(cached);
+    const rates = new ExchangeRateService();
+    const factores = { USD: 1 };
+    const documentos = this.dataFetcher.fetchCuentasPorCobrarFromApi().map(doc => {
+      const moneda = ExchangeRateService.normalizeCurrency(doc.cod_mon);
+      if (!(moneda in factores)) factores[moneda] = rates.getCurrentRate(moneda).tasa / rates.getCurrentRate('USD').tasa;
+      return Object.assign(doc, { saldoUsd: PaymentAllocation.round(doc.mon_sal * factores[moneda]) });
+    });
+    try {
+      cache.put('cuentas_por_cobrar', JSON.stringify(documentos), 900);
+    } catch (e) {
+      Logger.log(`Cuentas por cobrar sin caché (${documentos.length} documentos): ${e.message}`);
+    }
+    return documentos;
+  }
+
+  /**
+   * Facturas con saldo del cliente para validar la distribución del pago.
+   * Se consulta la API para tener el saldo vigente; si no responde, se usa la caché.
+   */
+  _getFacturasPendientes(codVendedor, codCliente) {
+    const facturas = this.dataFetcher.fetchFacturasFromApi(codVendedor, codCliente);
+    return facturas.length > 0 ? facturas : this.getFacturas(codVendedor, codCliente);
+  }
+
+  /**
+   * Valida los datos del pago (facturas, monto, distribución) y calcula los campos que
+   * dependen de ellos: la conversión a la moneda de las facturas y la distribución.
+   * Lo usan el envío y la edición de registros (ver RecordEdit.js).
+   * @param {Object} data Datos del formulario (factura, montoPagado, moneda, distribucion...).
+   * @param {string} codVendedor Código del vendedor, para consultar las facturas pendientes.
+   * @param {Date} submissionDate Fecha por defecto del pago si no se indica.
+   * @returns {{fields: Object, fechaPago: Date}} Los campos del registro y la fecha del pago.
+   */
+  preparePayment(data, codVendedor, submissionDate) {
     const facturaCsvRaw = data.factura || data.documento || '';
     const facturaCsv = this._normalizeFacturaCsv(facturaCsvRaw);
     if (!facturaCsv) throw new Error('Debe indicar al menos una factura.');
-    
+
     const montoNum = parseFloat(data.montoPagado);
     if (isNaN(montoNum) || montoNum <= 0) throw new Error('Monto inválido.');
+
+    const facturaArray = facturaCsv.split(',');
+    const pendientes = this._getFacturasPendientes(codVendedor, data.cliente);
+    // El monto se convierte a la moneda de las facturas con la tasa vigente en la fecha del pago.
+    const moneda = ExchangeRateService.normalizeCurrency(data.moneda || 'USD');
+    const monedasFactura = [...new Set(pendientes
+      .filter(f => facturaArray.includes(f.documento))
+      .map(f => ExchangeRateService.normalizeCurrency(f.cod_mon || 'USD')))];
+    if (monedasFactura.length > 1) {
+      throw new Error('Las facturas seleccionadas están en monedas distintas; registre un pago por moneda.');
+    }
+    const monedaFactura = monedasFactura[0] || 'USD';
+    const fechaPago = StatementParser.parseDate(data.fechaTransferenciaPago) || submissionDate;
+    const conversion = new ExchangeRateService().convert(montoNum, moneda, monedaFactura, fechaPago);
+    const tasaReferencia = moneda === 'VES' ? conversion.tasaDestino : conversion.tasaOrigen;
+    const distribucion = PaymentAllocation.build(data.distribucion, facturaArray, pendientes, conversion.monto);
+    return {
+      fechaPago,
+      fields: {
+        'Factura': facturaCsv,
+        'Monto Pagado': montoNum,
+        'Forma de Pago': data.formaPago,
+        'Banco Emisor': data.bancoEmisor,
+        'Banco Receptor': data.bancoReceptor,
+        'Nro. de Referencia': data.nroReferencia,
+        'Tipo de Cobro': data.tipoCobro,
+        'Fecha de la Transferencia o Pago': data.fechaTransferenciaPago,
+        'Observaciones': data.observaciones,
+        'DistribucionFacturas': JSON.stringify(distribucion.lineas),
+        'SaldoAFavor': distribucion.saldoAFavor,
+        'Moneda': moneda,
+        'TasaMoneda': conversion.tasaOrigen.tasa,
+        'MonedaFactura': monedaFactura,
+        'TasaFactura': conversion.tasaDestino.tasa,
+        'MontoConvertido': conversion.monto,
+        'FuenteTasa': tasaReferencia.fuente,
+        'FechaTasa': tasaReferencia.fecha,
+        'TasaDesactualizada': conversion.tasaOrigen.desactualizada || conversion.tasaDestino.desactualizada
+      }
+    };
+  }
+
+  /**
+   * Validación de duplicidad contra el índice global de referencias (todas las particiones).
+   * Debe llamarse con el lock del script tomado, el mismo de la escritura.
+   * @param {Object} record Registro indexado por encabezado.
+   * @param {Date} fechaPago Fecha del pago.
+   * @returns {string} Los `id_registro` con los que colisiona, separados por coma ('' si ninguno).
+   */
+  checkDuplicates(record, fechaPago) {
+    const colisiones = ReferenceIndex.findCollisions(record['Banco Receptor'], record['Nro. de Referencia'],
+      record['Monto Pagado'], fechaPago).filter(c => c.idRegistro !== String(record.id_registro));
+    if (colisiones.length === 0) return '';
+    if (ReferenceIndex.mode() === ReferenceIndex.MODE_BLOCK) {
+      throw new Error(`El número de referencia ya fue reportado para ${record['Banco Receptor']} (registro ${colisiones[0].idRegistro}).`);
+    }
+    return colisiones.map(c => c.idRegistro).join(',');
+  }
+
+  submitData(data, userEmail) {
+    const ss = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
     if (!data.vendedor) throw new Error('Vendedor requerido.');
     if (!data.cliente) throw new Error('Código de cliente requerido.');
 
@@ -441,18 +771,8 @@ class CobranzaService {
     const header = SheetManager.SHEET_CONFIG['Respuestas'].headers;
     const partitionSheet = ensurePartitionSheet(ss, partitionName, header);
 
-   // Validación de duplicidad de referencia (ahora en la partición correcta)
-    let existingReferences = [];
-    if (partitionSheet.getLastRow() > 1) {
-      existingReferences = partitionSheet
-        .getRange(2, 10, partitionSheet.getLastRow() - 1, 1)
-        .getValues()
-        .flat();
-    }
-    if (existingReferences.includes(data.nroReferencia)) {
-      throw new Error('El número de referencia ya existe en esta partición.');
-    }
-    const facturaArray = facturaCsv.split(',');
+    const { fields, fechaPago } = this.preparePayment(data, data.vendedor, submissionDate);
+    const archivos = ReceiptStorage.validate(data.comprobantes);
     const todosLosVendedores = this.dataFetcher.fetchAllVendedoresFromSheet();
     const vendedorEncontrado = todosLosVendedores.find(v => v.codigo === data.vendedor);
     const nombreCompletoVendedor = vendedorEncontrado ? vendedorEncontrado.nombre : data.vendedor;
@@ -461,142 +781,101 @@ class CobranzaService {
     // Generar un ID único para el registro
     const id_registro = new Date().getTime().toString(36) + Math.random().toString(36).substring(2, 9);
     // --- FIN DE LA MODIFICACIÓN ---
-    const row = [
-      submissionDate,
-      nombreCompletoVendedor,
-      data.cliente,
-      data.nombreCliente,
-      facturaCsv,
-      montoNum,
-      data.formaPago,
-      data.bancoEmisor,
-      data.bancoReceptor,
-      data.nroReferencia,
-      data.tipoCobro,
-      data.fechaTransferenciaPago,
-      data.observaciones,
-      userEmail,
-      data.estadoAnalista || '',
-      data.comentarioAnalista || '',
-      data.analistaAsignado || '',
-      sucursal,
-      id_registro
-    ];
-
-    partitionSheet.appendRow(row);
-    Logger.log(`Formulario enviado por ${userEmail} a la partición ${partitionName}. Facturas: ${facturaCsv}`);
-    return '¡Datos recibidos con éxito!';
-  }
-
-  getRecentRecords(vendedor, userEmail) {
-    const ss = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
-    const allSheets = ss.getSheets();
-    const partitionRegex = /^(V_.+|B_.+|REG_|V_.+_B_.+)_\d{4}_(ene|feb|mar|abr|may|jun|jul|ago|sep|oct|nov|dic)$/;
-    const monthOrder = ["ene", "feb", "mar", "abr", "may", "jun", "jul", "ago", "sep", "oct", "nov", "dic"];
-
-    const partitionSheets = allSheets
-      .map(s => s.getName())
-      .filter(name => partitionRegex.test(name))
-      .sort((a, b) => {
-        const [, , yearA, monthA] = a.match(partitionRegex);
-        const [, , yearB, monthB] = b.match(partitionRegex);
-        if (yearA !== yearB) return yearB.localeCompare(yearA);
-        return monthOrder.indexOf(monthB) - monthOrder.indexOf(monthA);
-      });
-
-    let allRecords = [];
-    const RECORDS_TO_FETCH = this.REGISTROS_POR_PAGINA * 5;
+    // El Timestamp se fija bajo el lock: el IDX se ordena por él y se añade en orden de llegada.
+    const nuevoRegistro = Object.assign({
+      'Vendedor': nombreCompletoVendedor,
+      'Codigo Cliente': data.cliente,
+      'Nombre Cliente': data.nombreCliente
+    }, fields, {
+      'Usuario Creador': userEmail,
+      'EstadoAnalista': PaymentStatus.PENDIENTE, // El estado inicial lo fija el servidor, nunca el cliente
+      'ComentarioAnalista': '',
+      'AnalistaAsignado': '',
+      'Sucursal': sucursal,
+      'id_registro': id_registro
+    });
+    // Los comprobantes se suben antes del lock; si el registro no llega a guardarse se descartan.
+    const comprobantes = ReceiptStorage.save(archivos, id_registro, data.vendedor, submissionDate);
+    if (comprobantes.length > 0) nuevoRegistro['Comprobantes'] = JSON.stringify(comprobantes);
 
-    for (const sheetName of partitionSheets) {
-      if (allRecords.length >= RECORDS_TO_FETCH) break;
-      const sheet = ss.getSheetByName(sheetName);
-      if (sheet.getLastRow() <= 1) continue;
-      
-      const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues();
-      const recordsWithMeta = values.map((row, index) => ({
-        data: row,
-        sheetName: sheetName,
-        rowIndex: index + 2 // El índice real de la fila en su hoja
-      }));
-      allRecords.push(...recordsWithMeta);
-    }
-    
-    // Ordenar todos los registros por timestamp descendente
-    allRecords.sort((a, b) => new Date(b.data[0]).getTime() - new Date(a.data[0]).getTime());
-
-    const isAdmin = this.dataFetcher.isUserAdmin(userEmail);
-    let filteredRecords;
-
-    if (isAdmin) {
-      if (vendedor && vendedor !== 'Mostrar todos') {
-        const todosLosVendedores = this.dataFetcher.fetchAllVendedoresFromSheet();
-        const vendedorSeleccionado = todosLosVendedores.find(v => v.codigo === vendedor);
-        const nombreVendedorFiltro = vendedorSeleccionado ? vendedorSeleccionado.nombre : null;
-        filteredRecords = allRecords.filter(r => r.data[1] === nombreVendedorFiltro);
-      } else {
-        filteredRecords = allRecords;
+    // La consulta y la inserción van bajo el mismo lock para que dos envíos simultáneos no pasen ambos.
+    const lock = LockService.getScriptLock();
+    try {
+      lock.waitLock(30000);
+      nuevoRegistro['Timestamp'] = new Date();
+      const duplicados = this.checkDuplicates(nuevoRegistro, fechaPago);
+      if (duplicados) {
+        nuevoRegistro['PosibleDuplicado'] = duplicados;
+        Logger.log(`Registro ${id_registro} marcado como posible duplicado de ${duplicados}.`);
       }
-    } else {
-      const misVendedores = this.dataFetcher.fetchVendedoresFromSheetByUser(userEmail).map(v => v.nombre);
-      filteredRecords = allRecords.filter(r => misVendedores.includes(r.data[1]));
+      const fila = RecordRepository.appendRecord(partitionSheet, nuevoRegistro);
+      ReferenceIndex.add(nuevoRegistro, partitionName);
+      RecordIndex.add(nuevoRegistro, partitionName, fila);
+    } catch (e) {
+      ReceiptStorage.trash(comprobantes);
+      throw e;
+    } finally {
+      lock.releaseLock();
     }
+    StatusHistory.append(id_registro, { email: userEmail }, '', PaymentStatus.PENDIENTE, '');
+    AuditLog.record(userEmail, 'registro.crear', 'Registro', id_registro, null, {
+      vendedor: nombreCompletoVendedor, cliente: data.cliente, factura: fields['Factura'], monto: fields['Monto Pagado'],
+      moneda: fields['Moneda'], bancoReceptor: data.bancoReceptor, referencia: data.nroReferencia
+    }, { particion: partitionName, posibleDuplicado: nuevoRegistro['PosibleDuplicado'] || '' });
+    Logger.log(`Formulario enviado por ${userEmail} a la partición ${partitionName}. Facturas: ${fields['Factura']}`);
+    return '¡Datos recibidos con éxito!';
+  }
 
-    const finalRecords = filteredRecords.slice(0, this.REGISTROS_POR_PAGINA);
-    const now = new Date().getTime();
-    const FIVE_MINUTES_IN_MS = 5 * 60 * 1000;
+  getRecentRecords(vendedor, user) {
+    const userEmail = user.email;
+    const vendedoresPermitidos = AccessControl.vendorFilter(user, vendedor);
+    const entries = RecordIndex.latest(this.REGISTROS_POR_PAGINA,
+      entry => !vendedoresPermitidos || vendedoresPermitidos.includes(entry.vendedor));
+    const finalRecords = RecordIndex.load(entries);
 
     return finalRecords.map(record => {
-      const row = record.data;
-      const timestamp = new Date(row[0]).getTime();
-      const ageInMs = now - timestamp;
-      const puedeEliminarPorTiempo = ageInMs < FIVE_MINUTES_IN_MS;
+      const data = record.data;
+      const estado = PaymentStatus.normalize(data.EstadoAnalista);
       
       return {
-        rowIndex: JSON.stringify({ sheet: record.sheetName, row: record.rowIndex }),
-        fechaEnvio: Utilities.formatDate(new Date(row[0]), Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm'),
-        vendedor: row[1],
-        clienteNombre: row[3],
-        factura: row[4],
-        monto: (typeof row[5] === 'number') ? row[5].toFixed(2) : row[5],
-        bancoEmisor: row[7],
-        bancoReceptor: row[8],
-        referencia: row[9],
-        creadoPor: row[13],
-        puedeEliminar: (row[13] === userEmail && puedeEliminarPorTiempo)
+        fechaEnvio: Utilities.formatDate(new Date(data.Timestamp), Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm'),
+        vendedor: data.Vendedor,
+        clienteNombre: data['Nombre Cliente'],
+        factura: data.Factura,
+        monto: (typeof data['Monto Pagado'] === 'number') ? data['Monto Pagado'].toFixed(2) : data['Monto Pagado'],
+        moneda: data.Moneda || 'USD',
+        bancoEmisor: data['Banco Emisor'],
+        bancoReceptor: data['Banco Receptor'],
+        referencia: data['Nro. de Referencia'],
+        creadoPor: data['Usuario Creador'],
+        estado,
+        comentarioAnalista: data.ComentarioAnalista || '',
+        idRegistro: data.id_registro || '',
+        puedeEliminar: !!data.id_registro && RecordDeletionService.denialReason(user, data) === null,
+        puedeReenviar: (data['Usuario Creador'] === userEmail && estado === PaymentStatus.RECHAZADO),
+        puedeEditar: !!data.id_registro && RecordEditService.denialReason(user, data) === null,
+        version: Number(data.Version) || 1
       };
     });
   }
 
-  deleteRecord(rowIndex, userEmail) {
-    const { sheet: sheetName, row: rowNum } = JSON.parse(rowIndex);
-    if (!sheetName || !rowNum) {
-      throw new Error('Información de registro inválida para eliminación.');
-    }
-    
-    const sheet = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID).getSheetByName(sheetName);
-    if (!sheet) {
-      throw new Error(`La hoja de partición '${sheetName}' no fue encontrada.`);
-    }
+  getStatusHistory(idRegistro, user) {
+    const found = RecordRepository.findById(idRegistro);
+    if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+    AccessControl.assertRecordAccess(user, found.data);
+    return StatusHistory.getFor(idRegistro);
+  }
 
-    const rowToDelete = sheet.getRange(rowNum, 1, 1, sheet.getLastColumn()).getValues()[0];
-    if (rowToDelete[13] !== userEmail) {
-      throw new Error('No tienes permiso para eliminar este registro.');
-    }
-    
-    const timestamp = new Date(rowToDelete[0]).getTime();
-    const now = new Date().getTime();
-    const ageInMs = now - timestamp;
-    const FIVE_MINUTES_IN_MS = 5 * 60 * 1000;
-    if (ageInMs > FIVE_MINUTES_IN_MS) {
-      throw new Error('No se puede eliminar un registro después de 5 minutos de su creación.');
-    }
-    
-    const auditSheet = SheetManager.getSheet('Registros Eliminados');
-    auditSheet.appendRow([new Date(), userEmail, ...rowToDelete]);
-    sheet.deleteRow(rowNum);
-    
-    Logger.log(`Registro eliminado por ${userEmail}. Fila: ${rowNum} en hoja: ${sheetName}`);
-    return 'Registro eliminado y archivado con éxito.';
+  /**
+   * Reenvía a revisión un registro rechazado.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} [comentario] Explicación de la corrección.
+   */
+  resubmitRecord(idRegistro, user, comentario) {
+    PaymentStatus.transition(user, idRegistro, PaymentStatus.REENVIADO, comentario,
+      (found) => AccessControl.assertRecordAccess(user, found.data));
+    return 'Registro reenviado a revisión.';
   }
 }
 
@@ -604,76 +883,278 @@ class CobranzaService {
 
 
 class ReportService {
-  constructor(dataFetcher) { this.dataFetcher = dataFetcher; }
+  constructor(dataFetcher) {
+    this.dataFetcher = dataFetcher;
+    this.tasasUsd = {};
+  }
   
-  getRecordsInDateRange(userEmail, vendedorFiltro, start, end) {
-    const ss = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
-    const allSheets = ss.getSheets();
-    const partitionRegex = /^(V_.+|B_.+|REG_|V_.+_B_.+)_\d{4}_(ene|feb|mar|abr|may|jun|jul|ago|sep|oct|nov|dic)$/;
+  getRecordsInDateRange(user, vendedorFiltro, start, end) {
+    const vendedoresPermitidos = AccessControl.vendorFilter(user, vendedorFiltro);
 
-    const partitionSheets = allSheets
-      .map(s => s.getName())
-      .filter(name => partitionRegex.test(name));
-
-    let allRecords = [];
-    for (const sheetName of partitionSheets) {
-      const sheet = ss.getSheetByName(sheetName);
-      if (sheet.getLastRow() <= 1) continue;
-      const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues();
-      const recordsInRange = values.filter(row => {
-        const ts = new Date(row[0]).getTime();
-        return ts >= start.getTime() && ts <= end.getTime();
-      });
-      allRecords.push(...recordsInRange);
-    }
-    
-    const isAdmin = this.dataFetcher.isUserAdmin(userEmail);
-    let filtered = allRecords;
-
-    if (isAdmin) {
-      if (vendedorFiltro && vendedorFiltro !== 'Mostrar todos') {
-        const todos = this.dataFetcher.fetchAllVendedoresFromSheet();
-        const ven = todos.find(v => v.codigo === vendedorFiltro);
-        const nombreFiltro = ven ? ven.nombre : null;
-        if (nombreFiltro) filtered = filtered.filter(row => row[1] === nombreFiltro);
+    const entries = RecordIndex.inRange(start, end,
+      entry => !vendedoresPermitidos || vendedoresPermitidos.includes(entry.vendedor));
+
+    return RecordIndex.load(entries).map(({ data }) => this.toReportRow(data));
+  }
+
+  /**
+   * Registros que cumplen los criterios, agrupados y con subtotales, listos para Report.html.
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} criterios Ver ReportService.normalizeCriteria.
+   * @returns {{records: Object[], meta: Object}}
+   */
+  buildReport(user, criterios) {
+    const c = ReportService.normalizeCriteria(criterios);
+    const records = this.findRecords(user, c)
+      .map(data => this.toReportRow(data))
+      .sort((a, b) => (c.campoFecha === 'pago' ? a.fechaPagoIso.localeCompare(b.fechaPagoIso) : 0) || a.timestamp - b.timestamp);
+
+    const tz = Session.getScriptTimeZone();
+    return {
+      records,
+      meta: {
+        user,
+        rangeLabel: `${c.campoFecha === 'pago' ? 'pagos' : 'envíos'} del ${ReportService.formatIsoDay(c.desde)} al ${ReportService.formatIsoDay(c.hasta)}`,
+        filtros: ReportService.describeCriteria(c),
+        agrupar: c.agrupar,
+        grupos: c.agrupar ? ReportService.group(records, c.agrupar, c.campoFecha) : null,
+        totales: ReportService.totals(records),
+        filename: `Reporte_${c.desde.replace(/-/g, '')}_${c.hasta.replace(/-/g, '')}.pdf`,
+        generatedDate: Utilities.formatDate(new Date(), tz, 'dd/MM/yyyy HH:mm')
       }
-    } else {
-      const misVendedores = this.dataFetcher.fetchVendedoresFromSheetByUser(userEmail).map(v => v.nombre);
-      filtered = filtered.filter(row => misVendedores.includes(row[1]));
+    };
+  }
+
+  /**
+   * Registros (indexados por encabezado) que cumplen los criterios ya normalizados, dentro del
+   * alcance del usuario. Con campoFecha 'pago' se leen los envíos desde `desde` hasta `hasta` +
+   * PAYMENT_LAG_DAYS: no aparecen los pagos reportados más de esos días después de su fecha.
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} c Criterios devueltos por ReportService.normalizeCriteria.
+   * @returns {Object[]}
+   */
+  findRecords(user, c) {
+    const vendedoresPermitidos = AccessControl.vendorFilter(user, c.vendedor);
+    if (c.sucursal && !AccessControl.canAccessBranch(user, c.sucursal)
+        && !AccessControl.visibleVendors(user).some(v => v.sucursal === c.sucursal)) {
+      throw new Error(`No tiene acceso a la sucursal ${c.sucursal}.`);
     }
 
+    const dia = 24 * 3600 * 1000;
+    const inicio = new Date(`${c.desde}T00:00:00`);
+    const fin = new Date(`${c.hasta}T23:59:59`);
+    const finEnvio = c.campoFecha === 'pago' ? new Date(fin.getTime() + ReportService.PAYMENT_LAG_DAYS * dia) : fin;
+    const entries = RecordIndex.inRange(inicio, finEnvio, entry =>
+      (!vendedoresPermitidos || vendedoresPermitidos.includes(entry.vendedor))
+      && (!c.sucursal || entry.sucursal === c.sucursal));
+
+    const texto = (value) => String(value ?? '').trim().toLowerCase();
+    return RecordIndex.load(entries)
+      .map(({ data }) => data)
+      .filter(data => {
+        const fecha = c.campoFecha === 'pago'
+          ? ReferenceIndex.formatDay(data['Fecha de la Transferencia o Pago'])
+          : ReferenceIndex.formatDay(data.Timestamp);
+        return fecha >= c.desde && fecha <= c.hasta
+          && (!c.banco || texto(data['Banco Receptor']).includes(texto(c.banco)))
+          && (!c.formaPago || String(data['Forma de Pago']) === c.formaPago)
+          && (!c.tipoCobro || String(data['Tipo de Cobro']) === c.tipoCobro)
+          && (!c.estado || PaymentStatus.normalize(data.EstadoAnalista) === c.estado)
+          && (!c.cliente || texto(data['Codigo Cliente']) === texto(c.cliente)
+            || texto(data['Nombre Cliente']).includes(texto(c.cliente)));
+      });
+  }
+
+  /**
+   * Valida y completa los criterios del reporte.
+   * @param {{desde: string, hasta: string, campoFecha: string, vendedor: string, sucursal: string, banco: string,
+   *     formaPago: string, tipoCobro: string, cliente: string, estado: string, agrupar: string}} criterios
+   *     Fechas 'yyyy-MM-dd'; campoFecha 'envio' (Timestamp) o 'pago'; agrupar '', 'vendedor', 'banco' o 'dia'.
+   */
+  static normalizeCriteria(criterios = {}) {
+    const c = {};
+    ['desde', 'hasta', 'campoFecha', 'vendedor', 'sucursal', 'banco', 'formaPago', 'tipoCobro', 'cliente', 'estado', 'agrupar']
+      .forEach(key => { c[key] = String(criterios[key] ?? '').trim(); });
+    const formato = /^\d{4}-\d{2}-\d{2}$/;
+    if (!formato.test(c.desde) || !formato.test(c.hasta)) throw new Error('Indique el rango de fechas del reporte.');
+    if (c.desde > c.hasta) throw new Error('La fecha inicial es posterior a la final.');
+    const dias = (new Date(`${c.hasta}T00:00:00`).getTime() - new Date(`${c.desde}T00:00:00`).getTime()) / (24 * 3600 * 1000);
+    if (dias > ReportService.MAX_RANGE_DAYS) {
+      throw new Error(`El rango no puede superar ${ReportService.MAX_RANGE_DAYS} días.`);
+    }
+    c.campoFecha = c.campoFecha === 'pago' ? 'pago' : 'envio';
+    if (c.agrupar && !Object.keys(ReportService.GROUPS).includes(c.agrupar)) throw new Error(`Agrupación inválida: ${c.agrupar}`);
+    if (c.estado && !PaymentStatus.ALL.includes(c.estado)) throw new Error(`Estado inválido: ${c.estado}`);
+    if (c.vendedor === 'Mostrar todos') c.vendedor = '';
+    return c;
+  }
+
+  static describeCriteria(c) {
+    const etiquetas = { vendedor: 'Vendedor', sucursal: 'Sucursal', banco: 'Banco receptor', formaPago: 'Forma de pago',
+      tipoCobro: 'Tipo de cobro', cliente: 'Cliente', estado: 'Estado' };
+    const partes = Object.keys(etiquetas).filter(key => c[key]).map(key => `${etiquetas[key]}: ${c[key]}`);
+    if (c.agrupar) partes.push(`Agrupado por ${ReportService.GROUPS[c.agrupar].toLowerCase()}`);
+    return partes.join(' · ');
+  }
+
+  /**
+   * Agrupa las filas del reporte y calcula sus subtotales.
+   * @returns {{etiqueta: string, registros: Object[], totales: Object}[]}
+   */
+  static group(records, agrupar, campoFecha) {
+    const claveDe = {
+      vendedor: r => r.vendedor || '(sin vendedor)',
+      banco: r => r.bancoReceptor || '(sin banco)',
+      dia: r => (campoFecha === 'pago' ? r.fechaPagoIso : r.fechaEnvioIso) || '(sin fecha)'
+    }[agrupar];
+    const grupos = {};
+    records.forEach(r => { (grupos[claveDe(r)] = grupos[claveDe(r)] || []).push(r); });
+    return Object.keys(grupos).sort().map(clave => ({
+      etiqueta: agrupar === 'dia' && /^\d{4}-/.test(clave) ? ReportService.formatIsoDay(clave) : clave,
+      registros: grupos[clave],
+      totales: ReportService.totals(grupos[clave])
+    }));
+  }
+
+  /**
+   * Totales de un conjunto de filas: por moneda del pago y equivalentes en USD y Bs.
+   * @returns {{porMoneda: Object<string, number>, usd: number, bs: number, sinTasa: number, registros: number}}
+   */
+  static totals(records) {
+    const totales = { porMoneda: {}, usd: 0, bs: 0, sinTasa: 0, registros: records.length };
+    records.forEach(r => {
+      totales.porMoneda[r.moneda] = PaymentAllocation.round((totales.porMoneda[r.moneda] || 0) + r.montoNumero);
+      if (r.montoUsd === null || r.montoBs === null) totales.sinTasa++;
+      totales.usd = PaymentAllocation.round(totales.usd + (r.montoUsd || 0));
+      totales.bs = PaymentAllocation.round(totales.bs + (r.montoBs || 0));
+    });
+    return totales;
+  }
+
+  static formatIsoDay(iso) {
+    const [y, m, d] = iso.split('-');
+    return `${d}/${m}/${y}`;
+  }
+
+  /** Fila del reporte a partir de un registro indexado por encabezado. */
+  toReportRow(data) {
     const tz = Session.getScriptTimeZone();
-    return filtered.map(row => ({
-      // Fecha de creación/timestamp (col A) para la primera columna del reporte
-      fecha: Utilities.formatDate(new Date(row[0]), tz, 'dd/MM/yyyy HH:mm'),
-      vendedor: String(row[1] ?? ''),
-      clienteCodigo: String(row[2] ?? ''),
-      clienteNombre: String(row[3] ?? ''),
-      factura: String(row[4] ?? ''),
-      monto: (typeof row[5] === 'number') ? row[5].toFixed(2) : String(row[5] ?? ''),
-      formaPago: String(row[6] ?? ''),
-      bancoEmisor: String(row[7] ?? ''),
-      bancoReceptor: String(row[8] ?? ''),
-      referencia: String(row[9] ?? ''),
-      tipoCobro: String(row[10] ?? ''),
-      // Fecha del pago (col L)
-      fechaPago: row[11] ? Utilities.formatDate(new Date(row[11]), tz, 'dd/MM/yyyy') : '',
+    const monto = data['Monto Pagado'];
+    const fechaPago = data['Fecha de la Transferencia o Pago'];
+    const moneda = String(data.Moneda || 'USD');
+    const montoNumero = typeof monto === 'number' ? monto : (parseFloat(monto) || 0);
+    const equivalentes = this.equivalents(data, moneda, montoNumero);
+    return {
+      // Fecha de creación/timestamp para la primera columna del reporte
+      fecha: Utilities.formatDate(new Date(data.Timestamp), tz, 'dd/MM/yyyy HH:mm'),
+      timestamp: new Date(data.Timestamp).getTime(),
+      fechaEnvioIso: ReferenceIndex.formatDay(data.Timestamp),
+      idRegistro: String(data.id_registro ?? ''),
+      vendedor: String(data.Vendedor ?? ''),
+      sucursal: String(data.Sucursal ?? ''),
+      clienteCodigo: String(data['Codigo Cliente'] ?? ''),
+      clienteNombre: String(data['Nombre Cliente'] ?? ''),
+      factura: String(data.Factura ?? ''),
+      monto: (typeof monto === 'number') ? monto.toFixed(2) : String(monto ?? ''),
+      montoNumero,
+      formaPago: String(data['Forma de Pago'] ?? ''),
+      bancoEmisor: String(data['Banco Emisor'] ?? ''),
+      bancoReceptor: String(data['Banco Receptor'] ?? ''),
+      referencia: String(data['Nro. de Referencia'] ?? ''),
+      tipoCobro: String(data['Tipo de Cobro'] ?? ''),
+      fechaPago: fechaPago ? Utilities.formatDate(new Date(fechaPago), tz, 'dd/MM/yyyy') : '',
+      fechaPagoIso: ReferenceIndex.formatDay(fechaPago),
+      estado: PaymentStatus.normalize(data.EstadoAnalista),
       // FORZAR A STRING PARA EVITAR .trim is not a function
-      observaciones: String(row[12] ?? ''),
-      creadoPor: String(row[13] ?? ''),
-    }));
+      observaciones: String(data.Observaciones ?? ''),
+      creadoPor: String(data['Usuario Creador'] ?? ''),
+      distribucion: PaymentAllocation.parse(data.DistribucionFacturas),
+      saldoAFavor: Number(data.SaldoAFavor) || 0,
+      // Registros anteriores a la moneda por pago se asumen en USD
+      moneda,
+      monedaFactura: String(data.MonedaFactura || data.Moneda || 'USD'),
+      montoConvertido: Number(data.MontoConvertido) || (typeof monto === 'number' ? monto : 0),
+      tasa: Number(data.Moneda === 'VES' ? data.TasaFactura : data.TasaMoneda) || 0,
+      montoUsd: equivalentes.usd,
+      montoBs: equivalentes.bs
+    };
   }
 
-  buildPdf(records, meta) {
+  /**
+   * Equivalentes del pago en USD y Bs con las tasas guardadas en el registro (las de la fecha
+   * del pago); la tasa USD se consulta en el histórico cuando el registro no la tiene.
+   * @returns {{usd: number|null, bs: number|null}} null si no hay tasa para esa fecha.
+   */
+  equivalents(data, moneda, monto) {
+    const fecha = StatementParser.parseDate(data['Fecha de la Transferencia o Pago']) || new Date(data.Timestamp);
+    const tasaMoneda = Number(data.TasaMoneda) || 0;
+    const tasaUsd = data.MonedaFactura === 'USD' && Number(data.TasaFactura) > 0
+      ? Number(data.TasaFactura) : (moneda === 'USD' && tasaMoneda > 0 ? tasaMoneda : this.usdRate(fecha));
+    let bs = null;
+    if (moneda === 'VES') bs = monto;
+    else if (tasaMoneda > 0) bs = monto * tasaMoneda;
+    else if (moneda === 'USD' && tasaUsd) bs = monto * tasaUsd;
+    let usd = null;
+    if (moneda === 'USD') usd = monto;
+    else if (bs !== null && tasaUsd) usd = bs / tasaUsd;
+    return {
+      usd: usd === null ? null : PaymentAllocation.round(usd),
+      bs: bs === null ? null : PaymentAllocation.round(bs)
+    };
+  }
+
+  usdRate(fecha) {
+    const dia = ReferenceIndex.formatDay(fecha);
+    if (!(dia in this.tasasUsd)) {
+      try {
+        this.tasasUsd[dia] = new ExchangeRateService().getRate('USD', fecha).tasa;
+      } catch (e) {
+        Logger.error(`Reporte sin tasa USD para ${dia}: ${e.message}`);
+        this.tasasUsd[dia] = null;
+      }
+    }
+    return this.tasasUsd[dia];
+  }
+
+  /**
+   * Opciones de los filtros del generador de reportes para el usuario.
+   * @returns {{vendedores: Object[], sucursales: string[], bancos: string[], formasPago: string[],
+   *     tiposCobro: string[], estados: string[], agrupaciones: Object<string, string>}}
+   */
+  getOptions(user) {
+    const vendedores = AccessControl.visibleVendors(user);
+    return {
+      vendedores: vendedores.map(v => ({ codigo: v.codigo, nombre: v.nombre, sucursal: v.sucursal })),
+      sucursales: [...new Set(vendedores.map(v => String(v.sucursal || '').trim()).filter(Boolean))].sort(),
+      bancos: cobranzaService.getBancos().map(b => b.nombre),
+      formasPago: ReportService.PAYMENT_METHODS,
+      tiposCobro: ReportService.COLLECTION_TYPES,
+      estados: PaymentStatus.ALL,
+      agrupaciones: ReportService.GROUPS
+    };
+  }
+
+  renderHtml(records, meta) {
     const template = HtmlService.createTemplateFromFile('Report');
     template.records = records;
     template.meta = meta;
-    const html = template.evaluate().getContent();
+    return template.evaluate().getContent();
+  }
+
+  buildPdf(records, meta) {
+    const html = this.renderHtml(records, meta);
     const blob = Utilities.newBlob(html, 'text/html', 'reporte.html').getAs(MimeType.PDF);
     blob.setName(meta.filename);
     return blob;
   }
 }
+ReportService.MAX_RANGE_DAYS = 366;
+// Días después de la fecha del pago en los que se busca su envío (reportes por fecha de pago).
+ReportService.PAYMENT_LAG_DAYS = 90;
+ReportService.GROUPS = { vendedor: 'Vendedor', banco: 'Banco receptor', dia: 'Día' };
+// Mismas opciones que el formulario de Index.html.
+ReportService.PAYMENT_METHODS = ['Transferencia', 'Pago Móvil', 'Efectivo $', 'Zelle', 'No Aplica'];
+ReportService.COLLECTION_TYPES = ['Abono', 'Cobro Total', 'Retención'];
 
 
 // #endregion
@@ -702,7 +1183,21 @@ function doGet(e) {
 
     if (page === 'report') {
         templateName = 'Report';
-    } else if (user.role === 'Analista') {
+    } else if (page === 'conciliacion' && AccessControl.hasPermission(user.role, 'conciliacion')) {
+        templateName = 'Conciliacion';
+    } else if (page === 'usuarios' && AccessControl.hasPermission(user.role, 'admin.usuarios')) {
+        templateName = 'Usuarios';
+    } else if (page === 'reportes' && AccessControl.hasPermission(user.role, 'reportes.pdf')) {
+        templateName = 'Reportes';
+    } else if (page === 'indicadores' && AccessControl.hasPermission(user.role, 'reportes.kpi')) {
+        templateName = 'dashboard';
+    } else if (page === 'cartera' && AccessControl.hasPermission(user.role, 'cartera.ver')) {
+        templateName = 'Cartera';
+    } else if (page === 'auditoria' && AccessControl.hasPermission(user.role, 'auditoria.ver')) {
+        templateName = 'Auditoria';
+    } else if (page === 'cuenta') {
+        templateName = 'Cuenta';
+    } else if (AccessControl.hasPermission(user.role, 'revision.ver')) {
         templateName = 'AnalystView'; // Si el rol es Analista, carga su vista
     } else {
         templateName = 'Index'; // Por defecto, o si es Vendedor, carga Index
@@ -713,6 +1208,19 @@ function doGet(e) {
         template.user = user;
         template.url = url;
         template.token = token;
+        template.puedeAdministrarUsuarios = AccessControl.hasPermission(user.role, 'admin.usuarios');
+        template.puedeVerAuditoria = AccessControl.hasPermission(user.role, 'auditoria.ver');
+        template.puedeRestaurar = AccessControl.hasPermission(user.role, 'registros.restaurar');
+        template.puedeVerReportes = AccessControl.hasPermission(user.role, 'reportes.pdf');
+        template.puedeExportar = AccessControl.hasPermission(user.role, 'reportes.exportar');
+        template.puedeVerAnalista = AccessControl.hasPermission(user.role, 'revision.ver');
+        template.puedeProgramarReportes = AccessControl.hasPermission(user.role, 'reportes.suscripciones');
+        template.puedeVerIndicadores = AccessControl.hasPermission(user.role, 'reportes.kpi');
+        template.puedeVerCartera = AccessControl.hasPermission(user.role, 'cartera.ver');
+
+        if (templateName === 'AnalystView' || templateName === 'Conciliacion') {
+          user.branch = new AnalystService(new DataFetcher()).getBranchLabel(user);
+        }
 
         if (templateName === 'Report') {
           template.meta = template.meta || { rangeLabel: 'Hoy y Ayer', user };
@@ -746,41 +1254,81 @@ function include(filename) {
   return HtmlService.createHtmlOutputFromFile(filename).getContent();
 }
 
-function withAuth(token, action) {
+/**
+ * Ejecuta una acción pública con el usuario de la sesión.
+ * @param {string} token Token de sesión.
+ * @param {string} [permission] Permiso requerido de la hoja 'Permisos' (ver AccessControl.js).
+ * @param {function(Object): *} action Recibe el usuario de la sesión.
+ */
+function withAuth(token, permission, action) {
+  if (typeof permission === 'function') {
+    action = permission;
+    permission = null;
+  }
   const user = checkAuth(token);
   if (!user) throw new Error("Sesión inválida o expirada. Por favor, inicie sesión de nuevo.");
+  AuditLog.begin(user, { sesion: user.sessionId, permiso: permission || '' });
+  if (permission) AccessControl.assertPermission(user, permission);
   return action(user);
 }
 
 function loadVendedores(token, forceRefresh) {
-  return withAuth(token, (user) => cobranzaService.getVendedores(user.email, forceRefresh));
+  return withAuth(token, 'catalogos.ver', (user) => cobranzaService.getVendedores(user, forceRefresh));
 }
 function cargarClientesEnPregunta1(token, codVendedor) {
-  return withAuth(token, () => {
+  return withAuth(token, 'catalogos.ver', (user) => {
     if (!codVendedor) return '<option value="" disabled selected>Seleccione un cliente</option>';
+    AccessControl.assertVendor(user, codVendedor);
     return cobranzaService.getClientesHtml(codVendedor);
   });
 }
 function obtenerFacturas(token, codVendedor, codCliente) {
-  return withAuth(token, () => cobranzaService.getFacturas(codVendedor, codCliente));
+  return withAuth(token, 'catalogos.ver', (user) => {
+    AccessControl.assertVendor(user, codVendedor);
+    return cobranzaService.getFacturas(codVendedor, codCliente);
+  });
 }
 function obtenerTasaBCV(token) {
-  return withAuth(token, () => cobranzaService.getBcvRate());
+  return withAuth(token, 'catalogos.ver', () => cobranzaService.getBcvRate());
+}
+/**
+ * Tasas vigentes en la fecha del pago para todas las monedas soportadas,
+ * en bolívares por unidad (VES = 1). `fecha` en formato yyyy-MM-dd.
+ */
+function obtenerTasasCambio(token, fecha) {
+  return withAuth(token, 'catalogos.ver', () => {
+    const service = new ExchangeRateService();
+    const dia = StatementParser.parseDate(fecha) || new Date();
+    return ExchangeRateService.CURRENCIES.reduce((tasas, moneda) => {
+      tasas[moneda] = service.getRate(moneda, dia);
+      return tasas;
+    }, {});
+  });
 }
 function obtenerBancos(token) {
-  return withAuth(token, () => cobranzaService.getBancos());
+  return withAuth(token, 'catalogos.ver', () => cobranzaService.getBancos());
 }
 function enviarDatos(token, datos) {
-  return withAuth(token, (user) => cobranzaService.submitData(datos, user.email));
+  return withAuth(token, 'registros.enviar', (user) => {
+    AccessControl.assertVendor(user, datos && datos.vendedor);
+    return cobranzaService.submitData(datos, user.email);
+  });
 }
 function obtenerRegistrosEnviados(token, vendedorFiltro) {
-  return withAuth(token, (user) => cobranzaService.getRecentRecords(vendedorFiltro, user.email));
+  return withAuth(token, 'registros.ver', (user) => cobranzaService.getRecentRecords(vendedorFiltro, user));
+}
+function eliminarRegistro(token, idRegistro, motivo) {
+  return withAuth(token, 'registros.eliminar', (user) => new RecordDeletionService().deleteRecord(user, idRegistro, motivo));
+}
+// Sin permiso fijo: quien eliminó puede deshacer; el resto necesita 'registros.restaurar' (ver RecordDeletion.js).
+function restaurarRegistro(token, idRegistro) {
+  return withAuth(token, (user) => new RecordDeletionService().restoreRecord(user, idRegistro));
 }
-function eliminarRegistro(token, rowIndex) {
-  return withAuth(token, (user) => cobranzaService.deleteRecord(rowIndex, user.email));
+function listarRegistrosEliminados(token) {
+  return withAuth(token, 'registros.restaurar', (user) => new RecordDeletionService().listDeleted(user));
 }
 function descargarRegistrosPDF(token, vendedorFiltro) {
-  return withAuth(token, (user) => {
+  return withAuth(token, 'reportes.pdf', (user) => {
     try {
       const tz = Session.getScriptTimeZone();
       
@@ -798,7 +1346,7 @@ function descargarRegistrosPDF(token, vendedorFiltro) {
       // --- FIN DE LA CORRECCIÓN ---
 
       const reportService = new ReportService(new DataFetcher());
-      const records = reportService.getRecordsInDateRange(user.email, vendedorFiltro, start, end);
+      const records = reportService.getRecordsInDateRange(user, vendedorFiltro, start, end);
       
       Logger.log(`Encontrados ${records.length} registros para el PDF.`);
 
@@ -821,74 +1369,198 @@ function descargarRegistrosPDF(token, vendedorFiltro) {
     }
   });
 }
-// #endregion
 
-// #region Lógica de Particionamiento (Restaurada)
-const PARTITION_BY_VENDOR_PREFIX = 'V_';
-const PARTITION_BY_BANK_PREFIX = 'B_';
-const PARTITION_GENERAL_PREFIX = 'REG_';
+// Generador de reportes (Reportes.html)
+function obtenerOpcionesReporte(token) {
+  return withAuth(token, 'reportes.pdf', (user) => new ReportService(new DataFetcher()).getOptions(user));
+}
+function previsualizarReporte(token, criterios) {
+  return withAuth(token, 'reportes.pdf', (user) => {
+    const reportService = new ReportService(new DataFetcher());
+    const { records, meta } = reportService.buildReport(user, criterios);
+    return { registros: records.length, html: reportService.renderHtml(records, meta) };
+  });
+}
+function descargarReportePDF(token, criterios) {
+  return withAuth(token, 'reportes.pdf', (user) => {
+    const reportService = new ReportService(new DataFetcher());
+    const { records, meta } = reportService.buildReport(user, criterios);
+    const pdf = reportService.buildPdf(records, meta);
+    return { filename: meta.filename, base64: Utilities.base64Encode(pdf.getBytes()) };
+  });
+}
 
-function decidePartitionType(record) {
-  const props = PropertiesService.getScriptProperties();
-  const partitionStrategy = props.getProperty('PARTITION_STRATEGY') || 'MONTHLY'; // 'DAILY', 'WEEKLY', 'MONTHLY'
-  const partitionBy = props.getProperty('PARTITION_BY') || 'NONE'; // 'NONE', 'VENDOR', 'BANK', 'VENDOR_AND_BANK'
-  return { strategy: partitionStrategy, by: partitionBy };
+// Exportación CSV/XLSX (ExportService.js); `formato` es 'csv' o 'xlsx'.
+function exportData(token, formato, criterios) {
+  return withAuth(token, 'reportes.exportar', (user) =>
+    new RecordExportService(new ReportService(new DataFetcher())).exportRecords(user, formato, criterios || {}));
 }
 
-function getPartitionName(date, opts) {
-  const year = date.getFullYear();
-  const monthNames = ["ene", "feb", "mar", "abr", "may", "jun", "jul", "ago", "sep", "oct", "nov", "dic"];
-  const month = monthNames[date.getMonth()];
-  let prefix = PARTITION_GENERAL_PREFIX;
+// Tablero de indicadores (dashboard.html, KpiService.js)
+function obtenerOpcionesIndicadores(token) {
+  return withAuth(token, 'reportes.kpi', (user) => new ReportService(new DataFetcher()).getOptions(user));
+}
+function obtenerIndicadores(token, criterios) {
+  return withAuth(token, 'reportes.kpi', (user) =>
+    new CollectionKpiService(new ReportService(new DataFetcher()), cobranzaService).getDashboard(user, criterios || {}));
+}
+function obtenerDetalleIndicador(token, criterios, filtro) {
+  return withAuth(token, 'reportes.kpi', (user) =>
+    new CollectionKpiService(new ReportService(new DataFetcher()), cobranzaService).getDetail(user, criterios || {}, filtro || {}));
+}
 
-  if (opts.type.by === 'VENDOR' && opts.vendedor) {
-    prefix = `${PARTITION_BY_VENDOR_PREFIX}${opts.vendedor}_`;
-  } else if (opts.type.by === 'BANK' && opts.banco) {
-    prefix = `${PARTITION_BY_BANK_PREFIX}${opts.banco}_`;
-  } else if (opts.type.by === 'VENDOR_AND_BANK' && opts.vendedor && opts.banco) {
-    prefix = `${PARTITION_BY_VENDOR_PREFIX}${opts.vendedor}_${PARTITION_BY_BANK_PREFIX}${opts.banco}_`;
-  }
+// Antigüedad de la cartera (Cartera.html, ReceivablesAging.js)
+function obtenerOpcionesCartera(token) {
+  return withAuth(token, 'cartera.ver', (user) => new ReportService(new DataFetcher()).getOptions(user));
+}
+function obtenerCartera(token, filtros) {
+  return withAuth(token, 'cartera.ver', (user) => new ReceivablesAgingService(cobranzaService).getAging(user, filtros || {}));
+}
+function obtenerDocumentosCartera(token, codVendedor, codCliente) {
+  return withAuth(token, 'cartera.ver', (user) =>
+    new ReceivablesAgingService(cobranzaService).getClientDocuments(user, codVendedor, codCliente));
+}
+
+// Reportes programados por correo (ReportSubscriptions.js)
+function listarSuscripcionesReportes(token) {
+  return withAuth(token, 'reportes.suscripciones', () => {
+    const service = new ReportSubscriptionService();
+    return { suscripciones: service.list(), envios: service.deliveries(), rangos: ReportSubscriptionService.RANGES };
+  });
+}
+function guardarSuscripcionReporte(token, datos) {
+  return withAuth(token, 'reportes.suscripciones', (user) => new ReportSubscriptionService().save(user, datos));
+}
+function eliminarSuscripcionReporte(token, id) {
+  return withAuth(token, 'reportes.suscripciones', (user) => new ReportSubscriptionService().remove(user, id));
+}
+function enviarSuscripcionReporte(token, id) {
+  return withAuth(token, 'reportes.suscripciones', (user) => new ReportSubscriptionService().sendNow(user, id));
+}
 
-  return `${prefix}${year}_${month}`;
+// Cola de revisión del analista (AnalystView.html)
+function getRecordsForAnalyst(token, filters) {
+  return withAuth(token, 'revision.ver', (user) => new AnalystService(new DataFetcher()).getRecords(user, filters || {}));
+}
+function updateRecordStatus(token, identifier, newStatus, comment) {
+  return withAuth(token, 'revision.estado', (user) =>
+    new AnalystService(new DataFetcher()).updateStatus(user, identifier, newStatus, comment));
+}
+function getSucursalesDisponibles(token) {
+  return withAuth(token, 'revision.ver', (user) => new AnalystService(new DataFetcher()).getAvailableBranches(user));
 }
 
-function ensurePartitionSheet(ss, sheetName, header) {
-  let sheet = ss.getSheetByName(sheetName);
-  if (!sheet) {
-    sheet = ss.insertSheet(sheetName);
-    if (header && header.length > 0) {
-      sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
-      sheet.setFrozenRows(1);
-    }
-    Logger.log(`Se ha creado la nueva hoja de partición: ${sheetName}`);
-  }
-  return sheet;
+// Ciclo de vida del estado de pago
+function obtenerHistorialRegistro(token, idRegistro) {
+  return withAuth(token, 'registros.ver', (user) => AccessControl.hasPermission(user.role, 'revision.ver')
+    ? new AnalystService(new DataFetcher()).getHistory(user, idRegistro)
+    : cobranzaService.getStatusHistory(idRegistro, user));
+}
+function reenviarRegistro(token, idRegistro, comentario) {
+  return withAuth(token, 'registros.reenviar', (user) => cobranzaService.resubmitRecord(idRegistro, user, comentario));
 }
 
-function rotacionMensual_() {
-  const ss = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
-  const newSheetName = getPartitionName(new Date(), { type: { by: 'NONE' } });
-  const header = SheetManager.SHEET_CONFIG['Respuestas'].headers;
-  ensurePartitionSheet(ss, newSheetName, header);
-  Logger.log(`Ejecución de rotación mensual. Asegurada partición: ${newSheetName}`);
+// Corrección de registros con versiones (RecordEdit.js)
+function obtenerRegistroEditable(token, idRegistro) {
+  return withAuth(token, 'registros.editar', (user) => new RecordEditService(cobranzaService).getEditable(user, idRegistro));
+}
+function editarRegistro(token, idRegistro, cambios, comentario) {
+  return withAuth(token, 'registros.editar', (user) =>
+    new RecordEditService(cobranzaService).editRecord(user, idRegistro, cambios, comentario));
+}
+function obtenerVersionesRegistro(token, idRegistro) {
+  return withAuth(token, 'registros.ver', (user) => new RecordEditService(cobranzaService).getVersions(user, idRegistro));
 }
 
-function crearTriggerRotacionMensual() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'rotacionMensual_') {
-      ScriptApp.deleteTrigger(trigger);
-    }
+// Comprobantes de pago (Receipts.js)
+function obtenerComprobante(token, idRegistro, idArchivo) {
+  return withAuth(token, 'registros.ver', (user) => ReceiptStorage.read(user, idRegistro, idArchivo));
+}
+
+// Conciliación contra extractos bancarios (Conciliacion.html)
+function importarExtractoBancario(token, archivo) {
+  return withAuth(token, 'conciliacion', (user) => new ReconciliationService(new DataFetcher()).importStatement(user, archivo));
+}
+function obtenerExcepcionesConciliacion(token, banco) {
+  return withAuth(token, 'conciliacion', (user) => new ReconciliationService(new DataFetcher()).getExceptions(user, banco));
+}
+function resolverConciliacion(token, idRegistro, idLinea) {
+  return withAuth(token, 'conciliacion', (user) => new ReconciliationService(new DataFetcher()).resolve(user, idRegistro, idLinea));
+}
+
+// Cuenta propia y consola de usuarios (Cuenta.html, Usuarios.html)
+function cambiarContrasena(token, actual, nueva) {
+  return withAuth(token, (user) => new AccountService().changePassword(user, actual, nueva));
+}
+function listarUsuarios(token) {
+  return withAuth(token, 'admin.usuarios', () => ({
+    usuarios: new AccountService().listUsers(),
+    roles: AccessControl.ROLES,
+    sucursales: AccessControl.getBranchScope({ role: AccessControl.ADMIN }).branches
+  }));
+}
+function cambiarEstadoUsuario(token, correo, estado) {
+  return withAuth(token, 'admin.usuarios', (user) => new AccountService().setStatus(user, correo, estado));
+}
+function asignarRolUsuario(token, correo, rol, sucursales) {
+  return withAuth(token, 'admin.usuarios', (user) => new AccountService().assignRole(user, correo, rol, sucursales));
+}
+function obtenerSesionesUsuario(token, correo) {
+  return withAuth(token, 'admin.usuarios', () => new AccountService().listSessions(correo));
+}
+function revocarSesionesUsuario(token, correo) {
+  return withAuth(token, 'admin.usuarios', (user) => new AccountService().revokeSessions(user, correo));
+}
+
+function restablecer2FAUsuario(token, correo) {
+  return withAuth(token, 'admin.usuarios', (user) => TwoFactorAuth.reset(user, correo));
+}
+
+// Verificación en dos pasos (Mi Cuenta)
+function obtenerEstado2FA(token) {
+  return withAuth(token, (user) => TwoFactorAuth.status(user));
+}
+function iniciarActivacion2FA(token) {
+  return withAuth(token, (user) => TwoFactorAuth.beginEnrollment(user.email));
+}
+function confirmarActivacion2FA(token, codigo) {
+  return withAuth(token, (user) => {
+    const codigos = TwoFactorAuth.confirmEnrollment(user.email, codigo);
+    if (!codigos) throw new Error('El código no es válido. Revise la hora de su teléfono e intente de nuevo.');
+    return codigos;
   });
-  ScriptApp.newTrigger('rotacionMensual_')
-    .timeBased()
-    .onMonthDay(1)
-    .atHour(2)
-    .create();
-  Logger.log('Trigger de rotación mensual creado/actualizado correctamente.');
+}
+function regenerarCodigosRecuperacion(token, codigo) {
+  return withAuth(token, (user) => TwoFactorAuth.regenerateRecoveryCodes(user, codigo));
+}
+function desactivar2FA(token, codigo) {
+  return withAuth(token, (user) => TwoFactorAuth.disable(user, codigo));
+}
+
+function consultarAuditoria(token, filtros) {
+  return withAuth(token, 'auditoria.ver', () => AuditLog.query(filtros));
+}
+
+// Sesiones propias (Mi Cuenta)
+function obtenerMisSesiones(token) {
+  return withAuth(token, (user) => ({ actual: user.sessionId, sesiones: new AccountService().listSessions(user.email) }));
+}
+function cerrarSesionPropia(token, idSesion) {
+  return withAuth(token, (user) => new AccountService().revokeSessions(user, user.email, idSesion));
+}
+
+// Registro de cobros aprobados en eFactory
+function processInEfactory(token, idRegistro) {
+  return withAuth(token, 'efactory.registrar', (user) => new EfactoryCobroService().postCollection(user, idRegistro));
+}
+function liberarEnvioEfactory(token, idRegistro) {
+  return withAuth(token, 'efactory.registrar', (user) => new EfactoryCobroService().releasePending(user, idRegistro));
 }
 // #endregion
 
+// La lógica de particionamiento (decidePartitionType, getPartitionName, ensurePartitionSheet,
+// rotacionMensual_) vive en PartitionManager.js.js.
+
 // #region Config helpers
 function sincronizarVendedoresDesdeApi() {
   const dataFetcher = new DataFetcher();
@@ -950,6 +1622,20 @@ function setApiQueries() {
       ORDER BY cc.fec_ini DESC`;
   props.setProperty('FACTURAS_QUERY', facturasQuery);
 
+  const cuentasPorCobrarQuery = `SELECT 
+      TRIM(cc.documento) AS documento,
+      TRIM(cc.cod_ven) AS cod_ven,
+      TRIM(cc.cod_cli) AS cod_cli,
+      TRIM(c.nom_cli) AS nom_cli,
+      CAST((cc.mon_net * cc.tasa) AS DECIMAL(18,2)) AS mon_sal,
+      CAST(cc.fec_ini AS DATE) AS fec_ini,
+      'USD' AS cod_mon
+    FROM cuentas_cobrar cc
+    JOIN clientes c ON c.cod_cli = cc.cod_cli
+    WHERE cc.cod_tip = 'FACT' 
+      AND cc.mon_sal>0`;
+  props.setProperty('CUENTAS_POR_COBRAR_QUERY', cuentasPorCobrarQuery);
+
   const vendedoresQuery = `SELECT TRIM(v.correo) AS correo,  TRIM(v.cod_ven) AS codvendedor,
    CONCAT(TRIM(v.cod_ven), '-',
    TRIM(v.nom_ven)) AS vendedor_completo, TRIM(s.nom_suc) AS sucursal 
@@ -963,10 +1649,28 @@ function setApiQueries() {
   props.setProperty('SUCURSALES_USUARIOS_QUERY', sucursalesUsuariosQuery);
 }
 
+/**
+ * Propiedades que la limpieza no borra ni cuenta entre las que conserva: estado que no se puede
+ * regenerar (ids de carpetas y libros creados por la aplicación, el avance de la migración) y
+ * la configuración agregada después de las primeras propiedades, que de otro modo desplazaría
+ * a las originales fuera del límite.
+ */
+const PROPIEDADES_PERSISTENTES = [
+  'COMPROBANTES_CARPETA_ID', 'ARCHIVO_SPREADSHEET_ID', 'PARTITION_MIGRATION_JOB', 'PARTITION_STRATEGY', 'PARTITION_BY',
+  'API_COBROS_URL', 'API_COBROS_TRANSPORT', 'AUDITORIA_DIAS_ACTIVOS', 'AUDITORIA_RETENCION_MESES', 'LOG_RETENCION_DIAS',
+  'CONCILIACION_TOLERANCIA_MONTO', 'CONCILIACION_VENTANA_DIAS', 'CUENTAS_POR_COBRAR_QUERY',
+  'DUPLICADOS_COMPARAR_MONTO_FECHA', 'DUPLICADOS_MODO', 'MAIL_TRANSPORT', 'PASSWORD_ITERATIONS',
+  'SESION_DURACION_HORAS', 'SESION_INACTIVIDAD_MINUTOS', 'TASA_PROVEEDORES', 'VENTANAS_ELIMINACION'
+];
+
+function clavesDepurables_(claves) {
+  return claves.filter(clave => !PROPIEDADES_PERSISTENTES.includes(clave));
+}
+
 function conservarPrimerasPropiedades() {
   var ultimoIndiceAConservar = 6;
   var propiedades = PropertiesService.getScriptProperties();
-  var todasLasClaves = propiedades.getKeys();
+  var todasLasClaves = clavesDepurables_(propiedades.getKeys());
   todasLasClaves.sort();
   todasLasClaves.forEach(function (clave, indice) {
     if (indice > ultimoIndiceAConservar) {
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Registro en eFactory de los cobros aprobados por el analista.
+ * Cada registro 'Procesado' se envía una única vez como cobro contra los documentos
+ * de `cuentas_cobrar` listados en su columna `Factura`; el resultado (número de
+ * documento o error) queda guardado en el propio registro.
+ *
+ * La URL del método de escritura se toma de la propiedad API_COBROS_URL, de modo que
+ * puede apuntarse a un stub local del endpoint ASMX para pruebas. Con la propiedad
+ * API_COBROS_TRANSPORT = 'stub' no se llama a la API: StubCobroTransport responde como el
+ * método de escritura. verificarRegistroEfactory (ejecutar desde el editor tras modificar
+ * este archivo) comprueba con ese stub cómo se interpreta cada resultado del envío.
+ *
+ * Solo una respuesta de eFactory (un error HTTP o el rechazo de la aplicación) deja el
+ * registro en 'Error' y permite reintentarlo. Si falla el transporte (p. ej. un timeout),
+ * eFactory pudo haber recibido el cobro: el registro queda en 'Enviando' hasta que se
+ * verifique en eFactory y se libere con releasePending.
+ */
+
+class EfactoryCobroService {
+  /**
+   * @param {ApiHandler} [api] Cliente de la API de eFactory (con transporte inyectable);
+   *     por defecto el que indica API_COBROS_TRANSPORT.
+   */
+  constructor(api = EfactoryCobroService.defaultApi()) {
+    this.api = api;
+    this.COBROS_URL = PropertiesService.getScriptProperties().getProperty('API_COBROS_URL');
+  }
+
+  /**
+   * Registra en eFactory el cobro de un registro aprobado.
+   * Es idempotente: un registro ya registrado devuelve su documento sin volver a enviarse,
+   * y `id_registro` viaja como clave de idempotencia para que eFactory también lo descarte.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @returns {{estado: string, documento: string, mensaje: string}}
+   */
+  postCollection(user, idRegistro) {
+    if (!this.COBROS_URL) {
+      throw new Error('La propiedad API_COBROS_URL no está definida.');
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const found = RecordRepository.findById(idRegistro);
+      if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+      const data = found.data;
+      AccessControl.assertRecordAccess(user, data);
+
+      if (data.EfactoryEstado === EfactoryCobroService.REGISTRADO) {
+        return { estado: data.EfactoryEstado, documento: String(data.EfactoryDocumento), mensaje: 'El cobro ya estaba registrado en eFactory.' };
+      }
+      if (data.EfactoryEstado === EfactoryCobroService.ENVIANDO) {
+        throw new Error('Hay un envío previo con resultado desconocido. Verifique en eFactory antes de reintentar.');
+      }
+      if (PaymentStatus.normalize(data.EstadoAnalista) !== PaymentStatus.PROCESADO) {
+        throw new Error('Solo se pueden registrar en eFactory los pagos en estado Procesado.');
+      }
+
+      const payload = this.buildPayload(data);
+      // Se marca antes de llamar: si la ejecución muere a mitad del envío, no se reintenta a ciegas.
+      RecordRepository.writeFields(found.sheet, found.rowIndex, {
+        EfactoryEstado: EfactoryCobroService.ENVIANDO,
+        EfactoryFecha: new Date(),
+        EfactoryUsuario: user.email
+      });
+      SpreadsheetApp.flush();
+
+      const outcome = this.send(payload);
+      if (outcome.estado === EfactoryCobroService.ENVIANDO) {
+        // El registro sigue en 'Enviando': no debe reintentarse sin verificar en eFactory.
+        RecordRepository.writeFields(found.sheet, found.rowIndex, { EfactoryRespuesta: outcome.respuesta, EfactoryFecha: new Date() });
+        AuditLog.record(user, 'registro.efactory', 'Registro', idRegistro,
+          { efactoryEstado: data.EfactoryEstado || '' }, { efactoryEstado: EfactoryCobroService.ENVIANDO }, { mensaje: outcome.mensaje });
+        Logger.error(`Sin respuesta de eFactory para el registro ${idRegistro}: ${outcome.mensaje}`);
+        throw new Error(`No se obtuvo respuesta de eFactory (${outcome.mensaje}). Verifique en eFactory si el cobro se registró antes de liberar el envío.`);
+      }
+
+      RecordRepository.writeFields(found.sheet, found.rowIndex, {
+        EfactoryEstado: outcome.estado,
+        EfactoryDocumento: outcome.documento,
+        EfactoryRespuesta: outcome.respuesta,
+        EfactoryFecha: new Date()
+      });
+
+      const ok = outcome.estado === EfactoryCobroService.REGISTRADO;
+      AuditLog.record(user, 'registro.efactory', 'Registro', idRegistro,
+        { efactoryEstado: data.EfactoryEstado || '' },
+        { efactoryEstado: outcome.estado, documento: outcome.documento || '' },
+        ok ? null : { mensaje: outcome.mensaje });
+      if (!ok) {
+        Logger.error(`Error al registrar en eFactory el registro ${idRegistro}: ${outcome.mensaje}`);
+        throw new Error(`eFactory rechazó el cobro: ${outcome.mensaje}`);
+      }
+      Logger.log(`Registro ${idRegistro} registrado en eFactory con el documento ${outcome.documento} por ${user.email}.`);
+      return { estado: EfactoryCobroService.REGISTRADO, documento: outcome.documento, mensaje: `Cobro registrado en eFactory: ${outcome.documento}` };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Envía el cobro y clasifica el resultado: REGISTRADO o ERROR si eFactory respondió, ENVIANDO
+   * (resultado desconocido) si el transporte falló antes de obtener respuesta.
+   * @param {Object} payload El cuerpo de buildPayload.
+   * @returns {{estado: string, documento: string, mensaje: string, respuesta: string}}
+   */
+  send(payload) {
+    let result;
+    try {
+      result = this.api.postJson(this.COBROS_URL, payload);
+    } catch (e) {
+      return { estado: EfactoryCobroService.ENVIANDO, documento: '', mensaje: e.message, respuesta: `Sin respuesta: ${e.message}`.substring(0, 5000) };
+    }
+    const outcome = EfactoryCobroService.parseResponse(result);
+    return {
+      estado: outcome.ok ? EfactoryCobroService.REGISTRADO : EfactoryCobroService.ERROR,
+      documento: outcome.documento,
+      mensaje: outcome.mensaje,
+      respuesta: String(result.body || '').substring(0, 5000)
+    };
+  }
+
+  /**
+   * Libera un envío que quedó en estado 'Enviando' (p. ej. por un timeout de la ejecución),
+   * una vez verificado en eFactory que el cobro no se registró.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @returns {string} Mensaje de confirmación.
+   */
+  releasePending(user, idRegistro) {
+    // Bajo el mismo lock que postCollection: no se libera un envío que está en curso.
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const found = RecordRepository.findById(idRegistro);
+      if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+      AccessControl.assertRecordAccess(user, found.data);
+      if (found.data.EfactoryEstado !== EfactoryCobroService.ENVIANDO) {
+        throw new Error('El registro no tiene un envío pendiente.');
+      }
+      RecordRepository.writeFields(found.sheet, found.rowIndex, {
+        EfactoryEstado: EfactoryCobroService.ERROR,
+        EfactoryRespuesta: `Envío liberado manualmente por ${user.email}.`,
+        EfactoryFecha: new Date()
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    AuditLog.record(user, 'registro.efactory.liberar', 'Registro', idRegistro,
+      { efactoryEstado: EfactoryCobroService.ENVIANDO }, { efactoryEstado: EfactoryCobroService.ERROR });
+    Logger.log(`Envío a eFactory del registro ${idRegistro} liberado por ${user.email}.`);
+    return 'Envío liberado; puede reintentarse.';
+  }
+
+  /**
+   * Construye el cuerpo del cobro a partir del registro.
+   * @param {Object} data El registro (indexado por encabezado).
+   * @returns {Object}
+   */
+  buildPayload(data) {
+    const documentos = String(data.Factura || '').split(',').map(d => d.trim()).filter(Boolean);
+    if (documentos.length === 0) throw new Error('El registro no tiene facturas asociadas.');
+    const monto = parseFloat(data['Monto Pagado']);
+    if (isNaN(monto) || monto <= 0) throw new Error('El registro no tiene un monto válido.');
+    // Registros anteriores a la distribución por factura solo traen la lista de documentos.
+    const distribucion = PaymentAllocation.parse(data.DistribucionFacturas);
+    const vendedorCodigo = String(data.Vendedor || '').split('-')[0].trim();
+    const fechaPago = StatementParser.parseDate(data['Fecha de la Transferencia o Pago']) || new Date(data.Timestamp);
+
+    return {
+      lcIdempotencia: data.id_registro,
+      loCobro: {
+        cod_cli: String(data['Codigo Cliente'] || '').trim(),
+        cod_ven: vendedorCodigo,
+        fec_ini: Utilities.formatDate(fechaPago, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+        mon_net: monto,
+        cod_mon: String(data.Moneda || 'USD'),
+        tasa: EfactoryCobroService.paymentRate(data, fechaPago),
+        forma_pago: String(data['Forma de Pago'] || ''),
+        banco_emisor: String(data['Banco Emisor'] || ''),
+        banco_receptor: String(data['Banco Receptor'] || ''),
+        referencia: String(data['Nro. de Referencia'] || ''),
+        tipo_cobro: String(data['Tipo de Cobro'] || ''),
+        comentario: `Conciliapp ${data.id_registro}`,
+        saldo_a_favor: Number(data.SaldoAFavor) || 0,
+        documentos: distribucion.length > 0
+          ? distribucion.map(d => ({ cod_tip: 'FACT', documento: d.documento, mon_abo: d.monto }))
+          : documentos.map(documento => ({ cod_tip: 'FACT', documento }))
+      }
+    };
+  }
+
+  /**
+   * Tasa en Bs del cobro. Un pago en la misma moneda de sus facturas se guarda sin tasa si no
+   * la había para la fecha del pago; se usa la registrada después (solo del histórico: esto
+   * corre con el lock tomado y consultar los proveedores podría tomarlo de nuevo).
+   */
+  static paymentRate(data, fechaPago) {
+    const guardada = Number(data.Moneda === 'VES' ? data.TasaFactura : data.TasaMoneda);
+    if (guardada > 0) return guardada;
+    const moneda = ExchangeRateService.normalizeCurrency(data.Moneda || 'USD');
+    if (moneda === 'VES') return 1;
+    const rates = new ExchangeRateService();
+    const dia = rates.formatDay(fechaPago);
+    const registrada = rates.findStoredRate(moneda, dia);
+    if (!registrada) {
+      throw new Error(`No hay tasa de ${moneda} registrada en o antes del ${dia}. Regístrela con registrarTasaManual antes de enviar el cobro.`);
+    }
+    return registrada.tasa;
+  }
+
+  /**
+   * Cliente de la API según API_COBROS_TRANSPORT: 'urlfetch' (por defecto) o 'stub'.
+   * @returns {ApiHandler}
+   */
+  static defaultApi() {
+    const name = String(PropertiesService.getScriptProperties().getProperty('API_COBROS_TRANSPORT') || 'urlfetch').toLowerCase();
+    if (name === 'stub') return new ApiHandler(new StubCobroTransport());
+    if (name !== 'urlfetch') throw new Error(`API_COBROS_TRANSPORT desconocido: ${name}`);
+    return new ApiHandler();
+  }
+
+  /**
+   * Interpreta la respuesta del método ASMX (envuelta en `d`, como la de Seleccionar).
+   * @param {{code: number, body: string, json: Object|null}} result
+   * @returns {{ok: boolean, documento: string, mensaje: string}}
+   */
+  static parseResponse(result) {
+    if (result.code !== 200 || !result.json) {
+      return { ok: false, documento: '', mensaje: `HTTP ${result.code}: ${String(result.body || '').substring(0, 300)}` };
+    }
+    const d = result.json.d || result.json;
+    const documento = String(d.lcDocumento || d.documento || '').trim();
+    const exito = d.llExito !== false && !d.lcError && !!documento;
+    return {
+      ok: exito,
+      documento,
+      mensaje: exito ? '' : String(d.lcError || d.lcMensaje || 'Respuesta sin número de documento.')
+    };
+  }
+}
+EfactoryCobroService.ENVIANDO = 'Enviando';
+EfactoryCobroService.REGISTRADO = 'Registrado';
+EfactoryCobroService.ERROR = 'Error';
+
+/**
+ * Transporte de prueba que responde como el método de escritura de cobros, sin llamar a la API.
+ * Un mismo `lcIdempotencia` recibe el mismo documento (solo dentro de la ejecución). Con `modo`
+ * se simula un rechazo de eFactory ('rechazo'), un error HTTP ('http') o un fallo del
+ * transporte sin respuesta ('timeout').
+ */
+class StubCobroTransport {
+  constructor(modo = 'ok') {
+    this.modo = modo;
+    this.documentos = {};
+    this.llamadas = 0;
+  }
+
+  fetch(url, options) {
+    this.llamadas++;
+    Logger.log(`[API_COBROS_TRANSPORT=stub] ${url} (${this.modo})`);
+    if (this.modo === 'timeout') throw new Error(`Tiempo de espera agotado: ${url}`);
+    if (this.modo === 'http') return StubCobroTransport.response(500, 'Internal Server Error');
+    if (this.modo === 'rechazo') {
+      return StubCobroTransport.response(200, JSON.stringify({ d: { llExito: false, lcError: 'Documento sin saldo.' } }));
+    }
+    const clave = JSON.parse(options.payload).lcIdempotencia;
+    this.documentos[clave] = this.documentos[clave] || `STUB-${Object.keys(this.documentos).length + 1}`;
+    return StubCobroTransport.response(200, JSON.stringify({ d: { llExito: true, lcDocumento: this.documentos[clave] } }));
+  }
+
+  static response(code, body) {
+    return { getResponseCode: () => code, getContentText: () => body };
+  }
+}
+
+/**
+ * Verificación del envío de cobros contra StubCobroTransport; ejecutar desde el editor tras
+ * modificar este archivo. No escribe registros. Lanza un error con el primer caso que no coincida.
+ */
+function verificarRegistroEfactory() {
+  const payload = { lcIdempotencia: 'verificacion-1', loCobro: {} };
+  const enviar = (modo) => {
+    const transport = new StubCobroTransport(modo);
+    const service = new EfactoryCobroService(new ApiHandler(transport));
+    service.COBROS_URL = 'https://stub.local/Cobro';
+    return { transport, service, outcome: service.send(payload) };
+  };
+
+  const ok = enviar('ok');
+  if (ok.outcome.estado !== EfactoryCobroService.REGISTRADO || ok.outcome.documento !== 'STUB-1') {
+    throw new Error(`ok: esperado Registrado STUB-1, obtenido ${ok.outcome.estado} ${ok.outcome.documento}`);
+  }
+  const repetido = ok.service.send(payload);
+  if (repetido.documento !== 'STUB-1' || ok.transport.llamadas !== 2) {
+    throw new Error(`idempotencia: esperado STUB-1 en la segunda llamada, obtenido ${repetido.documento}`);
+  }
+  [
+    ['rechazo', EfactoryCobroService.ERROR, 'Documento sin saldo.'],
+    ['http', EfactoryCobroService.ERROR, 'HTTP 500: Internal Server Error'],
+    ['timeout', EfactoryCobroService.ENVIANDO, 'Tiempo de espera agotado: https://stub.local/Cobro']
+  ].forEach(([modo, estado, mensaje]) => {
+    const { outcome } = enviar(modo);
+    if (outcome.estado !== estado || outcome.mensaje !== mensaje) {
+      throw new Error(`${modo}: esperado ${estado} "${mensaje}", obtenido ${outcome.estado} "${outcome.mensaje}"`);
+    }
+  });
+
+  const sinDocumento = EfactoryCobroService.parseResponse({ code: 200, body: '{}', json: { d: { llExito: true } } });
+  if (sinDocumento.ok) throw new Error('parseResponse: una respuesta sin documento no es un registro exitoso.');
+  Logger.log('Verificación del registro en eFactory: OK');
+}
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Tasas de cambio oficiales por fecha y conversión de montos entre monedas.
+ * Las tasas se expresan en bolívares por unidad de moneda (VES = 1) y se guardan con su
+ * fecha valor en la hoja `TasasCambio`, que hace de histórico y de caché. Las tasas del
+ * día se obtienen de una lista de proveedores intercambiables (propiedad TASA_PROVEEDORES,
+ * p. ej. 'dolarapi,bcv'); si ninguno responde se devuelve la última tasa conocida marcada
+ * como desactualizada, y si no hay ninguna se lanza un error. Nunca se inventa una tasa.
+ */
+
+/**
+ * Proveedor ve.dolarapi.com (promedio oficial).
+ * Todo proveedor expone `name` y `fetch(moneda)`, que devuelve `{tasa, fecha}` o null si no está disponible.
+ */
+class DolarApiRateProvider {
+  constructor(transport = UrlFetchApp) {
+    this.transport = transport;
+    this.name = 'dolarapi';
+  }
+
+  fetch(moneda) {
+    const path = DolarApiRateProvider.PATHS[moneda];
+    if (!path) return null;
+    try {
+      const response = this.transport.fetch(`https://ve.dolarapi.com/v1/${path}`, { muteHttpExceptions: true });
+      if (response.getResponseCode() !== 200) {
+        Logger.error(`Proveedor dolarapi: código ${response.getResponseCode()} para ${moneda}`);
+        return null;
+      }
+      const json = JSON.parse(response.getContentText());
+      const tasa = parseFloat(json.promedio);
+      if (isNaN(tasa) || tasa <= 0) {
+        Logger.error(`Proveedor dolarapi: tasa inválida para ${moneda}`);
+        return null;
+      }
+      const fecha = json.fechaActualizacion ? new Date(json.fechaActualizacion) : new Date();
+      return { tasa, fecha: isNaN(fecha.getTime()) ? new Date() : fecha };
+    } catch (e) {
+      Logger.error(`Proveedor dolarapi: ${e.message}`);
+      return null;
+    }
+  }
+}
+DolarApiRateProvider.PATHS = { USD: 'dolares/oficial', EUR: 'euros/oficial' };
+
+/**
+ * Proveedor del portal del BCV (bcv.org.ve); lee la tasa y la fecha valor publicadas en la portada.
+ */
+class BcvWebRateProvider {
+  constructor(transport = UrlFetchApp) {
+    this.transport = transport;
+    this.name = 'bcv';
+  }
+
+  fetch(moneda) {
+    const id = BcvWebRateProvider.IDS[moneda];
+    if (!id) return null;
+    try {
+      // Sin validar el certificado no se acepta la tasa: si no valida, fetch lanza y se pasa al siguiente proveedor.
+      const response = this.transport.fetch('https://www.bcv.org.ve/', { muteHttpExceptions: true });
+      if (response.getResponseCode() !== 200) {
+        Logger.error(`Proveedor bcv: código ${response.getResponseCode()}`);
+        return null;
+      }
+      const html = response.getContentText();
+      const bloque = html.match(new RegExp(`id="${id}"[\\s\\S]*?<strong>\\s*([\\d.,]+)\\s*</strong>`));
+      if (!bloque) return null;
+      const tasa = StatementParser.parseAmount(bloque[1]);
+      if (!(tasa > 0)) return null;
+      const fechaValor = html.match(/property="dc:date"[^>]*content="([^"]+)"/);
+      const fecha = fechaValor ? new Date(fechaValor[1]) : new Date();
+      return { tasa, fecha: isNaN(fecha.getTime()) ? new Date() : fecha };
+    } catch (e) {
+      Logger.error(`Proveedor bcv: ${e.message}`);
+      return null;
+    }
+  }
+}
+BcvWebRateProvider.IDS = { USD: 'dolar', EUR: 'euro' };
+
+class ExchangeRateService {
+  /**
+   * @param {{name: string, fetch: function(string): ?{tasa: number, fecha: Date}}[]} [providers]
+   *     Proveedores en orden de preferencia; por defecto los de la propiedad TASA_PROVEEDORES.
+   */
+  constructor(providers = ExchangeRateService.defaultProviders()) {
+    this.providers = providers;
+  }
+
+  static defaultProviders() {
+    const names = (PropertiesService.getScriptProperties().getProperty('TASA_PROVEEDORES') || 'dolarapi,bcv')
+      .split(',').map(n => n.trim()).filter(Boolean);
+    return names
+      .filter(name => ExchangeRateService.PROVIDERS[name])
+      .map(name => new ExchangeRateService.PROVIDERS[name]());
+  }
+
+  /**
+   * Normaliza el código de moneda (acepta 'Bs', 'VEF', 'USD$', etc.).
+   * @param {string} value
+   * @returns {string} 'USD', 'VES' o 'EUR'.
+   */
+  static normalizeCurrency(value) {
+    const code = String(value || '').toUpperCase().replace(/[^A-Z]/g, '');
+    if (ExchangeRateService.ALIASES[code]) return ExchangeRateService.ALIASES[code];
+    if (!ExchangeRateService.CURRENCIES.includes(code)) {
+      throw new Error(`Moneda no soportada: ${value}`);
+    }
+    return code;
+  }
+
+  /**
+   * Tasa vigente hoy. Se reutiliza la última registrada si tiene menos de
+   * ExchangeRateService.REFRESH_HOURS; si no, se consulta a los proveedores.
+   * @param {string} moneda
+   * @returns {{moneda: string, tasa: number, fuente: string, fecha: string, desactualizada: boolean}}
+   */
+  getCurrentRate(moneda) {
+    const code = ExchangeRateService.normalizeCurrency(moneda);
+    const hoy = this.formatDay(new Date());
+    if (code === 'VES') return { moneda: code, tasa: 1, fuente: 'VES', fecha: hoy, desactualizada: false };
+
+    const ultima = this.findStoredRate(code, ExchangeRateService.MAX_DAY);
+    const edadMs = ultima ? new Date().getTime() - ultima.registrada.getTime() : Infinity;
+    let fallida = false;
+    if (edadMs >= ExchangeRateService.REFRESH_HOURS * 3600 * 1000) {
+      const nueva = this.fetchFromProviders(code);
+      if (nueva) {
+        this.storeRate(code, nueva.fecha, nueva.tasa, nueva.fuente);
+      } else if (ultima) {
+        Logger.error(`Ningún proveedor respondió para ${code}; se usa la última tasa registrada (${ultima.fecha}).`);
+        fallida = true;
+      } else {
+        throw new Error(`No se pudo obtener la tasa oficial de ${code} y no hay tasas registradas.`);
+      }
+    }
+    // El BCV publica por la tarde la tasa con fecha valor del día hábil siguiente: hoy rige la de fecha <= hoy.
+    const vigente = this.findStoredRate(code, hoy) || this.findStoredRate(code, ExchangeRateService.MAX_DAY);
+    return this.toResult(vigente, fallida && vigente.fecha < hoy);
+  }
+
+  /**
+   * Tasa vigente en una fecha: la última con fecha valor en o antes de ese día.
+   * Para hoy o fechas futuras equivale a getCurrentRate.
+   * @param {string} moneda
+   * @param {Date} fecha
+   * @returns {{moneda: string, tasa: number, fuente: string, fecha: string, desactualizada: boolean}}
+   */
+  getRate(moneda, fecha) {
+    const code = ExchangeRateService.normalizeCurrency(moneda);
+    const dia = this.formatDay(fecha || new Date());
+    if (code === 'VES') return { moneda: code, tasa: 1, fuente: 'VES', fecha: dia, desactualizada: false };
+    if (dia >= this.formatDay(new Date())) return this.getCurrentRate(code);
+
+    const registrada = this.findStoredRate(code, dia);
+    if (!registrada) {
+      throw new Error(`No hay tasa de ${code} registrada en o antes del ${dia}. Regístrela con registrarTasaManual.`);
+    }
+    return this.toResult(registrada, false);
+  }
+
+  /**
+   * Convierte un monto entre monedas usando las tasas vigentes en la fecha indicada.
+   * @param {number} monto
+   * @param {string} desde Moneda del monto.
+   * @param {string} hacia Moneda destino.
+   * @param {Date} fecha Fecha del pago.
+   * @returns {{monto: number, tasaOrigen: Object, tasaDestino: Object}}
+   */
+  convert(monto, desde, hacia, fecha) {
+    if (ExchangeRateService.normalizeCurrency(desde) === ExchangeRateService.normalizeCurrency(hacia)) {
+      // No hay conversión: la tasa en Bs solo se guarda como referencia y, si falta para esa
+      // fecha, se marca como faltante (`tasa: null`) en lugar de rechazar el pago.
+      const tasa = this.getRateOrMissing(desde, fecha);
+      return { monto: Math.round(monto * 100) / 100, tasaOrigen: tasa, tasaDestino: tasa };
+    }
+    const tasaOrigen = this.getRate(desde, fecha);
+    const tasaDestino = this.getRate(hacia, fecha);
+    const convertido = Math.round((monto * tasaOrigen.tasa / tasaDestino.tasa) * 100) / 100;
+    return { monto: convertido, tasaOrigen, tasaDestino };
+  }
+
+  getRateOrMissing(moneda, fecha) {
+    try {
+      return this.getRate(moneda, fecha);
+    } catch (e) {
+      Logger.log(`Sin tasa de referencia: ${e.message}`);
+      return { moneda: ExchangeRateService.normalizeCurrency(moneda), tasa: null, fuente: 'sin tasa', fecha: '', desactualizada: false };
+    }
+  }
+
+  fetchFromProviders(moneda) {
+    for (const provider of this.providers) {
+      const result = provider.fetch(moneda);
+      if (result && result.tasa > 0) return { tasa: result.tasa, fecha: result.fecha, fuente: provider.name };
+    }
+    return null;
+  }
+
+  /**
+   * Registra una tasa en el histórico. Si ya existe la misma tasa para esa fecha y moneda,
+   * solo se actualiza su FechaRegistro.
+   * @returns {{moneda: string, tasa: number, fuente: string, fecha: string, registrada: Date}}
+   */
+  storeRate(moneda, fecha, tasa, fuente) {
+    const dia = this.formatDay(fecha);
+    const sheet = SheetManager.getSheet('TasasCambio');
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const existente = this.findStoredRate(moneda, dia);
+      const ahora = new Date();
+      if (existente && existente.fecha === dia && Math.abs(existente.tasa - tasa) < 1e-6) {
+        sheet.getRange(existente.rowIndex, 5).setValue(ahora);
+        return Object.assign(existente, { registrada: ahora });
+      }
+      sheet.appendRow([dia, moneda, tasa, fuente, ahora]);
+      return { moneda, tasa, fuente, fecha: dia, registrada: ahora };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Última tasa con fecha valor en o antes de `dia`; entre filas del mismo día gana la más reciente.
+   * @param {string} moneda
+   * @param {string} dia yyyy-MM-dd
+   */
+  findStoredRate(moneda, dia) {
+    const sheet = SheetManager.getSheet('TasasCambio');
+    if (sheet.getLastRow() < 2) return null;
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues();
+    let best = null;
+    values.forEach(([fecha, code, tasa, fuente, registrada], index) => {
+      if (String(code).trim() !== moneda || !(Number(tasa) > 0)) return;
+      const d = fecha instanceof Date ? this.formatDay(fecha) : String(fecha).trim();
+      if (d <= dia && (!best || d >= best.fecha)) {
+        best = {
+          moneda,
+          tasa: Number(tasa),
+          fuente: String(fuente || ''),
+          fecha: d,
+          registrada: registrada instanceof Date ? registrada : new Date(0),
+          rowIndex: index + 2
+        };
+      }
+    });
+    return best;
+  }
+
+  toResult(stored, desactualizada) {
+    return { moneda: stored.moneda, tasa: stored.tasa, fuente: stored.fuente, fecha: stored.fecha, desactualizada };
+  }
+
+  formatDay(date) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+}
+ExchangeRateService.CURRENCIES = ['USD', 'VES', 'EUR'];
+ExchangeRateService.ALIASES = { BS: 'VES', BSD: 'VES', BSS: 'VES', VEF: 'VES', VED: 'VES', DOLARES: 'USD', EUROS: 'EUR' };
+ExchangeRateService.PROVIDERS = { dolarapi: DolarApiRateProvider, bcv: BcvWebRateProvider };
+ExchangeRateService.REFRESH_HOURS = 6;
+ExchangeRateService.MAX_DAY = '9999-12-31';
+
+/**
+ * Registra en el histórico las tasas del día de todas las monedas (para un trigger diario).
+ */
+function registrarTasasDelDia_() {
+  const service = new ExchangeRateService();
+  ExchangeRateService.CURRENCIES.filter(m => m !== 'VES').forEach(moneda => {
+    const nueva = service.fetchFromProviders(moneda);
+    if (nueva) {
+      service.storeRate(moneda, nueva.fecha, nueva.tasa, nueva.fuente);
+    } else {
+      Logger.error(`registrarTasasDelDia_: ningún proveedor respondió para ${moneda}.`);
+    }
+  });
+}
+
+function crearTriggerTasasDiarias() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'registrarTasasDelDia_') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  ScriptApp.newTrigger('registrarTasasDelDia_')
+    .timeBased()
+    .everyHours(6)
+    .create();
+  Logger.log('Trigger de registro de tasas creado/actualizado correctamente.');
+}
+
+/**
+ * Carga manual de una tasa histórica (para fechas anteriores al inicio del histórico).
+ * Ejecutar desde el editor, p. ej. registrarTasaManual('2024-03-01', 'USD', 36.25).
+ */
+function registrarTasaManual(fecha, moneda, tasa) {
+  const dia = StatementParser.parseDate(fecha);
+  if (!dia) throw new Error(`Fecha inválida: ${fecha}`);
+  const valor = Number(tasa);
+  if (!(valor > 0)) throw new Error(`Tasa inválida: ${tasa}`);
+  const code = ExchangeRateService.normalizeCurrency(moneda);
+  new ExchangeRateService([]).storeRate(code, dia, valor, 'Manual');
+  Logger.log(`Tasa ${code} del ${fecha} registrada manualmente: ${valor}`);
+}
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Exportación de registros de cobranza a CSV y XLSX.
+ *
+ * Los registros se seleccionan con los mismos criterios y el mismo alcance por vendedor/sucursal
+ * que el generador de reportes (ReportService.findRecords), leyendo todas las particiones del rango.
+ * Las columnas tienen nombres fijos (RecordExportService.COLUMNS), independientes de los encabezados
+ * de cada partición; las del analista (RecordExportService.ANALYST_COLUMNS) se agregan a pedido y
+ * solo para roles con 'revision.ver'.
+ *
+ * Formatos es-VE: en CSV el separador es ';', los decimales usan coma sin separador de miles y las
+ * fechas 'dd/MM/yyyy'; el archivo lleva BOM para que Excel lo abra como UTF-8. El XLSX se arma en
+ * una hoja de cálculo temporal con configuración regional es_VE y formatos numéricos y de fecha.
+ * En ambos formatos, el texto que empieza como una fórmula se exporta con un apóstrofo delante.
+ */
+
+class RecordExportService {
+  constructor(reportService) {
+    this.reportService = reportService;
+  }
+
+  /**
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} formato 'csv' o 'xlsx'.
+   * @param {Object} criterios Criterios de ReportService.normalizeCriteria, más `incluirAnalista`.
+   * @returns {{filename: string, mimeType: string, base64: string, filas: number}}
+   */
+  exportRecords(user, formato, criterios = {}) {
+    const { blob, filas, criterios: c, analista } = this.buildFile(user, formato, criterios);
+    const tipo = String(formato).toLowerCase();
+    AuditLog.record(user, 'registros.exportar', 'Exportacion', tipo, null, null, { criterios: c, filas, analista });
+    Logger.log(`Exportación ${tipo} de ${filas} registros por ${user.email}.`);
+    return {
+      filename: blob.getName(),
+      mimeType: blob.getContentType(),
+      base64: Utilities.base64Encode(blob.getBytes()),
+      filas
+    };
+  }
+
+  /**
+   * Genera el archivo sin registrarlo en la auditoría (lo usan también los envíos programados).
+   * @returns {{blob: GoogleAppsScript.Base.Blob, filas: number, criterios: Object, analista: boolean}}
+   */
+  buildFile(user, formato, criterios = {}) {
+    const tipo = String(formato || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(tipo)) throw new Error(`Formato de exportación inválido: ${formato}`);
+    const c = ReportService.normalizeCriteria(criterios);
+    const analista = Boolean(criterios.incluirAnalista) && AccessControl.hasPermission(user.role, 'revision.ver');
+    const columnas = RecordExportService.COLUMNS.concat(analista ? RecordExportService.ANALYST_COLUMNS : []);
+
+    const registros = this.reportService.findRecords(user, c)
+      .sort((a, b) => new Date(a.Timestamp).getTime() - new Date(b.Timestamp).getTime());
+    if (registros.length > RecordExportService.MAX_ROWS) {
+      throw new Error(`La exportación tiene ${registros.length} registros; el máximo es ${RecordExportService.MAX_ROWS}. Acote el rango o los filtros.`);
+    }
+    const filas = registros.map(data => columnas.map(col => RecordExportService.value(data, col)));
+
+    const nombre = `Registros_${c.desde.replace(/-/g, '')}_${c.hasta.replace(/-/g, '')}`;
+    const blob = tipo === 'csv'
+      ? Utilities.newBlob(RecordExportService.toCsv(columnas, filas), 'text/csv', `${nombre}.csv`)
+      : RecordExportService.toXlsx(columnas, filas, nombre);
+    return { blob, filas: filas.length, criterios: c, analista };
+  }
+
+  /** Valor de una columna: números como number, fechas como Date, el resto como texto. */
+  static value(data, col) {
+    const raw = col.valor ? col.valor(data) : data[col.campo];
+    if (col.tipo === 'numero') {
+      if (raw === '' || raw === null || raw === undefined) return '';
+      const n = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(',', '.'));
+      return isNaN(n) ? '' : n;
+    }
+    if (col.tipo === 'fecha' || col.tipo === 'fechaHora') {
+      if (!raw) return '';
+      const fecha = raw instanceof Date ? raw : StatementParser.parseDate(raw) || new Date(raw);
+      return isNaN(fecha.getTime()) ? '' : fecha;
+    }
+    return RecordExportService.neutralize(String(raw ?? ''));
+  }
+
+  /**
+   * Antepone un apóstrofo al texto que Excel o Sheets interpretarían como fórmula (empieza con
+   * =, +, - o @). Los campos de texto vienen del formulario y no deben ejecutarse al abrir el archivo.
+   */
+  static neutralize(texto) {
+    return /^[=+\-@]/.test(texto) ? `'${texto}` : texto;
+  }
+
+  static toCsv(columnas, filas) {
+    const tz = Session.getScriptTimeZone();
+    const celda = (value, col) => {
+      let texto;
+      if (value === '') texto = '';
+      else if (col.tipo === 'numero') texto = String(PaymentAllocation.round(value)).replace('.', ',');
+      else if (col.tipo === 'fecha') texto = Utilities.formatDate(value, tz, 'dd/MM/yyyy');
+      else if (col.tipo === 'fechaHora') texto = Utilities.formatDate(value, tz, 'dd/MM/yyyy HH:mm');
+      else texto = value;
+      return /[";\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    const lineas = [columnas.map(col => celda(col.nombre, {})).join(RecordExportService.CSV_SEPARATOR)]
+      .concat(filas.map(fila => fila.map((value, i) => celda(value, columnas[i])).join(RecordExportService.CSV_SEPARATOR)));
+    return '\uFEFF' + lineas.join('\r\n');
+  }
+
+  /**
+   * Genera el XLSX en una hoja de cálculo temporal que se elimina al terminar.
+   * @returns {GoogleAppsScript.Base.Blob}
+   */
+  static toXlsx(columnas, filas, nombre) {
+    const temporal = SpreadsheetApp.create(`Exportación temporal ${nombre}`);
+    try {
+      temporal.setSpreadsheetLocale('es_VE');
+      temporal.setSpreadsheetTimeZone(Session.getScriptTimeZone());
+      const sheet = temporal.getSheets()[0];
+      sheet.setName('Registros');
+      const total = filas.length + 1;
+      if (sheet.getMaxColumns() < columnas.length) sheet.insertColumnsAfter(sheet.getMaxColumns(), columnas.length - sheet.getMaxColumns());
+      columnas.forEach((col, i) => {
+        sheet.getRange(1, i + 1, total, 1).setNumberFormat(RecordExportService.XLSX_FORMATS[col.tipo || 'texto']);
+      });
+      sheet.getRange(1, 1, 1, columnas.length).setValues([columnas.map(col => col.nombre)]).setFontWeight('bold');
+      if (filas.length > 0) sheet.getRange(2, 1, filas.length, columnas.length).setValues(filas);
+      sheet.setFrozenRows(1);
+      SpreadsheetApp.flush();
+
+      const response = UrlFetchApp.fetch(
+        `https://docs.google.com/spreadsheets/d/${temporal.getId()}/export?format=xlsx`,
+        { headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` }, muteHttpExceptions: true });
+      if (response.getResponseCode() !== 200) {
+        throw new Error(`No se pudo generar el XLSX (HTTP ${response.getResponseCode()}).`);
+      }
+      return response.getBlob().setName(`${nombre}.xlsx`);
+    } finally {
+      DriveApp.getFileById(temporal.getId()).setTrashed(true);
+    }
+  }
+}
+RecordExportService.MAX_ROWS = 20000;
+RecordExportService.CSV_SEPARATOR = ';';
+RecordExportService.XLSX_FORMATS = { texto: '@', numero: '#,##0.00', fecha: 'dd/mm/yyyy', fechaHora: 'dd/mm/yyyy hh:mm' };
+// Nombres de columna estables: no cambiar sin avisar a quienes procesan los archivos.
+RecordExportService.COLUMNS = [
+  { nombre: 'ID Registro', campo: 'id_registro' },
+  { nombre: 'Fecha de Envío', campo: 'Timestamp', tipo: 'fechaHora' },
+  { nombre: 'Vendedor', campo: 'Vendedor' },
+  { nombre: 'Sucursal', campo: 'Sucursal' },
+  { nombre: 'Código Cliente', campo: 'Codigo Cliente' },
+  { nombre: 'Cliente', campo: 'Nombre Cliente' },
+  { nombre: 'Facturas', campo: 'Factura' },
+  { nombre: 'Monto Pagado', campo: 'Monto Pagado', tipo: 'numero' },
+  { nombre: 'Moneda', valor: data => data.Moneda || 'USD' },
+  { nombre: 'Monto en Moneda de Factura', campo: 'MontoConvertido', tipo: 'numero' },
+  { nombre: 'Moneda de Factura', valor: data => data.MonedaFactura || data.Moneda || 'USD' },
+  { nombre: 'Tasa Moneda (Bs)', campo: 'TasaMoneda', tipo: 'numero' },
+  { nombre: 'Saldo a Favor', campo: 'SaldoAFavor', tipo: 'numero' },
+  { nombre: 'Forma de Pago', campo: 'Forma de Pago' },
+  { nombre: 'Banco Emisor', campo: 'Banco Emisor' },
+  { nombre: 'Banco Receptor', campo: 'Banco Receptor' },
+  { nombre: 'Nro. de Referencia', campo: 'Nro. de Referencia' },
+  { nombre: 'Tipo de Cobro', campo: 'Tipo de Cobro' },
+  { nombre: 'Fecha del Pago', campo: 'Fecha de la Transferencia o Pago', tipo: 'fecha' },
+  { nombre: 'Observaciones', campo: 'Observaciones' },
+  { nombre: 'Usuario Creador', campo: 'Usuario Creador' },
+  { nombre: 'Estado', valor: data => PaymentStatus.normalize(data.EstadoAnalista) }
+];
+RecordExportService.ANALYST_COLUMNS = [
+  { nombre: 'Comentario Analista', campo: 'ComentarioAnalista' },
+  { nombre: 'Analista Asignado', campo: 'AnalistaAsignado' },
+  { nombre: 'Estado Conciliación', campo: 'EstadoConciliacion' },
+  { nombre: 'Línea de Extracto', campo: 'LineaExtracto' },
+  { nombre: 'Estado eFactory', campo: 'EfactoryEstado' },
+  { nombre: 'Documento eFactory', campo: 'EfactoryDocumento' },
+  { nombre: 'Posible Duplicado', campo: 'PosibleDuplicado' },
+  { nombre: 'Versión', valor: data => Number(data.Version) || 1, tipo: 'numero' }
+];
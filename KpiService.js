@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Indicadores de cobranza para el tablero de supervisores y administradores.
+ *
+ * Todo se agrega en el servidor a partir de los registros que devuelve ReportService.findRecords
+ * (mismos criterios y alcance por vendedor/sucursal que Reportes), con los montos llevados a USD
+ * por ReportService.toReportRow:
+ * - cobrado por periodo (día, semana o mes), por sucursal y por banco receptor;
+ * - tasas de aprobación y rechazo sobre los registros ya decididos (Procesado o Rechazado);
+ * - tiempo promedio de revisión: desde el envío hasta la primera decisión en 'HistorialEstados';
+ * - cartera: saldo por cobrar en eFactory (CobranzaService.getCuentasPorCobrar) frente a lo
+ *   cobrado (Procesado) en el periodo, por vendedor.
+ * Cada agregado lleva su dimensión y clave para pedir los registros que lo componen (getDetail).
+ */
+
+class CollectionKpiService {
+  constructor(reportService, cobranzaService) {
+    this.reportService = reportService;
+    this.cobranzaService = cobranzaService;
+  }
+
+  /**
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} criterios Criterios de ReportService.normalizeCriteria, más `granularidad`.
+   * @returns {Object} Los indicadores del tablero.
+   */
+  getDashboard(user, criterios = {}) {
+    const c = ReportService.normalizeCriteria(criterios);
+    const granularidad = CollectionKpiService.granularity(criterios.granularidad);
+    const rows = this.findRows(user, c);
+
+    const estados = {};
+    PaymentStatus.ALL.forEach(e => { estados[e] = 0; });
+    rows.forEach(r => { estados[r.estado] = (estados[r.estado] || 0) + 1; });
+    const procesados = estados[PaymentStatus.PROCESADO] || 0;
+    const rechazados = estados[PaymentStatus.RECHAZADO] || 0;
+    const decididos = procesados + rechazados;
+
+    return {
+      rangeLabel: `${c.campoFecha === 'pago' ? 'Pagos' : 'Envíos'} del ${ReportService.formatIsoDay(c.desde)} al ${ReportService.formatIsoDay(c.hasta)}`,
+      granularidad,
+      totales: ReportService.totals(rows),
+      porPeriodo: CollectionKpiService.aggregate(rows, r => CollectionKpiService.periodKey(CollectionKpiService.dayOf(r, c), granularidad))
+        .sort((a, b) => a.clave.localeCompare(b.clave))
+        .map(g => Object.assign(g, { etiqueta: CollectionKpiService.periodLabel(g.clave, granularidad) })),
+      porSucursal: CollectionKpiService.aggregate(rows, r => r.sucursal || '(sin sucursal)').sort((a, b) => b.usd - a.usd),
+      porBanco: CollectionKpiService.aggregate(rows, r => r.bancoReceptor || '(sin banco)').sort((a, b) => b.usd - a.usd),
+      estados,
+      tasaAprobacion: decididos > 0 ? PaymentAllocation.round(procesados * 100 / decididos) : null,
+      tasaRechazo: decididos > 0 ? PaymentAllocation.round(rechazados * 100 / decididos) : null,
+      revision: CollectionKpiService.reviewTimes(rows),
+      cartera: this.portfolio(user, c, rows)
+    };
+  }
+
+  /**
+   * Registros que componen un agregado del tablero.
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} criterios Los mismos criterios del tablero.
+   * @param {{dimension: string, clave: string}} filtro Dimensión ('periodo', 'sucursal', 'banco',
+   *     'estado' o 'vendedor') y clave del agregado.
+   * @returns {{total: number, registros: Object[]}}
+   */
+  getDetail(user, criterios = {}, filtro = {}) {
+    const c = ReportService.normalizeCriteria(criterios);
+    const granularidad = CollectionKpiService.granularity(criterios.granularidad);
+    const clave = String(filtro.clave ?? '');
+    const claveDe = {
+      periodo: r => CollectionKpiService.periodKey(CollectionKpiService.dayOf(r, c), granularidad),
+      sucursal: r => r.sucursal || '(sin sucursal)',
+      banco: r => r.bancoReceptor || '(sin banco)',
+      estado: r => r.estado,
+      vendedor: r => r.vendedor
+    }[filtro.dimension];
+    if (!claveDe) throw new Error(`Dimensión inválida: ${filtro.dimension}`);
+
+    const rows = this.findRows(user, c).filter(r => claveDe(r) === clave).sort((a, b) => b.timestamp - a.timestamp);
+    return {
+      total: rows.length,
+      registros: rows.slice(0, CollectionKpiService.MAX_DETAIL).map(r => ({
+        idRegistro: r.idRegistro,
+        fecha: r.fecha,
+        fechaPago: r.fechaPago,
+        vendedor: r.vendedor,
+        sucursal: r.sucursal,
+        cliente: r.clienteNombre || r.clienteCodigo,
+        banco: r.bancoReceptor,
+        referencia: r.referencia,
+        monto: r.montoNumero,
+        moneda: r.moneda,
+        montoUsd: r.montoUsd,
+        estado: r.estado
+      }))
+    };
+  }
+
+  findRows(user, c) {
+    return this.reportService.findRecords(user, c).map(data => this.reportService.toReportRow(data));
+  }
+
+  /**
+   * Saldo por cobrar en eFactory frente a lo cobrado en el periodo, por vendedor visible.
+   * Si eFactory no responde, `disponible` es false y solo se informa lo cobrado.
+   */
+  portfolio(user, c, rows) {
+    let vendedores = AccessControl.visibleVendors(user);
+    if (c.vendedor) vendedores = vendedores.filter(v => v.codigo === c.vendedor);
+    if (c.sucursal) vendedores = vendedores.filter(v => v.sucursal === c.sucursal);
+
+    const porVendedor = {};
+    vendedores.forEach(v => {
+      porVendedor[v.nombre] = { clave: v.nombre, vendedor: v.nombre, sucursal: v.sucursal, porCobrarUsd: 0, documentos: 0, cobradoUsd: 0 };
+    });
+    rows.filter(r => r.estado === PaymentStatus.PROCESADO && porVendedor[r.vendedor]).forEach(r => {
+      porVendedor[r.vendedor].cobradoUsd = PaymentAllocation.round(porVendedor[r.vendedor].cobradoUsd + (r.montoUsd || 0));
+    });
+
+    let disponible = true;
+    let error = '';
+    try {
+      const porCodigo = {};
+      vendedores.forEach(v => { porCodigo[v.codigo] = porVendedor[v.nombre]; });
+      this.cobranzaService.getCuentasPorCobrar().forEach(doc => {
+        const fila = porCodigo[doc.codVendedor];
+        if (!fila) return;
+        fila.porCobrarUsd = PaymentAllocation.round(fila.porCobrarUsd + doc.saldoUsd);
+        fila.documentos++;
+      });
+    } catch (e) {
+      Logger.error(`Tablero sin cuentas por cobrar de eFactory: ${e.message}`);
+      disponible = false;
+      error = e.message;
+    }
+
+    const lista = Object.keys(porVendedor).map(k => porVendedor[k])
+      .filter(v => v.porCobrarUsd > 0 || v.cobradoUsd > 0)
+      .sort((a, b) => b.porCobrarUsd - a.porCobrarUsd);
+    const porCobrarUsd = PaymentAllocation.round(lista.reduce((sum, v) => sum + v.porCobrarUsd, 0));
+    const cobradoUsd = PaymentAllocation.round(lista.reduce((sum, v) => sum + v.cobradoUsd, 0));
+    return {
+      disponible,
+      error,
+      porCobrarUsd,
+      cobradoUsd,
+      porcentajeCobrado: porCobrarUsd + cobradoUsd > 0 ? PaymentAllocation.round(cobradoUsd * 100 / (porCobrarUsd + cobradoUsd)) : null,
+      porVendedor: lista
+    };
+  }
+
+  /**
+   * Horas entre el envío y la primera decisión (Procesado o Rechazado) de cada registro.
+   * @returns {{revisados: number, promedioHoras: number|null, maximoHoras: number|null}}
+   */
+  static reviewTimes(rows) {
+    const envios = {};
+    rows.forEach(r => { if (r.idRegistro) envios[r.idRegistro] = r.timestamp; });
+    const decisiones = {};
+    const sheet = SheetManager.getSheet('HistorialEstados');
+    if (sheet.getLastRow() >= 2 && rows.length > 0) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, 6).getValues().forEach(([fecha, id, , , , hacia]) => {
+        const key = String(id);
+        if (!(key in envios) || ![PaymentStatus.PROCESADO, PaymentStatus.RECHAZADO].includes(String(hacia))) return;
+        const t = new Date(fecha).getTime();
+        if (!(key in decisiones) || t < decisiones[key]) decisiones[key] = t;
+      });
+    }
+    const horas = Object.keys(decisiones).map(id => Math.max(0, decisiones[id] - envios[id]) / 3600000);
+    return {
+      revisados: horas.length,
+      promedioHoras: horas.length > 0 ? PaymentAllocation.round(horas.reduce((a, b) => a + b, 0) / horas.length) : null,
+      maximoHoras: horas.length > 0 ? PaymentAllocation.round(Math.max(...horas)) : null
+    };
+  }
+
+  /** Suma por clave: registros, USD, Bs y registros sin tasa. */
+  static aggregate(rows, claveDe) {
+    const grupos = {};
+    rows.forEach(r => {
+      const clave = claveDe(r);
+      const g = grupos[clave] = grupos[clave] || { clave, registros: 0, usd: 0, bs: 0, sinTasa: 0 };
+      g.registros++;
+      g.usd = PaymentAllocation.round(g.usd + (r.montoUsd || 0));
+      g.bs = PaymentAllocation.round(g.bs + (r.montoBs || 0));
+      if (r.montoUsd === null) g.sinTasa++;
+    });
+    return Object.keys(grupos).map(k => grupos[k]);
+  }
+
+  static granularity(value) {
+    const g = String(value || 'dia');
+    if (!CollectionKpiService.GRANULARITIES.includes(g)) throw new Error(`Granularidad inválida: ${value}`);
+    return g;
+  }
+
+  /** Día 'yyyy-MM-dd' que ubica el registro en un periodo, según el campo de fecha del tablero. */
+  static dayOf(r, c) {
+    return (c.campoFecha === 'pago' ? r.fechaPagoIso : r.fechaEnvioIso) || '';
+  }
+
+  /**
+   * Clave del periodo de un día: el mismo día, el lunes de su semana o 'yyyy-MM'.
+   * @param {string} iso 'yyyy-MM-dd'.
+   */
+  static periodKey(iso, granularidad) {
+    if (!iso) return '(sin fecha)';
+    if (granularidad === 'mes') return iso.slice(0, 7);
+    if (granularidad === 'semana') {
+      const [y, m, d] = iso.split('-').map(Number);
+      const fecha = new Date(y, m - 1, d);
+      return ReferenceIndex.formatDay(new Date(y, m - 1, d - ((fecha.getDay() + 6) % 7)));
+    }
+    return iso;
+  }
+
+  static periodLabel(clave, granularidad) {
+    if (!/^\d{4}-/.test(clave)) return clave;
+    if (granularidad === 'mes') return `${clave.slice(5, 7)}/${clave.slice(0, 4)}`;
+    if (granularidad === 'semana') return `Semana del ${ReportService.formatIsoDay(clave)}`;
+    return ReportService.formatIsoDay(clave);
+  }
+}
+CollectionKpiService.GRANULARITIES = ['dia', 'semana', 'mes'];
+CollectionKpiService.MAX_DETAIL = 500;
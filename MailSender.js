@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Envío de correos de la aplicación.
+ * El transporte se elige con la propiedad MAIL_TRANSPORT:
+ * - 'mailapp' (por defecto): envía con MailApp.
+ * - 'log': no envía nada, solo registra destinatario, asunto y cuerpo en el log
+ *   (QA o pruebas locales, p. ej. para leer los códigos de restablecimiento).
+ */
+
+class MailSender {
+  /**
+   * @param {{sendEmail: function(Object): void}} [transport] Transporte con la misma firma
+   *     que MailApp.sendEmail(message); por defecto el configurado en MAIL_TRANSPORT.
+   */
+  constructor(transport = MailSender.defaultTransport()) {
+    this.transport = transport;
+  }
+
+  static defaultTransport() {
+    const name = String(PropertiesService.getScriptProperties().getProperty('MAIL_TRANSPORT') || 'mailapp').toLowerCase();
+    if (name === 'log') return new LogMailTransport();
+    if (name !== 'mailapp') throw new Error(`MAIL_TRANSPORT desconocido: ${name}`);
+    return MailApp;
+  }
+
+  /**
+   * @param {{to: string, subject: string, body: string, htmlBody: string, attachments: GoogleAppsScript.Base.BlobSource[]}} message
+   */
+  send(message) {
+    if (!message.to) throw new Error('El correo no tiene destinatario.');
+    this.transport.sendEmail(Object.assign({ name: MailSender.SENDER_NAME }, message));
+  }
+}
+MailSender.SENDER_NAME = 'Conciliapp';
+
+/** Transporte que solo deja el mensaje en el log. */
+class LogMailTransport {
+  sendEmail(message) {
+    const adjuntos = (message.attachments || []).length;
+    Logger.log(`[MAIL_TRANSPORT=log] Para: ${message.to} | Asunto: ${message.subject} | Adjuntos: ${adjuntos}\n${message.body || ''}`);
+  }
+}
@@ -2,95 +2,326 @@
  * @fileoverview Lógica para el particionamiento de datos en Google Sheets.
  * Gestiona la creación y el acceso a hojas de cálculo particionadas por fecha,
  * vendedor o banco para mejorar el rendimiento y la escalabilidad.
+ *
+ * La estrategia se configura con dos propiedades del script:
+ * - PARTITION_STRATEGY: 'DAILY', 'WEEKLY' o 'MONTHLY' (por defecto).
+ * - PARTITION_BY: 'NONE', 'VENDOR' (por defecto), 'BANK' o 'VENDOR_AND_BANK'.
+ *
+ * El valor por defecto 'VENDOR' conserva el esquema con el que se venía guardando: antes había
+ * dos decidePartitionType globales y el de este archivo, que siempre particionaba por vendedor,
+ * reemplazaba al de Codigo.js (que leía PARTITION_BY con 'NONE' por defecto). Un proyecto sin
+ * PARTITION_BY sigue escribiendo en las mismas hojas V_<vendedor>_yyyy_mes.
+ *
+ * Esquema de nombres (prefijo + periodo):
+ * - Prefijo: 'REG_' | 'V_<vendedor>_' | 'B_<banco>_' | 'V_<vendedor>_B_<banco>_'.
+ * - Periodo: MONTHLY 'yyyy_mes' (2025_sep), WEEKLY 'yyyy_Sww' (semana ISO, 2025_S37),
+ *   DAILY 'yyyy_mes_dd' (2025_sep_03).
+ * Si falta el vendedor o el banco que exige la estrategia, se usa el prefijo general 'REG_'.
+ *
+ * No hay pruebas automáticas: verificarParticionamiento cubre los nombres, su lectura y los
+ * valores por defecto, y debe ejecutarse desde el editor después de cualquier cambio en este archivo.
  */
 
+class PartitionManager {
+  /**
+   * Lee la estrategia configurada.
+   * @param {{getProperty: function(string): ?string}} [props] Por defecto las del script.
+   * @returns {{strategy: string, by: string}}
+   */
+  static getConfig(props = PropertiesService.getScriptProperties()) {
+    const strategy = String(props.getProperty('PARTITION_STRATEGY') || 'MONTHLY').toUpperCase();
+    const by = String(props.getProperty('PARTITION_BY') || 'VENDOR').toUpperCase();
+    if (!PartitionManager.STRATEGIES.includes(strategy)) throw new Error(`PARTITION_STRATEGY desconocida: ${strategy}`);
+    if (!PartitionManager.BY.includes(by)) throw new Error(`PARTITION_BY desconocido: ${by}`);
+    return { strategy, by };
+  }
+
+  /**
+   * Normaliza el tipo recibido por getPartitionName: el objeto {strategy, by} o uno de los
+   * nombres heredados ('vendedor', 'mes', 'banco', 'hibrido').
+   * @param {Object|string} type
+   * @returns {{strategy: string, by: string}}
+   */
+  static normalizeType(type) {
+    if (typeof type === 'string') {
+      const by = PartitionManager.LEGACY_TYPES[type];
+      if (!by) throw new Error(`Tipo de partición desconocido: ${type}`);
+      return { strategy: 'MONTHLY', by };
+    }
+    const strategy = String((type && type.strategy) || 'MONTHLY').toUpperCase();
+    const by = String((type && type.by) || 'NONE').toUpperCase();
+    if (!PartitionManager.STRATEGIES.includes(strategy)) throw new Error(`Estrategia de partición desconocida: ${strategy}`);
+    if (!PartitionManager.BY.includes(by)) throw new Error(`Criterio de partición desconocido: ${by}`);
+    return { strategy, by };
+  }
+
+  static prefix(by, vendedor, banco) {
+    // Caracteres no permitidos en nombres de hoja.
+    vendedor = String(vendedor || '').replace(/[:\\/?*\[\]]/g, '-').trim();
+    banco = String(banco || '').replace(/[:\\/?*\[\]]/g, '-').trim();
+    if (by === 'VENDOR' && vendedor) return `V_${vendedor}_`;
+    if (by === 'BANK' && banco) return `B_${banco}_`;
+    if (by === 'VENDOR_AND_BANK' && vendedor && banco) return `V_${vendedor}_B_${banco}_`;
+    return 'REG_';
+  }
+
+  static periodSuffix(date, strategy) {
+    const yyyy = date.getFullYear();
+    const mes = PartitionManager.MONTHS[date.getMonth()];
+    switch (strategy) {
+      case 'DAILY':
+        return `${yyyy}_${mes}_${String(date.getDate()).padStart(2, '0')}`;
+      case 'WEEKLY': {
+        const { year, week } = PartitionManager.isoWeek(date);
+        return `${year}_S${String(week).padStart(2, '0')}`;
+      }
+      default:
+        return `${yyyy}_${mes}`;
+    }
+  }
+
+  /**
+   * Año y número de semana ISO 8601 (la semana empieza el lunes; la semana 1 contiene el primer jueves).
+   */
+  static isoWeek(date) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayNum = (d.getDay() + 6) % 7; // lunes = 0
+    d.setDate(d.getDate() - dayNum + 3); // jueves de la misma semana
+    const year = d.getFullYear();
+    const firstThursday = new Date(year, 0, 4);
+    firstThursday.setDate(firstThursday.getDate() - ((firstThursday.getDay() + 6) % 7) + 3);
+    const week = 1 + Math.round((d.getTime() - firstThursday.getTime()) / (7 * 86400000));
+    return { year, week };
+  }
+
+  /**
+   * Nombre de la partición para una fecha.
+   * @param {Date} date
+   * @param {{type: (Object|string), vendedor: string, banco: string}} opts
+   * @returns {string}
+   */
+  static nameFor(date, { type, vendedor, banco }) {
+    const { strategy, by } = PartitionManager.normalizeType(type);
+    return PartitionManager.prefix(by, vendedor, banco) + PartitionManager.periodSuffix(date, strategy);
+  }
+
+  /**
+   * Interpreta el nombre de una hoja de partición de cualquier esquema.
+   * @param {string} name
+   * @returns {{name: string, by: string, vendedor: string, banco: string, strategy: string, start: Date, end: Date}|null}
+   *     `start` inclusivo y `end` exclusivo; null si el nombre no es de una partición.
+   */
+  static parse(name) {
+    const m = String(name).match(PartitionManager.NAME_REGEX);
+    if (!m) return null;
+    const [, vbVendedor, vbBanco, vendedor, banco, year, mes, dia, semana] = m;
+    const by = vbVendedor ? 'VENDOR_AND_BANK' : vendedor ? 'VENDOR' : banco ? 'BANK' : 'NONE';
+    const yyyy = Number(year);
+    let strategy, start, end;
+    if (semana) {
+      strategy = 'WEEKLY';
+      start = PartitionManager.isoWeekStart(yyyy, Number(semana));
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+    } else {
+      const month = PartitionManager.MONTHS.indexOf(mes);
+      if (dia) {
+        strategy = 'DAILY';
+        start = new Date(yyyy, month, Number(dia));
+        end = new Date(yyyy, month, Number(dia) + 1);
+      } else {
+        strategy = 'MONTHLY';
+        start = new Date(yyyy, month, 1);
+        end = new Date(yyyy, month + 1, 1);
+      }
+    }
+    return {
+      name: String(name),
+      by,
+      vendedor: vbVendedor || vendedor || '',
+      banco: vbBanco || banco || '',
+      strategy,
+      start,
+      end
+    };
+  }
+
+  static isoWeekStart(year, week) {
+    const jan4 = new Date(year, 0, 4);
+    const monday = new Date(year, 0, 4 - ((jan4.getDay() + 6) % 7));
+    return new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + (week - 1) * 7);
+  }
+
+  static isPartitionName(name) {
+    return PartitionManager.NAME_REGEX.test(String(name));
+  }
+
+  /**
+   * Particiones del libro, opcionalmente filtradas por rango de fechas, vendedor o banco.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+   * @param {{start: Date, end: Date, vendedor: string, banco: string}} [filter] `end` inclusivo.
+   * @returns {Object[]} Particiones interpretadas con `parse`, de la más reciente a la más antigua.
+   */
+  static list(ss, filter = {}) {
+    return ss.getSheets()
+      .map(s => PartitionManager.parse(s.getName()))
+      .filter(Boolean)
+      .filter(p => !filter.start || p.end.getTime() > filter.start.getTime())
+      .filter(p => !filter.end || p.start.getTime() <= filter.end.getTime())
+      .filter(p => !filter.vendedor || p.vendedor === filter.vendedor || p.by === 'NONE' || p.by === 'BANK')
+      .filter(p => !filter.banco || p.banco === filter.banco || p.by === 'NONE' || p.by === 'VENDOR')
+      .sort((a, b) => b.start.getTime() - a.start.getTime() || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Asegura que una hoja de partición exista. Si no existe, la crea con su encabezado.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss El Spreadsheet activo.
+   * @param {string} name El nombre de la hoja a asegurar.
+   * @param {string[]} header El array de strings para el encabezado.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} La hoja de cálculo (existente o nueva).
+   */
+  static ensureSheet(ss, name, header) {
+    let sheet = ss.getSheetByName(name);
+    if (!sheet) {
+      sheet = ss.insertSheet(name);
+      if (header && header.length > 0) {
+        sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      Logger.log(`Se ha creado la nueva hoja de partición: ${name}`);
+    }
+    return sheet;
+  }
+}
+PartitionManager.STRATEGIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+PartitionManager.BY = ['NONE', 'VENDOR', 'BANK', 'VENDOR_AND_BANK'];
+PartitionManager.MONTHS = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
+PartitionManager.LEGACY_TYPES = { vendedor: 'VENDOR', mes: 'NONE', banco: 'BANK', hibrido: 'VENDOR_AND_BANK' };
+PartitionManager.NAME_REGEX = new RegExp(
+  '^(?:REG|V_(.+?)_B_(.+)|V_(.+)|B_(.+))_(\\d{4})_(?:(' + PartitionManager.MONTHS.join('|') + ')(?:_(\\d{2}))?|S(\\d{2}))$');
+
 /**
- * Decide el tipo de partición a utilizar.
- * Modificado para forzar siempre la partición por vendedor.
- * @param {Object} record El registro de datos.
- * @returns {string} Siempre devuelve 'vendedor'.
+ * Decide el tipo de partición a utilizar según las propiedades PARTITION_STRATEGY y PARTITION_BY.
+ * @param {Object} record El registro de datos (no se usa; se mantiene la firma).
+ * @returns {{strategy: string, by: string}}
  */
 function decidePartitionType(record) {
-  // Se fuerza a que la partición sea siempre por vendedor.
-  // Las otras lógicas (banco, híbrido, mes) ya no se usarán.
-  return 'vendedor';
+  return PartitionManager.getConfig();
 }
 
 /**
  * Devuelve el nombre de la partición según la estrategia y los datos proporcionados.
  * @param {Date} date La fecha para la partición.
  * @param {Object} opts Opciones que incluyen el tipo y datos adicionales.
- * @param {string} opts.type Estrategia de partición (ahora siempre 'vendedor').
+ * @param {Object|string} opts.type Resultado de decidePartitionType o un tipo heredado ('vendedor', 'mes', 'banco', 'hibrido').
  * @param {string} [opts.vendedor] Código del vendedor.
- * @param {string} [opts.banco] Nombre del banco receptor (ya no se usa para el nombre).
+ * @param {string} [opts.banco] Nombre del banco receptor.
  * @returns {string} El nombre de la hoja de partición.
  * @throws {Error} Si el tipo de partición es desconocido.
  */
-function getPartitionName(date, { type, vendedor, banco }) {
-  const yyyy = date.getFullYear();
-  const monthNames = ["ene", "feb", "mar", "abr", "may", "jun", "jul", "ago", "sep", "oct", "nov", "dic"];
-  const mm = monthNames[date.getMonth()];
-
-  // La lógica ahora se centra solo en el tipo 'vendedor'.
-  // Se usa 'SIN_VENDEDOR' como fallback si el código no está presente.
-  const vendedorCodigo = vendedor || 'SIN_VENDED_ASIGNADO';
-
-  switch (type) {
-    case 'vendedor':
-      return `V_${vendedorCodigo}_${yyyy}_${mm}`;
-    
-    // Los siguientes casos se mantienen como respaldo, pero no deberían ser llamados
-    // debido al cambio en decidePartitionType.
-    case 'mes':
-      return `REG_${yyyy}_${mm}`;
-    case 'banco':
-      if (!banco) throw new Error('El banco es requerido para la partición por banco.');
-      return `B_${banco}_${yyyy}_${mm}`;
-    case 'hibrido':
-      if (!vendedor || !banco) throw new Error('Vendedor y banco son requeridos para la partición híbrida.');
-      return `V_${vendedor}_B_${banco}_${yyyy}_${mm}`;
-    default:
-      throw new Error(`Tipo de partición desconocido: ${type}`);
-  }
+function getPartitionName(date, opts) {
+  return PartitionManager.nameFor(date, opts);
 }
 
 /**
  * Asegura que una hoja de partición exista. Si no existe, la crea con su encabezado.
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss El Spreadsheet activo.
- * @param {string} name El nombre de la hoja a asegurar.
- * @param {string[]} header El array de strings para el encabezado.
- * @returns {GoogleAppsScript.Spreadsheet.Sheet} La hoja de cálculo (existente o nueva).
  */
 function ensurePartitionSheet(ss, name, header) {
-  let sh = ss.getSheetByName(name);
-  if (!sh) {
-    sh = ss.insertSheet(name);
-    if (header && header.length > 0) {
-      sh.getRange(1, 1, 1, header.length).setValues([header]);
-      sh.setFrozenRows(1);
-    }
-  }
-  return sh;
+  return PartitionManager.ensureSheet(ss, name, header);
 }
 
 /**
- * Función para la rotación mensual de la hoja de respuestas.
- * Crea o asegura la existencia de la hoja de cálculo para el mes actual y el siguiente.
+ * Rotación periódica: con PARTITION_BY = 'NONE' crea por adelantado la partición del periodo
+ * actual y la del siguiente. Las particiones por vendedor o banco se crean al primer envío.
  * Esta función está diseñada para ser ejecutada por un trigger de tiempo.
  */
 function rotacionMensual_() {
+  const config = PartitionManager.getConfig();
+  if (config.by !== 'NONE') {
+    Logger.log(`Rotación: con PARTITION_BY=${config.by} las particiones se crean al primer envío.`);
+    return;
+  }
   const ss = SpreadsheetApp.openById(SheetManager.SPREADSHEET_ID);
-  const now = new Date();
   const header = SheetManager.SHEET_CONFIG['Respuestas'].headers;
+  const now = new Date();
+  const current = PartitionManager.parse(getPartitionName(now, { type: config }));
+  const nombres = [current.name, getPartitionName(current.end, { type: config })];
+  nombres.forEach(name => ensurePartitionSheet(ss, name, header));
+  Logger.log(`Ejecución de rotación. Particiones aseguradas: ${nombres.join(', ')}`);
+}
 
-  // Asegurar la partición del mes actual (tipo mes como genérico)
-  const currentMonthName = getPartitionName(now, {type:'mes'});
-  ensurePartitionSheet(ss, currentMonthName, header);
-
-  // Pre-crear la partición del mes siguiente para evitar cualquier demora el primer día
-  const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  const nextMonthName = getPartitionName(nextMonth, {type:'mes'});
-  ensurePartitionSheet(ss, nextMonthName, header);
-  
-  Logger.log(`Ejecución de rotación mensual. Particiones aseguradas: ${currentMonthName}, ${nextMonthName}`);
-}
\ No newline at end of file
+/**
+ * Crea el trigger de rotación: diario para DAILY/WEEKLY, el día 1 de cada mes para MONTHLY.
+ */
+function crearTriggerRotacionMensual() {
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'rotacionMensual_') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  const builder = ScriptApp.newTrigger('rotacionMensual_').timeBased();
+  if (PartitionManager.getConfig().strategy === 'MONTHLY') {
+    builder.onMonthDay(1).atHour(2).create();
+  } else {
+    builder.everyDays(1).atHour(2).create();
+  }
+  Logger.log('Trigger de rotación creado/actualizado correctamente.');
+}
+
+/**
+ * Verificación del esquema de nombres; ejecutar desde el editor tras modificar este archivo.
+ * Lanza un error con el primer caso que no coincida.
+ */
+function verificarParticionamiento() {
+  const casos = [
+    // [fecha, tipo, vendedor, banco, nombre esperado]
+    [new Date(2025, 8, 3), { strategy: 'MONTHLY', by: 'NONE' }, '001', 'Banesco', 'REG_2025_sep'],
+    [new Date(2025, 8, 3), { strategy: 'MONTHLY', by: 'VENDOR' }, '001', 'Banesco', 'V_001_2025_sep'],
+    [new Date(2025, 8, 3), { strategy: 'MONTHLY', by: 'BANK' }, '001', 'Banesco', 'B_Banesco_2025_sep'],
+    [new Date(2025, 8, 3), { strategy: 'MONTHLY', by: 'VENDOR_AND_BANK' }, '001', 'Banesco', 'V_001_B_Banesco_2025_sep'],
+    [new Date(2025, 8, 3), { strategy: 'DAILY', by: 'VENDOR' }, '001', '', 'V_001_2025_sep_03'],
+    [new Date(2025, 8, 3), { strategy: 'WEEKLY', by: 'NONE' }, '', '', 'REG_2025_S36'],
+    [new Date(2024, 11, 30), { strategy: 'WEEKLY', by: 'BANK' }, '', 'Mercantil', 'B_Mercantil_2025_S01'],
+    [new Date(2021, 0, 3), { strategy: 'WEEKLY', by: 'NONE' }, '', '', 'REG_2020_S53'],
+    [new Date(2025, 8, 3), { strategy: 'MONTHLY', by: 'VENDOR' }, '', '', 'REG_2025_sep'],
+    [new Date(2025, 8, 3), 'vendedor', '001', '', 'V_001_2025_sep'],
+    [new Date(2025, 8, 3), 'mes', '001', '', 'REG_2025_sep']
+  ];
+  casos.forEach(([fecha, type, vendedor, banco, esperado]) => {
+    const nombre = getPartitionName(fecha, { type, vendedor, banco });
+    if (nombre !== esperado) throw new Error(`getPartitionName: esperado ${esperado}, obtenido ${nombre}`);
+    const parsed = PartitionManager.parse(nombre);
+    if (!parsed || fecha < parsed.start || fecha >= parsed.end) {
+      throw new Error(`parse(${nombre}) no contiene la fecha ${fecha}`);
+    }
+  });
+
+  const lecturas = [
+    // [nombre, by, vendedor, banco, strategy]
+    ['V_001_B_Banco_de_Venezuela_2025_oct', 'VENDOR_AND_BANK', '001', 'Banco_de_Venezuela', 'MONTHLY'],
+    ['V_SIN_VENDED_ASIGNADO_2025_ene', 'VENDOR', 'SIN_VENDED_ASIGNADO', '', 'MONTHLY'],
+    ['B_Banesco_2025_S09', 'BANK', '', 'Banesco', 'WEEKLY'],
+    ['REG_2025_dic_31', 'NONE', '', '', 'DAILY']
+  ];
+  lecturas.forEach(([nombre, by, vendedor, banco, strategy]) => {
+    const p = PartitionManager.parse(nombre);
+    if (!p || p.by !== by || p.vendedor !== vendedor || p.banco !== banco || p.strategy !== strategy) {
+      throw new Error(`parse(${nombre}) devolvió ${JSON.stringify(p)}`);
+    }
+  });
+  ['Respuestas', 'IDX', 'REG_2025', 'V_001_2025_septiembre'].forEach(nombre => {
+    if (PartitionManager.isPartitionName(nombre)) throw new Error(`${nombre} no debería ser una partición`);
+  });
+
+  // Sin propiedades: mensual por vendedor, el esquema anterior (ver el encabezado).
+  const porDefecto = PartitionManager.getConfig({ getProperty: () => null });
+  if (porDefecto.strategy !== 'MONTHLY' || porDefecto.by !== 'VENDOR') {
+    throw new Error(`getConfig sin propiedades devolvió ${JSON.stringify(porDefecto)}`);
+  }
+  const configurada = PartitionManager.getConfig({ getProperty: k => ({ PARTITION_STRATEGY: 'weekly', PARTITION_BY: 'bank' })[k] });
+  if (configurada.strategy !== 'WEEKLY' || configurada.by !== 'BANK') {
+    throw new Error(`getConfig con propiedades devolvió ${JSON.stringify(configurada)}`);
+  }
+
+  Logger.log(`verificarParticionamiento: ${casos.length + lecturas.length + 6} casos correctos.`);
+}
@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Migración de particiones a un nuevo esquema y archivo de particiones antiguas.
+ *
+ * Son operaciones de administrador que se ejecutan desde el editor:
+ * - simularMigracionParticiones / iniciarMigracionParticiones(strategy, by): mueve cada fila
+ *   a la partición que le corresponde con el nuevo esquema (ver PartitionManager.js.js).
+ * - simularArchivoParticiones / iniciarArchivoParticiones(meses): traslada las particiones cuyo
+ *   periodo terminó hace más de `meses` meses a un libro aparte (propiedad ARCHIVO_SPREADSHEET_ID;
+ *   si no existe se crea uno).
+ *
+ * La simulación solo escribe el informe en la hoja `ReporteMigracion`. La ejecución real guarda su
+ * avance en la propiedad PARTITION_MIGRATION_JOB y, al acercarse al límite de tiempo de Apps Script,
+ * se reprograma con un trigger para continuar. Cada partición se procesa de forma idempotente
+ * (las filas se copian saltando los `id_registro` que ya estén en el destino y después se quitan
+ * del origen), así que una ejecución interrumpida puede retomarse sin duplicar ni perder registros.
+ */
+
+class PartitionMigrationJob {
+  /**
+   * @param {Object} state Estado persistido del trabajo.
+   */
+  constructor(state) {
+    this.state = state;
+  }
+
+  static load() {
+    const raw = PropertiesService.getScriptProperties().getProperty(PartitionMigrationJob.PROPERTY);
+    return raw ? new PartitionMigrationJob(JSON.parse(raw)) : null;
+  }
+
+  save() {
+    PropertiesService.getScriptProperties().setProperty(PartitionMigrationJob.PROPERTY, JSON.stringify(this.state));
+  }
+
+  static clear() {
+    PropertiesService.getScriptProperties().deleteProperty(PartitionMigrationJob.PROPERTY);
+    PartitionMigrationJob.deleteContinuationTriggers();
+  }
+
+  /**
+   * Crea un trabajo nuevo con la lista de particiones a procesar.
+   * @param {string} tipo PartitionMigrationJob.REPARTITION o PartitionMigrationJob.ARCHIVE.
+   * @param {Object} params {strategy, by} para re-particionar; {meses} para archivar.
+   */
+  static create(tipo, params) {
+    if (PartitionMigrationJob.load()) {
+      throw new Error('Ya hay una migración en curso. Consulte estadoMigracionParticiones o cancélela.');
+    }
+    const ss = RecordRepository.getSpreadsheet();
+    let pendientes;
+    if (tipo === PartitionMigrationJob.REPARTITION) {
+      params = PartitionManager.normalizeType(params);
+      pendientes = PartitionManager.list(ss).map(p => p.name);
+    } else {
+      pendientes = PartitionMigrationJob.partitionsToArchive(ss, params.meses).map(p => p.name);
+    }
+    return new PartitionMigrationJob({
+      tipo,
+      params,
+      pendientes,
+      procesadas: [],
+      filasMovidas: 0,
+      iniciado: new Date().toISOString(),
+      actualizado: new Date().toISOString()
+    });
+  }
+
+  static partitionsToArchive(ss, meses) {
+    const n = Number(meses);
+    if (!(n >= 1)) throw new Error('Indique la cantidad de meses a conservar (1 o más).');
+    const now = new Date();
+    const limite = new Date(now.getFullYear(), now.getMonth() - n, 1);
+    return PartitionManager.list(ss).filter(p => p.end.getTime() <= limite.getTime());
+  }
+
+  /**
+   * Partición destino de un registro con el esquema indicado. Los registros guardan el nombre
+   * del vendedor; la partición usa su código, igual que en submitData.
+   */
+  targetFor(data) {
+    if (!this.codigos) {
+      this.codigos = {};
+      new DataFetcher().fetchAllVendedoresFromSheet().forEach(v => { this.codigos[v.nombre] = v.codigo; });
+    }
+    const vendedor = String(data.Vendedor || '').trim();
+    const fecha = new Date(data.Timestamp);
+    return getPartitionName(isNaN(fecha.getTime()) ? new Date() : fecha, {
+      type: this.state.params,
+      vendedor: this.codigos[vendedor] || vendedor,
+      banco: String(data['Banco Receptor'] || '').trim()
+    });
+  }
+
+  /**
+   * Informe de lo que movería el trabajo, sin modificar particiones.
+   * @returns {{origen: string, destino: string, filas: number}[]}
+   */
+  simulate() {
+    const ss = RecordRepository.getSpreadsheet();
+    const filas = [];
+    this.state.pendientes.forEach(name => {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) return;
+      if (this.state.tipo === PartitionMigrationJob.ARCHIVE) {
+        filas.push({ origen: name, destino: `${ReferenceIndex.ARCHIVED}:${name}`, filas: Math.max(sheet.getLastRow() - 1, 0) });
+        return;
+      }
+      const conteo = {};
+      RecordRepository.readSheet(sheet).forEach(r => {
+        const destino = this.targetFor(r.data);
+        conteo[destino] = (conteo[destino] || 0) + 1;
+      });
+      Object.keys(conteo).forEach(destino => filas.push({ origen: name, destino, filas: conteo[destino] }));
+    });
+    PartitionMigrationJob.writeReport(this.state, filas);
+    return filas;
+  }
+
+  static writeReport(state, filas) {
+    const sheet = SheetManager.getSheet('ReporteMigracion');
+    if (sheet.getLastRow() > 1) sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+    const generado = new Date();
+    const descripcion = state.tipo === PartitionMigrationJob.ARCHIVE
+      ? `Archivar > ${state.params.meses} meses`
+      : `Re-particionar ${state.params.strategy}/${state.params.by}`;
+    const rows = filas.map(f => [generado, descripcion, f.origen, f.destino, f.filas, f.origen === f.destino ? 'Sin cambio' : 'Mover']);
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  /**
+   * Procesa particiones hasta agotar la lista o el tiempo disponible.
+   * @returns {boolean} true si terminó.
+   */
+  run() {
+    const inicio = new Date().getTime();
+    const ss = RecordRepository.getSpreadsheet();
+    while (this.state.pendientes.length > 0) {
+      if (new Date().getTime() - inicio > PartitionMigrationJob.TIME_BUDGET_MS) {
+        this.save();
+        PartitionMigrationJob.scheduleContinuation();
+        Logger.log(`Migración pausada: quedan ${this.state.pendientes.length} particiones.`);
+        return false;
+      }
+      const name = this.state.pendientes[0];
+      const lock = LockService.getScriptLock();
+      lock.waitLock(30000);
+      try {
+        const sheet = ss.getSheetByName(name);
+        if (sheet) {
+          this.state.filasMovidas += this.state.tipo === PartitionMigrationJob.ARCHIVE
+            ? this.archivePartition(sheet)
+            : this.repartition(ss, sheet);
+        }
+      } finally {
+        lock.releaseLock();
+      }
+      this.state.pendientes.shift();
+      this.state.procesadas.push(name);
+      this.state.actualizado = new Date().toISOString();
+      this.save();
+    }
+
+    // Los índices apuntan a las particiones anteriores.
+    RecordIndex.rebuild();
+    const ubicaciones = {};
+    const idx = RecordIndex.getSheet();
+    if (idx.getLastRow() > 1) {
+      RecordIndex.readEntries(idx, 2, idx.getLastRow() - 1).forEach(e => { ubicaciones[e.idRegistro] = e.particion; });
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      ReferenceIndex.updatePartitions(ubicaciones);
+    } finally {
+      lock.releaseLock();
+    }
+    Logger.log(`Migración terminada: ${this.state.procesadas.length} particiones, ${this.state.filasMovidas} filas movidas.`);
+    PartitionMigrationJob.clear();
+    return true;
+  }
+
+  /**
+   * Mueve las filas de una partición a sus destinos con el nuevo esquema.
+   * @returns {number} Filas movidas a otras particiones.
+   */
+  repartition(ss, sheet) {
+    const name = sheet.getName();
+    const header = SheetManager.SHEET_CONFIG['Respuestas'].headers;
+    const grupos = {};
+    const quedan = [];
+    const registros = RecordRepository.readSheet(sheet);
+    registros.forEach(r => {
+      const destino = this.targetFor(r.data);
+      if (destino === name) {
+        quedan.push(r);
+      } else {
+        (grupos[destino] = grupos[destino] || []).push(r.data);
+      }
+    });
+
+    let movidas = 0;
+    Object.keys(grupos).forEach(destino => {
+      const target = ensurePartitionSheet(ss, destino, header);
+      PartitionMigrationJob.appendMissing(target, grupos[destino]);
+      movidas += grupos[destino].length;
+    });
+
+    if (quedan.length === 0) {
+      ss.deleteSheet(sheet);
+    } else if (movidas > 0) {
+      // Se reescribe el origen solo con las filas que siguen perteneciéndole.
+      const width = sheet.getLastColumn();
+      const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+      const keep = quedan.map(r => values[r.rowIndex - 2]);
+      sheet.getRange(2, 1, values.length, width).clearContent();
+      sheet.getRange(2, 1, keep.length, width).setValues(keep);
+    }
+    Logger.log(`Partición ${name}: ${movidas} filas movidas, ${quedan.length} conservadas.`);
+    return movidas;
+  }
+
+  /**
+   * Agrega al destino los registros cuyo `id_registro` aún no esté en él.
+   */
+  static appendMissing(target, records) {
+    const headerMap = RecordRepository.ensureColumns(target, records.reduce((names, data) => {
+      Object.keys(data).forEach(k => { if (k && !names.includes(k)) names.push(k); });
+      return names;
+    }, []));
+    const existentes = new Set();
+    if (target.getLastRow() > 1) {
+      target.getRange(2, headerMap['id_registro'] + 1, target.getLastRow() - 1, 1).getValues()
+        .forEach(([id]) => existentes.add(String(id)));
+    }
+    const width = target.getLastColumn();
+    const rows = records
+      .filter(data => !data.id_registro || !existentes.has(String(data.id_registro)))
+      .map(data => {
+        const row = new Array(width).fill('');
+        Object.keys(data).forEach(k => { if (k in headerMap) row[headerMap[k]] = data[k] ?? ''; });
+        return row;
+      });
+    if (rows.length > 0) target.getRange(target.getLastRow() + 1, 1, rows.length, width).setValues(rows);
+  }
+
+  /**
+   * Copia una partición al libro de archivo y la elimina del libro principal.
+   * Si la copia ya existe con las mismas filas (ejecución interrumpida), solo elimina el original.
+   * Los comprobantes de sus registros pasan al árbol 'Archivo' de la carpeta de comprobantes.
+   * @returns {number} Filas archivadas.
+   */
+  archivePartition(sheet) {
+    const name = sheet.getName();
+    const archivo = PartitionMigrationJob.getArchiveSpreadsheet();
+    const filas = Math.max(sheet.getLastRow() - 1, 0);
+    let copia = archivo.getSheetByName(name);
+    if (copia && copia.getLastRow() - 1 !== filas) {
+      archivo.deleteSheet(copia);
+      copia = null;
+    }
+    if (!copia) {
+      copia = sheet.copyTo(archivo);
+      copia.setName(name);
+    }
+    if (copia.getLastRow() - 1 !== filas) {
+      throw new Error(`La copia archivada de ${name} no coincide con el original; no se elimina.`);
+    }
+    const comprobantes = ReceiptStorage.archive(RecordRepository.readSheet(sheet).map(r => r.data));
+    sheet.getParent().deleteSheet(sheet);
+    Logger.log(`Partición ${name} archivada (${filas} filas, ${comprobantes} comprobantes).`);
+    return filas;
+  }
+
+  static getArchiveSpreadsheet() {
+    const props = PropertiesService.getScriptProperties();
+    const id = props.getProperty('ARCHIVO_SPREADSHEET_ID');
+    if (id) return SpreadsheetApp.openById(id);
+    // Si se perdió la propiedad, se reutiliza el libro de archivo existente en lugar de crear otro.
+    const nombre = `${RecordRepository.getSpreadsheet().getName()} - Archivo`;
+    const existentes = DriveApp.getFilesByName(nombre);
+    let archivo = null;
+    while (!archivo && existentes.hasNext()) {
+      const file = existentes.next();
+      if (file.getMimeType() === MimeType.GOOGLE_SHEETS) archivo = SpreadsheetApp.open(file);
+    }
+    if (!archivo) archivo = SpreadsheetApp.create(nombre);
+    props.setProperty('ARCHIVO_SPREADSHEET_ID', archivo.getId());
+    Logger.log(`Libro de archivo: ${archivo.getUrl()}`);
+    return archivo;
+  }
+
+  static scheduleContinuation() {
+    PartitionMigrationJob.deleteContinuationTriggers();
+    ScriptApp.newTrigger('continuarMigracionParticiones_').timeBased().after(60 * 1000).create();
+  }
+
+  static deleteContinuationTriggers() {
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() === 'continuarMigracionParticiones_') {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    });
+  }
+}
+PartitionMigrationJob.PROPERTY = 'PARTITION_MIGRATION_JOB';
+PartitionMigrationJob.REPARTITION = 'reparticionar';
+PartitionMigrationJob.ARCHIVE = 'archivar';
+// Margen bajo el límite de 6 minutos por ejecución.
+PartitionMigrationJob.TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+/**
+ * Informe (sin cambios) de cómo quedarían las particiones con otro esquema.
+ * Ej.: simularMigracionParticiones('MONTHLY', 'VENDOR')
+ */
+function simularMigracionParticiones(strategy, by) {
+  const params = PartitionManager.normalizeType({ strategy, by });
+  const ss = RecordRepository.getSpreadsheet();
+  const job = new PartitionMigrationJob({
+    tipo: PartitionMigrationJob.REPARTITION,
+    params,
+    pendientes: PartitionManager.list(ss).map(p => p.name)
+  });
+  const filas = job.simulate();
+  const mover = filas.filter(f => f.origen !== f.destino).reduce((sum, f) => sum + f.filas, 0);
+  Logger.log(`Simulación: ${mover} filas cambiarían de partición. Detalle en la hoja ReporteMigracion.`);
+  return filas;
+}
+
+/**
+ * Re-particiona todos los registros al esquema indicado. Fija PARTITION_STRATEGY y PARTITION_BY
+ * al comenzar, para que los envíos nuevos ya usen el esquema destino.
+ */
+function iniciarMigracionParticiones(strategy, by) {
+  const job = PartitionMigrationJob.create(PartitionMigrationJob.REPARTITION, { strategy, by });
+  const { params } = job.state;
+  PropertiesService.getScriptProperties().setProperties({ PARTITION_STRATEGY: params.strategy, PARTITION_BY: params.by });
+  job.save();
+  return job.run();
+}
+
+/**
+ * Informe (sin cambios) de las particiones que se archivarían conservando `meses` meses.
+ */
+function simularArchivoParticiones(meses) {
+  const ss = RecordRepository.getSpreadsheet();
+  const job = new PartitionMigrationJob({
+    tipo: PartitionMigrationJob.ARCHIVE,
+    params: { meses },
+    pendientes: PartitionMigrationJob.partitionsToArchive(ss, meses).map(p => p.name)
+  });
+  const filas = job.simulate();
+  Logger.log(`Simulación: ${filas.length} particiones se archivarían. Detalle en la hoja ReporteMigracion.`);
+  return filas;
+}
+
+/**
+ * Archiva las particiones cuyo periodo terminó hace más de `meses` meses.
+ */
+function iniciarArchivoParticiones(meses) {
+  const job = PartitionMigrationJob.create(PartitionMigrationJob.ARCHIVE, { meses });
+  job.save();
+  return job.run();
+}
+
+/**
+ * Handler del trigger que retoma una migración pausada por tiempo.
+ */
+function continuarMigracionParticiones_() {
+  PartitionMigrationJob.deleteContinuationTriggers();
+  const job = PartitionMigrationJob.load();
+  if (job) job.run();
+}
+
+function estadoMigracionParticiones() {
+  const job = PartitionMigrationJob.load();
+  const estado = job ? job.state : null;
+  Logger.log(estado ? JSON.stringify(estado) : 'No hay migraciones en curso.');
+  return estado;
+}
+
+/**
+ * Cancela la migración en curso. Las particiones ya procesadas quedan en el nuevo esquema;
+ * puede volver a iniciarse y retomará solo lo que falte.
+ */
+function cancelarMigracionParticiones() {
+  PartitionMigrationJob.clear();
+  Logger.log('Migración cancelada.');
+}
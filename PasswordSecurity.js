@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Almacenamiento de contraseñas y protección del login.
+ *
+ * Formato de hash:
+ * - v1 (heredado): base64 de HMAC-SHA256(contraseña, AUTH_SECRET_KEY), sin sal.
+ * - v2: 'v2$<iteraciones>$<sal>$<hash>', PBKDF2-HMAC-SHA256 con sal aleatoria por usuario
+ *   sobre la contraseña ya firmada con AUTH_SECRET_KEY (que actúa de pimienta).
+ * Al iniciar sesión con un hash v1, o v2 con menos iteraciones que las configuradas
+ * (propiedad PASSWORD_ITERATIONS), la contraseña se vuelve a guardar con el formato vigente.
+ *
+ * LoginThrottle cuenta los intentos fallidos por cuenta y por origen. El origen es el
+ * identificador de dispositivo que envía Auth.html (Apps Script no expone la IP del cliente),
+ * por lo que es una medida de mejor esfuerzo: la protección real es el bloqueo de la cuenta.
+ */
+
+class PasswordHasher {
+  static iterations() {
+    const value = Number(PropertiesService.getScriptProperties().getProperty('PASSWORD_ITERATIONS'));
+    return value >= 1000 ? value : PasswordHasher.DEFAULT_ITERATIONS;
+  }
+
+  /**
+   * @param {string} password
+   * @returns {string} Hash en el formato vigente.
+   */
+  static hash(password) {
+    const salt = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + new Date().getTime())
+      .slice(0, PasswordHasher.SALT_BYTES);
+    const iterations = PasswordHasher.iterations();
+    const derived = PasswordHasher.pbkdf2(PasswordHasher.pepper(password), salt, iterations);
+    return [PasswordHasher.VERSION, iterations, Utilities.base64Encode(salt), Utilities.base64Encode(derived)].join('$');
+  }
+
+  /**
+   * @param {string} password
+   * @param {string} stored Hash guardado en 'Usuarios'.
+   * @returns {{valid: boolean, needsUpgrade: boolean}}
+   */
+  static verify(password, stored) {
+    const value = String(stored || '');
+    const parts = value.split('$');
+    if (parts.length === 1) {
+      const legacy = Utilities.base64Encode(PasswordHasher.pepper(password));
+      return { valid: PasswordHasher.equals(legacy, value), needsUpgrade: true };
+    }
+    const [version, iterations, salt, hash] = parts;
+    if (version !== PasswordHasher.VERSION || parts.length !== 4) {
+      Logger.error(`Formato de hash de contraseña desconocido: ${version}`);
+      return { valid: false, needsUpgrade: false };
+    }
+    const derived = PasswordHasher.pbkdf2(PasswordHasher.pepper(password), Utilities.base64Decode(salt), Number(iterations));
+    return {
+      valid: PasswordHasher.equals(Utilities.base64Encode(derived), hash),
+      needsUpgrade: Number(iterations) < PasswordHasher.iterations()
+    };
+  }
+
+  /** HMAC-SHA256 de la contraseña con AUTH_SECRET_KEY (el hash v1 completo). */
+  static pepper(password) {
+    const secret = PropertiesService.getScriptProperties().getProperty(SECRET_KEY_PROPERTY);
+    return Utilities.computeHmacSha256Signature(String(password), secret);
+  }
+
+  /**
+   * PBKDF2-HMAC-SHA256 de un solo bloque (32 bytes).
+   * @param {number[]} password Bytes de la clave.
+   * @param {number[]} salt
+   * @param {number} iterations
+   * @returns {number[]}
+   */
+  static pbkdf2(password, salt, iterations) {
+    let u = Utilities.computeHmacSha256Signature(salt.concat([0, 0, 0, 1]), password);
+    const result = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      u = Utilities.computeHmacSha256Signature(u, password);
+      for (let j = 0; j < result.length; j++) result[j] ^= u[j];
+    }
+    return result;
+  }
+
+  /** Comparación en tiempo constante respecto del contenido. */
+  static equals(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+}
+PasswordHasher.VERSION = 'v2';
+PasswordHasher.DEFAULT_ITERATIONS = 5000;
+PasswordHasher.SALT_BYTES = 16;
+
+class LoginThrottle {
+  /**
+   * @param {string} origen Identificador del dispositivo que envía el login.
+   * @returns {boolean} true si el origen superó los intentos permitidos en la ventana.
+   */
+  static isSourceBlocked(origen) {
+    return LoginThrottle.count(LoginThrottle.key('src', origen)) >= LoginThrottle.MAX_SOURCE_FAILURES;
+  }
+
+  /**
+   * Registra un intento fallido.
+   * @returns {number} Intentos fallidos de la cuenta dentro de la ventana (0 si no hay cuenta).
+   */
+  static registerFailure(origen, email) {
+    LoginThrottle.increment(LoginThrottle.key('src', origen));
+    return email ? LoginThrottle.increment(LoginThrottle.key('acct', email)) : 0;
+  }
+
+  /** true mientras dure el bloqueo temporal de la cuenta (ver lockAccount). */
+  static isAccountLocked(email) {
+    return !!CacheService.getScriptCache().get(LoginThrottle.key('lock', email));
+  }
+
+  /**
+   * Bloquea la cuenta por LOCKOUT_SECONDS. El bloqueo vence solo: quien conoce un correo puede
+   * demorar el acceso de esa cuenta, pero no dejarla bloqueada hasta que intervenga un administrador.
+   */
+  static lockAccount(email) {
+    const cache = CacheService.getScriptCache();
+    cache.put(LoginThrottle.key('lock', email), '1', LoginThrottle.LOCKOUT_SECONDS);
+    cache.remove(LoginThrottle.key('acct', email));
+  }
+
+  static clearAccount(email) {
+    CacheService.getScriptCache().removeAll([LoginThrottle.key('acct', email), LoginThrottle.key('lock', email)]);
+  }
+
+  static key(tipo, value) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(value || 'desconocido').toLowerCase());
+    return `login_${tipo}_${Utilities.base64EncodeWebSafe(digest)}`;
+  }
+
+  static count(key) {
+    return Number(CacheService.getScriptCache().get(key)) || 0;
+  }
+
+  // La ventana se reinicia con cada fallo: se bloquea tras N fallos sin pausas de WINDOW_SECONDS.
+  static increment(key) {
+    const total = LoginThrottle.count(key) + 1;
+    CacheService.getScriptCache().put(key, String(total), LoginThrottle.WINDOW_SECONDS);
+    return total;
+  }
+}
+LoginThrottle.MAX_ACCOUNT_FAILURES = 5;
+LoginThrottle.MAX_SOURCE_FAILURES = 20;
+LoginThrottle.WINDOW_SECONDS = 15 * 60;
+LoginThrottle.LOCKOUT_SECONDS = 15 * 60;
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Distribución de un pago entre varias facturas.
+ * Cada pago guarda en `DistribucionFacturas` un JSON con el monto aplicado a cada
+ * documento de `cuentas_cobrar` y en `SaldoAFavor` el excedente no aplicado, para
+ * que los reportes y el registro en eFactory usen la misma distribución.
+ */
+
+class PaymentAllocation {
+  /**
+   * Valida la distribución enviada por el cliente contra los saldos pendientes.
+   * Si el cliente no envía distribución, el monto se aplica en el orden de las facturas
+   * hasta cubrir el saldo de cada una.
+   * @param {{documento: string, monto: number}[]|null} distribucion Montos por factura.
+   * @param {string[]} documentos Facturas seleccionadas.
+   * @param {{documento: string, mon_sal: number}[]} pendientes Facturas con saldo (de fetchFacturasFromApi).
+   * @param {number} montoPagado Monto total del pago.
+   * @returns {{lineas: {documento: string, monto: number, saldoAnterior: number, saldoRestante: number}[], saldoAFavor: number}}
+   */
+  static build(distribucion, documentos, pendientes, montoPagado) {
+    const saldos = {};
+    pendientes.forEach(f => { saldos[f.documento] = Number(f.mon_sal) || 0; });
+    documentos.forEach(doc => {
+      if (!(doc in saldos)) throw new Error(`La factura ${doc} no tiene saldo pendiente.`);
+    });
+
+    const solicitada = (distribucion && distribucion.length > 0)
+      ? distribucion.map(d => ({ documento: String(d.documento || '').trim(), monto: PaymentAllocation.round(parseFloat(d.monto)) }))
+      : PaymentAllocation.autoAllocate(documentos, saldos, montoPagado);
+
+    const vistos = new Set();
+    solicitada.forEach(d => {
+      if (!documentos.includes(d.documento)) throw new Error(`La factura ${d.documento} no está entre las seleccionadas.`);
+      if (vistos.has(d.documento)) throw new Error(`La factura ${d.documento} está repetida en la distribución.`);
+      vistos.add(d.documento);
+      if (isNaN(d.monto) || d.monto <= 0) throw new Error(`Monto inválido para la factura ${d.documento}.`);
+      if (d.monto > saldos[d.documento] + PaymentAllocation.EPSILON) {
+        throw new Error(`El monto aplicado a ${d.documento} (${d.monto.toFixed(2)}) supera su saldo pendiente (${saldos[d.documento].toFixed(2)}).`);
+      }
+    });
+
+    const aplicado = PaymentAllocation.round(solicitada.reduce((sum, d) => sum + d.monto, 0));
+    if (aplicado > montoPagado + PaymentAllocation.EPSILON) {
+      throw new Error(`La suma distribuida (${aplicado.toFixed(2)}) supera el monto pagado (${montoPagado.toFixed(2)}).`);
+    }
+
+    return {
+      lineas: solicitada.map(d => ({
+        documento: d.documento,
+        monto: d.monto,
+        saldoAnterior: saldos[d.documento],
+        saldoRestante: PaymentAllocation.round(saldos[d.documento] - d.monto)
+      })),
+      saldoAFavor: PaymentAllocation.round(Math.max(0, montoPagado - aplicado))
+    };
+  }
+
+  static autoAllocate(documentos, saldos, montoPagado) {
+    let restante = montoPagado;
+    return documentos
+      .map(documento => {
+        const monto = PaymentAllocation.round(Math.min(restante, saldos[documento]));
+        restante = PaymentAllocation.round(restante - monto);
+        return { documento, monto };
+      })
+      .filter(d => d.monto > 0);
+  }
+
+  /**
+   * Lee la distribución guardada en un registro.
+   * @param {*} value El valor de la columna DistribucionFacturas.
+   * @returns {{documento: string, monto: number}[]} Lista vacía si el registro es anterior a la distribución.
+   */
+  static parse(value) {
+    if (!value) return [];
+    try {
+      const lineas = JSON.parse(String(value));
+      return Array.isArray(lineas) ? lineas : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static round(n) {
+    return Math.round(n * 100) / 100;
+  }
+}
+PaymentAllocation.EPSILON = 0.005;
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Ciclo de vida del estado de un pago (`EstadoAnalista`).
+ * Define las transiciones permitidas por rol, las valida en el servidor y
+ * registra cada cambio en la hoja 'HistorialEstados'.
+ */
+
+class PaymentStatus {
+  /**
+   * Normaliza el estado almacenado; un estado vacío equivale a 'Pendiente'.
+   * @param {string} status El valor de la columna EstadoAnalista.
+   * @returns {string}
+   */
+  static normalize(status) {
+    return String(status || '').trim() || PaymentStatus.PENDIENTE;
+  }
+
+  /**
+   * Estados a los que un rol puede llevar un registro desde su estado actual.
+   * Los roles con permiso 'revision.estado' actúan como 'Analista'; el resto como 'Vendedor'.
+   * @param {string} from Estado actual.
+   * @param {string} role Rol del usuario.
+   * @returns {string[]}
+   */
+  static allowedTransitions(from, role) {
+    const targets = PaymentStatus.TRANSITIONS[PaymentStatus.normalize(from)] || {};
+    const actor = AccessControl.statusActor(role);
+    return Object.keys(targets).filter(to => targets[to].includes(actor));
+  }
+
+  /**
+   * Lanza un error si la transición no está permitida para el rol.
+   * @param {string} from Estado actual.
+   * @param {string} to Estado destino.
+   * @param {string} role Rol del usuario.
+   */
+  static assertTransition(from, to, role) {
+    if (!PaymentStatus.ALL.includes(to)) {
+      throw new Error(`Estado inválido: ${to}`);
+    }
+    const current = PaymentStatus.normalize(from);
+    if (!PaymentStatus.allowedTransitions(current, role).includes(to)) {
+      throw new Error(`No se permite pasar de '${current}' a '${to}' con el rol ${role}.`);
+    }
+  }
+
+  /**
+   * Aplica una transición de estado a un registro y la registra en el historial.
+   * @param {Object} user El usuario de la sesión (email y role).
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @param {string} to Estado destino.
+   * @param {string} [comment] Comentario de la transición.
+   * @param {function(Object): void} [authorize] Verificación adicional sobre el registro encontrado; debe lanzar si no procede.
+   * @returns {{from: string, to: string}} La transición aplicada.
+   */
+  static transition(user, idRegistro, to, comment, authorize) {
+    const comentario = String(comment || '').trim();
+    if (PaymentStatus.COMMENT_REQUIRED.includes(to) && !comentario) {
+      throw new Error(`Debe indicar un comentario para marcar el registro como ${to}.`);
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const found = RecordRepository.findById(idRegistro);
+      if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+      if (authorize) authorize(found);
+
+      const from = PaymentStatus.normalize(found.data.EstadoAnalista);
+      PaymentStatus.assertTransition(from, to, user.role);
+
+      const fields = { EstadoAnalista: to };
+      if (AccessControl.statusActor(user.role) === 'Analista') {
+        fields.ComentarioAnalista = comentario;
+        fields.AnalistaAsignado = user.email;
+      }
+      RecordRepository.updateFields(idRegistro, fields);
+      StatusHistory.append(idRegistro, user, from, to, comentario);
+      AuditLog.record(user, 'registro.estado', 'Registro', idRegistro,
+        { estado: from }, Object.assign({ estado: to }, comentario ? { comentario } : {}));
+
+      Logger.log(`Registro ${idRegistro}: ${from} -> ${to} por ${user.email}.`);
+      return { from, to };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+}
+PaymentStatus.PENDIENTE = 'Pendiente';
+PaymentStatus.EN_REVISION = 'En revisión';
+PaymentStatus.PROCESADO = 'Procesado';
+PaymentStatus.RECHAZADO = 'Rechazado';
+PaymentStatus.REENVIADO = 'Reenviado';
+PaymentStatus.ALL = ['Pendiente', 'En revisión', 'Procesado', 'Rechazado', 'Reenviado'];
+PaymentStatus.COMMENT_REQUIRED = ['Rechazado'];
+// estado actual -> { estado destino: actores que pueden aplicarla (ver AccessControl.statusActor) }
+PaymentStatus.TRANSITIONS = {
+  'Pendiente': { 'En revisión': ['Analista'], 'Procesado': ['Analista'], 'Rechazado': ['Analista'] },
+  'En revisión': { 'Pendiente': ['Analista'], 'Procesado': ['Analista'], 'Rechazado': ['Analista'] },
+  'Rechazado': { 'Reenviado': ['Vendedor', 'Analista'] },
+  'Reenviado': { 'En revisión': ['Analista'], 'Procesado': ['Analista'], 'Rechazado': ['Analista'] },
+  'Procesado': {}
+};
+
+/** Historial de transiciones por registro, guardado en la hoja 'HistorialEstados'. */
+class StatusHistory {
+  static append(idRegistro, user, from, to, comment) {
+    SheetManager.getSheet('HistorialEstados').appendRow([
+      new Date(), idRegistro, user.email, user.role || '', from || '', to, comment || ''
+    ]);
+  }
+
+  /**
+   * Devuelve el historial de un registro en orden cronológico.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @returns {{fecha: string, usuario: string, rol: string, desde: string, hacia: string, comentario: string}[]}
+   */
+  static getFor(idRegistro) {
+    const sheet = SheetManager.getSheet('HistorialEstados');
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+    const matches = sheet.getRange(2, 2, lastRow - 1, 1)
+      .createTextFinder(String(idRegistro))
+      .matchEntireCell(true)
+      .findAll();
+    const tz = Session.getScriptTimeZone();
+    return matches
+      .map(cell => sheet.getRange(cell.getRow(), 1, 1, 7).getValues()[0])
+      .sort((a, b) => new Date(a[0]).getTime() - new Date(b[0]).getTime())
+      .map(row => ({
+        fecha: Utilities.formatDate(new Date(row[0]), tz, 'dd/MM/yyyy HH:mm'),
+        usuario: String(row[2]),
+        rol: String(row[3]),
+        desde: String(row[4]),
+        hacia: String(row[5]),
+        comentario: String(row[6])
+      }));
+  }
+}
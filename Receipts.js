@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Comprobantes de pago (imágenes o PDF) adjuntos a los registros de cobranza.
+ *
+ * Los archivos se guardan en Drive bajo la carpeta raíz (propiedad COMPROBANTES_CARPETA_ID; si no
+ * existe se crea una) con la misma organización que las particiones: una carpeta por vendedor y,
+ * dentro, una por mes del envío ('<código de vendedor>/yyyy_MM'). El registro guarda en la columna
+ * `Comprobantes` un JSON con el id, nombre y tipo de cada archivo.
+ *
+ * Los archivos acompañan al registro: al eliminarlo pasan a la subcarpeta 'Eliminados' (y vuelven
+ * a su carpeta si se restaura) y al archivar su partición pasan al árbol 'Archivo/<vendedor>/<mes>'.
+ * Solo se sirven a través de obtenerComprobante, que verifica el acceso al registro.
+ */
+
+class ReceiptStorage {
+  /**
+   * Valida los archivos enviados desde el formulario.
+   * @param {{nombre: string, mimeType: string, base64: string}[]} [archivos]
+   * @returns {{nombre: string, mimeType: string, base64: string}[]} Los archivos (lista vacía si no hay).
+   */
+  static validate(archivos) {
+    const lista = Array.isArray(archivos) ? archivos.filter(Boolean) : [];
+    if (lista.length > ReceiptStorage.MAX_FILES) {
+      throw new Error(`Puede adjuntar hasta ${ReceiptStorage.MAX_FILES} comprobantes por pago.`);
+    }
+    lista.forEach(a => {
+      if (!ReceiptStorage.MIME_TYPES.includes(String(a.mimeType))) {
+        throw new Error(`El comprobante ${a.nombre} no es una imagen ni un PDF.`);
+      }
+      // base64 ocupa 4 caracteres por cada 3 bytes.
+      if (!a.base64 || String(a.base64).length * 3 / 4 > ReceiptStorage.MAX_BYTES) {
+        throw new Error(`El comprobante ${a.nombre} está vacío o supera ${ReceiptStorage.MAX_BYTES / (1024 * 1024)} MB.`);
+      }
+    });
+    return lista;
+  }
+
+  /**
+   * Guarda los comprobantes de un registro en su carpeta.
+   * @param {{nombre: string, mimeType: string, base64: string}[]} archivos Ya validados.
+   * @param {string} idRegistro
+   * @param {string} codVendedor
+   * @param {Date} fecha Fecha de envío del registro (define la carpeta del mes).
+   * @returns {{id: string, nombre: string, mimeType: string}[]} Lo que se guarda en la columna `Comprobantes`.
+   */
+  static save(archivos, idRegistro, codVendedor, fecha) {
+    if (archivos.length === 0) return [];
+    const folder = ReceiptStorage.folderFor(ReceiptStorage.getRoot(), codVendedor, fecha);
+    const guardados = [];
+    try {
+      archivos.forEach((a, i) => {
+        const nombre = String(a.nombre || `comprobante_${i + 1}`).replace(/[\\/]/g, '_');
+        const blob = Utilities.newBlob(Utilities.base64Decode(a.base64), a.mimeType, `${idRegistro}_${i + 1}_${nombre}`);
+        const file = folder.createFile(blob);
+        file.setDescription(`Comprobante del registro ${idRegistro}`);
+        guardados.push({ id: file.getId(), nombre, mimeType: a.mimeType });
+      });
+    } catch (e) {
+      ReceiptStorage.trash(guardados);
+      throw e;
+    }
+    return guardados;
+  }
+
+  /**
+   * Comprobantes guardados en un registro.
+   * @param {Object} data El registro (indexado por encabezado).
+   * @returns {{id: string, nombre: string, mimeType: string}[]}
+   */
+  static parse(data) {
+    if (!data || !data.Comprobantes) return [];
+    try {
+      const lista = JSON.parse(String(data.Comprobantes));
+      return Array.isArray(lista) ? lista : [];
+    } catch (e) {
+      Logger.error(`Comprobantes ilegibles en el registro ${data.id_registro}: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Contenido de un comprobante de un registro al que el usuario tiene acceso.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro
+   * @param {string} idArchivo
+   * @returns {{nombre: string, mimeType: string, base64: string}}
+   */
+  static read(user, idRegistro, idArchivo) {
+    const found = RecordRepository.findById(idRegistro);
+    if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+    AccessControl.assertRecordAccess(user, found.data);
+    const comprobante = ReceiptStorage.parse(found.data).find(c => c.id === idArchivo);
+    if (!comprobante) throw new Error('El comprobante no pertenece a este registro.');
+    const blob = DriveApp.getFileById(comprobante.id).getBlob();
+    return { nombre: comprobante.nombre, mimeType: comprobante.mimeType, base64: Utilities.base64Encode(blob.getBytes()) };
+  }
+
+  /** Mueve los comprobantes de un registro eliminado a la carpeta 'Eliminados'. */
+  static moveToDeleted(data) {
+    const comprobantes = ReceiptStorage.parse(data);
+    if (comprobantes.length === 0) return;
+    ReceiptStorage.move(comprobantes, ReceiptStorage.child(ReceiptStorage.getRoot(), ReceiptStorage.DELETED_FOLDER));
+  }
+
+  /** Devuelve los comprobantes de un registro restaurado a la carpeta de su vendedor y mes. */
+  static restore(data) {
+    const comprobantes = ReceiptStorage.parse(data);
+    if (comprobantes.length === 0) return;
+    ReceiptStorage.move(comprobantes, ReceiptStorage.folderFor(ReceiptStorage.getRoot(),
+      ReceiptStorage.vendorCode(data.Vendedor), new Date(data.Timestamp)));
+  }
+
+  /**
+   * Mueve al árbol 'Archivo' los comprobantes de los registros de una partición archivada.
+   * Es idempotente: mover un archivo que ya está en su destino no tiene efecto.
+   * @param {Object[]} registros Registros de la partición.
+   * @returns {number} Archivos movidos.
+   */
+  static archive(registros) {
+    const conComprobantes = registros.filter(data => ReceiptStorage.parse(data).length > 0);
+    if (conComprobantes.length === 0) return 0;
+    const base = ReceiptStorage.child(ReceiptStorage.getRoot(), ReceiptStorage.ARCHIVE_FOLDER);
+    const vendedores = {};
+    let movidos = 0;
+    conComprobantes.forEach(data => {
+      const nombre = String(data.Vendedor || '').trim();
+      if (!(nombre in vendedores)) vendedores[nombre] = ReceiptStorage.vendorCode(nombre);
+      const comprobantes = ReceiptStorage.parse(data);
+      ReceiptStorage.move(comprobantes, ReceiptStorage.folderFor(base, vendedores[nombre], new Date(data.Timestamp)));
+      movidos += comprobantes.length;
+    });
+    return movidos;
+  }
+
+  static move(comprobantes, folder) {
+    comprobantes.forEach(c => {
+      try {
+        DriveApp.getFileById(c.id).moveTo(folder);
+      } catch (e) {
+        Logger.error(`No se pudo mover el comprobante ${c.id} (${c.nombre}): ${e.message}`);
+      }
+    });
+  }
+
+  /** Envía a la papelera archivos recién creados (envío fallido). */
+  static trash(comprobantes) {
+    comprobantes.forEach(c => {
+      try {
+        DriveApp.getFileById(c.id).setTrashed(true);
+      } catch (e) {
+        Logger.error(`No se pudo descartar el comprobante ${c.id}: ${e.message}`);
+      }
+    });
+  }
+
+  static getRoot() {
+    const props = PropertiesService.getScriptProperties();
+    const id = props.getProperty('COMPROBANTES_CARPETA_ID');
+    if (id) return DriveApp.getFolderById(id);
+    // Si se perdió la propiedad, se reutiliza la carpeta existente en lugar de crear otra.
+    const nombre = `${RecordRepository.getSpreadsheet().getName()} - Comprobantes`;
+    const existentes = DriveApp.getFoldersByName(nombre);
+    const folder = existentes.hasNext() ? existentes.next() : DriveApp.createFolder(nombre);
+    props.setProperty('COMPROBANTES_CARPETA_ID', folder.getId());
+    Logger.log(`Carpeta de comprobantes: ${folder.getUrl()}`);
+    return folder;
+  }
+
+  /** Carpeta '<vendedor>/yyyy_MM' bajo `base`; se crea si no existe. */
+  static folderFor(base, codVendedor, fecha) {
+    const valida = fecha instanceof Date && !isNaN(fecha.getTime()) ? fecha : new Date();
+    const mes = Utilities.formatDate(valida, Session.getScriptTimeZone(), 'yyyy_MM');
+    const vendedor = String(codVendedor || '').trim().replace(/[\\/]/g, '_') || 'SIN_VENDEDOR';
+    return ReceiptStorage.child(ReceiptStorage.child(base, vendedor), mes);
+  }
+
+  static child(parent, name) {
+    const existentes = parent.getFoldersByName(name);
+    return existentes.hasNext() ? existentes.next() : parent.createFolder(name);
+  }
+
+  /** El registro guarda el nombre del vendedor; las carpetas usan su código. */
+  static vendorCode(nombre) {
+    const vendedor = String(nombre || '').trim();
+    const encontrado = new DataFetcher().fetchAllVendedoresFromSheet().find(v => v.nombre === vendedor);
+    return encontrado ? encontrado.codigo : vendedor;
+  }
+}
+ReceiptStorage.MAX_FILES = 5;
+ReceiptStorage.MAX_BYTES = 5 * 1024 * 1024;
+ReceiptStorage.MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
+ReceiptStorage.DELETED_FOLDER = 'Eliminados';
+ReceiptStorage.ARCHIVE_FOLDER = 'Archivo';
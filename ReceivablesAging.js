@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Antigüedad de la cartera (cuentas por cobrar de eFactory) por vendedor y cliente.
+ *
+ * Los documentos con saldo salen de CobranzaService.getCuentasPorCobrar y se reparten en tramos
+ * por días desde su emisión (`fec_ini`): 0-30, 31-60, 61-90 y más de 90. Al saldo de cada
+ * documento se le resta lo que ya aplican los pagos reportados en la aplicación que eFactory
+ * todavía no tiene registrados (estado distinto de Rechazado y `EfactoryEstado` distinto de
+ * Registrado), según su `DistribucionFacturas`. Esos montos se muestran aparte como "reportado".
+ *
+ * El alcance es el de AccessControl.visibleVendors: los vendedores ven solo su cartera.
+ * Los clientes se ordenan para priorizar la cobranza: primero el saldo más antiguo.
+ */
+
+class ReceivablesAgingService {
+  constructor(cobranzaService) {
+    this.cobranzaService = cobranzaService;
+  }
+
+  /**
+   * @param {Object} user El usuario de la sesión.
+   * @param {{vendedor: string, sucursal: string, cliente: string}} [filtros] Código de vendedor,
+   *     sucursal y cliente (código o parte del nombre).
+   * @returns {{corte: string, tramos: string[], totales: Object, porVendedor: Object[], porCliente: Object[]}}
+   */
+  getAging(user, filtros = {}) {
+    const hoy = new Date();
+    const { vendedores, documentos } = this.findDocuments(user, filtros, hoy);
+
+    const porVendedor = {};
+    const porCliente = {};
+    const totales = ReceivablesAgingService.emptyTotals();
+    documentos.forEach(doc => {
+      const v = vendedores[doc.codVendedor];
+      const fv = porVendedor[doc.codVendedor] = porVendedor[doc.codVendedor]
+        || Object.assign(ReceivablesAgingService.emptyTotals(), { codigo: doc.codVendedor, vendedor: v.nombre, sucursal: v.sucursal, clientes: 0 });
+      const claveCliente = `${doc.codVendedor}|${doc.codCliente}`;
+      if (!porCliente[claveCliente]) {
+        fv.clientes++;
+        porCliente[claveCliente] = Object.assign(ReceivablesAgingService.emptyTotals(), {
+          codVendedor: doc.codVendedor, vendedor: v.nombre, codCliente: doc.codCliente, cliente: doc.nombreCliente, diasMax: 0
+        });
+      }
+      const fc = porCliente[claveCliente];
+      fc.diasMax = Math.max(fc.diasMax, doc.dias);
+      [totales, fv, fc].forEach(t => ReceivablesAgingService.add(t, doc));
+    });
+
+    return {
+      corte: Utilities.formatDate(hoy, Session.getScriptTimeZone(), 'dd/MM/yyyy HH:mm'),
+      tramos: ReceivablesAgingService.BUCKETS.map(b => b.etiqueta),
+      totales,
+      porVendedor: Object.keys(porVendedor).map(k => porVendedor[k]).sort((a, b) => b.total - a.total),
+      porCliente: Object.keys(porCliente).map(k => porCliente[k]).sort(ReceivablesAgingService.byPriority)
+    };
+  }
+
+  /**
+   * Documentos de un cliente, del más antiguo al más reciente.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} codVendedor
+   * @param {string} codCliente
+   */
+  getClientDocuments(user, codVendedor, codCliente) {
+    const { documentos } = this.findDocuments(user, { vendedor: codVendedor }, new Date());
+    return documentos
+      .filter(doc => doc.codCliente === String(codCliente || '').trim())
+      .sort((a, b) => b.dias - a.dias)
+      .map(doc => ({
+        documento: doc.documento,
+        emision: doc.fec_ini ? ReportService.formatIsoDay(doc.fec_ini) : '',
+        dias: doc.dias,
+        tramo: ReceivablesAgingService.BUCKETS[doc.tramo].etiqueta,
+        moneda: doc.cod_mon,
+        saldo: doc.mon_sal,
+        reportado: doc.reportado,
+        neto: doc.neto,
+        netoUsd: doc.netoUsd
+      }));
+  }
+
+  /**
+   * Documentos visibles para el usuario con sus días, tramo y saldo neto de pagos reportados.
+   * Si eFactory no responde, getCuentasPorCobrar lanza el error y la vista lo muestra en lugar
+   * de una cartera vacía.
+   * @returns {{vendedores: Object<string, Object>, documentos: Object[]}}
+   */
+  findDocuments(user, filtros, hoy) {
+    let visibles = AccessControl.visibleVendors(user);
+    const vendedor = String(filtros.vendedor || '').trim();
+    if (vendedor && vendedor !== 'Mostrar todos') {
+      AccessControl.assertVendor(user, vendedor);
+      visibles = visibles.filter(v => v.codigo === vendedor);
+    }
+    if (filtros.sucursal) visibles = visibles.filter(v => v.sucursal === String(filtros.sucursal).trim());
+    const vendedores = {};
+    visibles.forEach(v => { vendedores[v.codigo] = v; });
+
+    const cliente = String(filtros.cliente || '').trim().toLowerCase();
+    const candidatos = this.cobranzaService.getCuentasPorCobrar().filter(doc => vendedores[doc.codVendedor]
+      && (!cliente || doc.codCliente.toLowerCase() === cliente || doc.nombreCliente.toLowerCase().includes(cliente)));
+    const reportados = ReceivablesAgingService.unpostedApplications(visibles.map(v => v.nombre), hoy);
+
+    const inicioHoy = new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate()).getTime();
+    const documentos = candidatos.map(doc => {
+      const [y, m, d] = String(doc.fec_ini || '').split('-').map(Number);
+      const dias = y ? Math.max(0, Math.round((inicioHoy - new Date(y, m - 1, d).getTime()) / (24 * 3600 * 1000))) : 0;
+      const reportado = Math.min(doc.mon_sal, reportados[doc.documento] || 0);
+      const neto = PaymentAllocation.round(doc.mon_sal - reportado);
+      const factor = doc.mon_sal > 0 ? doc.saldoUsd / doc.mon_sal : 1;
+      return Object.assign({}, doc, {
+        dias,
+        tramo: ReceivablesAgingService.BUCKETS.findIndex(b => dias <= b.hasta),
+        reportado: PaymentAllocation.round(reportado),
+        neto,
+        netoUsd: PaymentAllocation.round(neto * factor),
+        reportadoUsd: PaymentAllocation.round(reportado * factor)
+      });
+    });
+    return { vendedores, documentos };
+  }
+
+  /**
+   * Monto aplicado a cada documento por pagos reportados que eFactory aún no registra.
+   * Solo se leen los envíos de los últimos UNPOSTED_LOOKBACK_DAYS días.
+   * @param {string[]} nombres Vendedores (por nombre, como en los registros).
+   * @returns {Object<string, number>} documento -> monto en la moneda del documento.
+   */
+  static unpostedApplications(nombres, hoy) {
+    const inicio = new Date(hoy.getTime() - ReceivablesAgingService.UNPOSTED_LOOKBACK_DAYS * 24 * 3600 * 1000);
+    const entries = RecordIndex.inRange(inicio, hoy, entry => nombres.includes(entry.vendedor));
+    const aplicado = {};
+    RecordIndex.load(entries).forEach(({ data }) => {
+      if (PaymentStatus.normalize(data.EstadoAnalista) === PaymentStatus.RECHAZADO) return;
+      if (data.EfactoryEstado === EfactoryCobroService.REGISTRADO) return;
+      PaymentAllocation.parse(data.DistribucionFacturas).forEach(d => {
+        aplicado[d.documento] = (aplicado[d.documento] || 0) + (Number(d.monto) || 0);
+      });
+    });
+    return aplicado;
+  }
+
+  static emptyTotals() {
+    return { tramos: ReceivablesAgingService.BUCKETS.map(() => 0), total: 0, reportado: 0, documentos: 0 };
+  }
+
+  /** Suma un documento (en USD, neto de lo reportado) a un acumulado. */
+  static add(t, doc) {
+    t.tramos[doc.tramo] = PaymentAllocation.round(t.tramos[doc.tramo] + doc.netoUsd);
+    t.total = PaymentAllocation.round(t.total + doc.netoUsd);
+    t.reportado = PaymentAllocation.round(t.reportado + doc.reportadoUsd);
+    t.documentos++;
+  }
+
+  /** Primero los clientes con más saldo en el tramo más antiguo, luego el siguiente tramo. */
+  static byPriority(a, b) {
+    for (let i = ReceivablesAgingService.BUCKETS.length - 1; i >= 0; i--) {
+      if (a.tramos[i] !== b.tramos[i]) return b.tramos[i] - a.tramos[i];
+    }
+    return 0;
+  }
+}
+ReceivablesAgingService.BUCKETS = [
+  { etiqueta: '0-30', hasta: 30 },
+  { etiqueta: '31-60', hasta: 60 },
+  { etiqueta: '61-90', hasta: 90 },
+  { etiqueta: '90+', hasta: Infinity }
+];
+ReceivablesAgingService.UNPOSTED_LOOKBACK_DAYS = 180;
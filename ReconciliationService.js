@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Conciliación automática de pagos reportados contra extractos bancarios.
+ * Los analistas importan el extracto (CSV o Excel) de un banco receptor; sus líneas se
+ * guardan en 'ExtractosBancarios' y se cruzan con los registros de las particiones por
+ * referencia, tolerancia de monto y ventana de fechas.
+ */
+
+/** Lectura y normalización de archivos de extracto bancario. */
+class StatementParser {
+  /**
+   * Convierte el archivo recibido del cliente en una matriz de celdas.
+   * @param {{filename: string, mimeType: string, base64: string}} file El archivo codificado en base64.
+   * @returns {Array<Array<*>>}
+   */
+  static readRows(file) {
+    if (!file || !file.base64) throw new Error('No se recibió ningún archivo.');
+    const bytes = Utilities.base64Decode(file.base64);
+    const filename = String(file.filename || 'extracto');
+    const isCsv = /\.(csv|txt)$/i.test(filename) || /csv|text\/plain/.test(file.mimeType || '');
+
+    if (isCsv) {
+      const blob = Utilities.newBlob(bytes);
+      let text = blob.getDataAsString('UTF-8');
+      if (text.indexOf('\uFFFD') !== -1) text = blob.getDataAsString('ISO-8859-1');
+      const firstLine = text.split(/\r?\n/)[0] || '';
+      const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+      return Utilities.parseCsv(text, delimiter);
+    }
+
+    // Excel: se convierte temporalmente a Google Sheets para leerlo y luego se envía a la papelera.
+    const blob = Utilities.newBlob(bytes, file.mimeType || MimeType.MICROSOFT_EXCEL, filename);
+    const converted = Drive.Files.create({ name: filename, mimeType: MimeType.GOOGLE_SHEETS }, blob);
+    try {
+      return SpreadsheetApp.openById(converted.id).getSheets()[0].getDataRange().getValues();
+    } finally {
+      DriveApp.getFileById(converted.id).setTrashed(true);
+    }
+  }
+
+  /**
+   * Extrae las líneas de crédito de la matriz del extracto.
+   * Busca la fila de encabezado entre las primeras filas y ubica las columnas por palabra clave.
+   * @param {Array<Array<*>>} rows Celdas del extracto.
+   * @returns {{fecha: Date, referencia: string, descripcion: string, monto: number}[]}
+   */
+  static toLines(rows) {
+    const headerIndex = rows.slice(0, 15).findIndex(row => {
+      const cols = this.detectColumns(row);
+      return cols.fecha !== -1 && cols.referencia !== -1 && cols.monto !== -1;
+    });
+    if (headerIndex === -1) {
+      throw new Error('No se reconocieron las columnas del extracto (se requieren fecha, referencia y monto).');
+    }
+    const cols = this.detectColumns(rows[headerIndex]);
+
+    return rows.slice(headerIndex + 1)
+      .map(row => ({
+        fecha: this.parseDate(row[cols.fecha]),
+        referencia: String(row[cols.referencia] ?? '').trim(),
+        descripcion: cols.descripcion === -1 ? '' : String(row[cols.descripcion] ?? '').trim(),
+        monto: this.parseAmount(row[cols.monto])
+      }))
+      .filter(line => line.fecha && line.referencia && line.monto > 0);
+  }
+
+  static detectColumns(row) {
+    const headers = row.map(cell => String(cell ?? '').toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim());
+    const find = (regex) => headers.findIndex(h => regex.test(h));
+    const credito = find(/credito|abono|haber/);
+    return {
+      fecha: find(/fecha/),
+      referencia: find(/^ref|referencia|^nro|numero|documento/),
+      descripcion: find(/descrip|concepto|detalle/),
+      monto: credito !== -1 ? credito : find(/monto|importe/)
+    };
+  }
+
+  /**
+   * Interpreta montos en formato es-VE ('1.234,56') o en formato con punto decimal ('1234.56').
+   * @param {*} value El valor de la celda.
+   * @returns {number}
+   */
+  static parseAmount(value) {
+    if (typeof value === 'number') return value;
+    let s = String(value ?? '').replace(/\s+/g, '').replace(/[^\d.,\-]/g, '');
+    if (!s) return 0;
+    const lastComma = s.lastIndexOf(',');
+    const lastDot = s.lastIndexOf('.');
+    if (lastComma > lastDot) {
+      s = s.replace(/\./g, '').replace(',', '.');
+    } else if (lastDot > lastComma && lastComma !== -1) {
+      s = s.replace(/,/g, '');
+    } else if (lastDot !== -1 && s.split('.').length > 2) {
+      s = s.replace(/\./g, '');
+    }
+    const n = parseFloat(s);
+    return isNaN(n) ? 0 : n;
+  }
+
+  /**
+   * Interpreta fechas 'dd/MM/yyyy', 'dd-MM-yyyy' o 'yyyy-MM-dd' (o un Date de la hoja).
+   * @param {*} value El valor de la celda.
+   * @returns {Date|null}
+   */
+  static parseDate(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    const s = String(value ?? '').trim();
+    let m = s.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/);
+    if (m) {
+      const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+      return new Date(year, Number(m[2]) - 1, Number(m[1]));
+    }
+    m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return null;
+  }
+}
+
+class ReconciliationService {
+  constructor(dataFetcher) {
+    this.dataFetcher = dataFetcher;
+    const props = PropertiesService.getScriptProperties();
+    this.AMOUNT_TOLERANCE = parseFloat(props.getProperty('CONCILIACION_TOLERANCIA_MONTO')) || 0.01;
+    this.DATE_WINDOW_DAYS = parseInt(props.getProperty('CONCILIACION_VENTANA_DIAS'), 10) || 3;
+  }
+
+  /**
+   * Importa un extracto bancario y ejecuta la conciliación del banco.
+   * Las líneas ya importadas (mismo banco, fecha, referencia y monto) se omiten.
+   * @param {Object} user El usuario de la sesión.
+   * @param {{banco: string, filename: string, mimeType: string, base64: string}} file El extracto.
+   * @returns {{lineasLeidas: number, lineasNuevas: number, conciliados: number, ambiguos: number, sinCoincidencia: number}}
+   */
+  importStatement(user, file) {
+    const banco = String(file && file.banco || '').trim();
+    const bancos = this.dataFetcher.fetchBancosFromSheet().map(b => b.nombre);
+    if (!bancos.includes(banco)) throw new Error(`Banco receptor desconocido: ${banco}`);
+
+    const lines = StatementParser.toLines(StatementParser.readRows(file));
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const sheet = SheetManager.getSheet('ExtractosBancarios');
+      const existingIds = sheet.getLastRow() < 2 ? new Set() :
+        new Set(sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().flat().map(String));
+      const now = new Date();
+      const newRows = [];
+      lines.forEach(line => {
+        const id = ReconciliationService.lineId(banco, line);
+        if (existingIds.has(id)) return;
+        existingIds.add(id);
+        newRows.push([id, banco, line.fecha, line.referencia, line.descripcion, line.monto,
+          file.filename || '', now, user.email, ReconciliationService.LINE_PENDING, '']);
+      });
+      if (newRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+      }
+      AuditLog.record(user, 'extracto.importar', 'Extracto', banco, null,
+        { lineasLeidas: lines.length, lineasNuevas: newRows.length }, { archivo: file.filename || '' });
+      Logger.log(`Extracto ${file.filename} de ${banco} importado por ${user.email}: ${lines.length} líneas, ${newRows.length} nuevas.`);
+
+      const summary = this.reconcile(banco);
+      return Object.assign({ lineasLeidas: lines.length, lineasNuevas: newRows.length }, summary);
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Cruza las líneas no conciliadas de un banco con los registros no conciliados de ese banco.
+   * Un registro con una única línea candidata que ningún otro registro reclama queda 'Conciliado';
+   * con varias candidatas (o una compartida) queda 'Ambiguo'; sin candidatas y con fecha de pago
+   * dentro del período cubierto por los extractos, queda 'Sin coincidencia'.
+   * Debe llamarse con el lock del script tomado.
+   * @param {string} banco El banco receptor.
+   * @returns {{conciliados: number, ambiguos: number, sinCoincidencia: number}}
+   */
+  reconcile(banco) {
+    const sheet = SheetManager.getSheet('ExtractosBancarios');
+    const summary = { conciliados: 0, ambiguos: 0, sinCoincidencia: 0 };
+    if (sheet.getLastRow() < 2) return summary;
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 11).getValues();
+    const bankRows = values.filter(row => row[1] === banco);
+    if (bankRows.length === 0) return summary;
+
+    const dayMs = 24 * 3600 * 1000;
+    const windowMs = this.DATE_WINDOW_DAYS * dayMs;
+    const times = bankRows.map(row => new Date(row[2]).getTime());
+    const coverage = {
+      from: times.reduce((a, b) => Math.min(a, b)) - windowMs,
+      to: times.reduce((a, b) => Math.max(a, b)) + windowMs + dayMs
+    };
+
+    // Las líneas no conciliadas se reevalúan desde cero en cada pasada.
+    const openRows = bankRows.filter(row => row[9] !== ReconciliationService.LINE_MATCHED);
+    openRows.forEach(row => { row[9] = ReconciliationService.LINE_PENDING; row[10] = ''; });
+
+    const ss = RecordRepository.getSpreadsheet();
+    // Un pago se reporta después de hecho: basta leer los envíos desde el inicio de la cobertura.
+    const records = RecordIndex.load(RecordIndex.inRange(new Date(coverage.from), new Date()))
+      .filter(r => String(r.data['Banco Receptor'] || '').trim() === banco)
+      .filter(r => !ReconciliationService.RESOLVED.includes(r.data.EstadoConciliacion))
+      .filter(r => r.data.id_registro);
+
+    const candidates = records.map(r => openRows.filter(row => this.matches(r.data, row)));
+    const claims = {};
+    candidates.forEach(list => list.forEach(row => { claims[row[0]] = (claims[row[0]] || 0) + 1; }));
+
+    const now = new Date();
+    records.forEach((r, i) => {
+      const list = candidates[i];
+      let fields = null;
+      if (list.length === 1 && claims[list[0][0]] === 1) {
+        list[0][9] = ReconciliationService.LINE_MATCHED;
+        list[0][10] = r.data.id_registro;
+        fields = { EstadoConciliacion: ReconciliationService.CONCILIADO, LineaExtracto: list[0][0] };
+        summary.conciliados++;
+      } else if (list.length > 0) {
+        list.forEach(row => { row[9] = ReconciliationService.LINE_AMBIGUOUS; });
+        fields = { EstadoConciliacion: ReconciliationService.AMBIGUO, LineaExtracto: list.map(row => row[0]).join(',') };
+        summary.ambiguos++;
+      } else {
+        const paid = StatementParser.parseDate(r.data['Fecha de la Transferencia o Pago']);
+        if (paid && paid.getTime() >= coverage.from && paid.getTime() <= coverage.to) {
+          fields = { EstadoConciliacion: ReconciliationService.SIN_COINCIDENCIA, LineaExtracto: '' };
+          summary.sinCoincidencia++;
+        }
+      }
+      if (fields) {
+        fields.FechaConciliacion = now;
+        RecordRepository.writeFields(ss.getSheetByName(r.sheetName), r.rowIndex, fields);
+      }
+    });
+
+    sheet.getRange(2, 10, values.length, 2).setValues(values.map(row => [row[9], row[10]]));
+    Logger.log(`Conciliación de ${banco}: ${summary.conciliados} conciliados, ${summary.ambiguos} ambiguos, ${summary.sinCoincidencia} sin coincidencia.`);
+    return summary;
+  }
+
+  /**
+   * Indica si una línea del extracto es candidata para un registro.
+   * @param {Object} data El registro (indexado por encabezado).
+   * @param {Array<*>} row La fila de 'ExtractosBancarios'.
+   * @returns {boolean}
+   */
+  matches(data, row) {
+    if (!ReconciliationService.referencesMatch(data['Nro. de Referencia'], row[3])) return false;
+    const monto = parseFloat(data['Monto Pagado']);
+    if (isNaN(monto) || Math.abs(monto - Number(row[5])) > this.AMOUNT_TOLERANCE) return false;
+    const paid = StatementParser.parseDate(data['Fecha de la Transferencia o Pago']);
+    if (!paid) return false;
+    return Math.abs(new Date(row[2]).getTime() - paid.getTime()) <= this.DATE_WINDOW_DAYS * 24 * 3600 * 1000;
+  }
+
+  /**
+   * Lista los registros pendientes de resolución manual y las líneas disponibles para asignarles.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} [banco] Banco receptor a filtrar.
+   * @returns {{registros: Object[], lineasPendientes: Object[]}}
+   */
+  getExceptions(user, banco) {
+    const scope = new AnalystService(this.dataFetcher).getBranchScope(user);
+    const lines = this.readLines().filter(l => !banco || l.banco === banco);
+    const openLines = lines.filter(l => l.estado !== ReconciliationService.LINE_MATCHED);
+    const tz = Session.getScriptTimeZone();
+
+    // Las excepciones salen de conciliar líneas del extracto: sus envíos son posteriores a la
+    // línea más antigua menos la ventana de fechas.
+    const dayMs = 24 * 3600 * 1000;
+    const desde = lines.reduce((min, l) => Math.min(min, new Date(l.fecha).getTime()), Infinity) - this.DATE_WINDOW_DAYS * dayMs;
+    const entries = lines.length === 0 ? [] : RecordIndex.inRange(new Date(desde), new Date(),
+      entry => scope.all || scope.branches.includes(entry.sucursal.trim()));
+    const registros = RecordIndex.load(entries)
+      .map(r => r.data)
+      .filter(data => [ReconciliationService.AMBIGUO, ReconciliationService.SIN_COINCIDENCIA].includes(data.EstadoConciliacion))
+      .filter(data => !banco || String(data['Banco Receptor'] || '').trim() === banco)
+      .filter(data => scope.all || scope.branches.includes(String(data.Sucursal || '').trim()))
+      .map(data => {
+        const ids = String(data.LineaExtracto || '').split(',').filter(Boolean);
+        const paid = StatementParser.parseDate(data['Fecha de la Transferencia o Pago']);
+        return {
+          idRegistro: data.id_registro,
+          vendedor: String(data.Vendedor || ''),
+          cliente: String(data['Nombre Cliente'] || ''),
+          banco: String(data['Banco Receptor'] || ''),
+          referencia: String(data['Nro. de Referencia'] || ''),
+          monto: Number(data['Monto Pagado']) || 0,
+          fechaPago: paid ? Utilities.formatDate(paid, tz, 'dd/MM/yyyy') : '',
+          estado: data.EstadoConciliacion,
+          candidatos: openLines.filter(l => ids.includes(l.id)).map(l => this.toClientLine(l, tz))
+        };
+      });
+
+    return { registros, lineasPendientes: openLines.map(l => this.toClientLine(l, tz)) };
+  }
+
+  /**
+   * Concilia manualmente un registro con una línea del extracto.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro El `id_registro` del registro.
+   * @param {string} idLinea El `id_linea` de 'ExtractosBancarios'.
+   * @returns {string} Mensaje de confirmación.
+   */
+  resolve(user, idRegistro, idLinea) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const found = RecordRepository.findById(idRegistro);
+      if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+      const scope = new AnalystService(this.dataFetcher).getBranchScope(user);
+      if (!scope.all && !scope.branches.includes(String(found.data.Sucursal || '').trim())) {
+        throw new Error('No tiene permiso para conciliar registros de esta sucursal.');
+      }
+
+      const line = this.readLines().find(l => l.id === idLinea);
+      if (!line) throw new Error(`No se encontró la línea de extracto ${idLinea}.`);
+      if (line.estado === ReconciliationService.LINE_MATCHED) {
+        throw new Error(`La línea ya está conciliada con el registro ${line.idRegistro}.`);
+      }
+      if (line.banco !== String(found.data['Banco Receptor'] || '').trim()) {
+        throw new Error('La línea pertenece a otro banco receptor.');
+      }
+
+      SheetManager.getSheet('ExtractosBancarios').getRange(line.rowIndex, 10, 1, 2)
+        .setValues([[ReconciliationService.LINE_MATCHED, idRegistro]]);
+      RecordRepository.writeFields(found.sheet, found.rowIndex, {
+        EstadoConciliacion: ReconciliationService.CONCILIADO_MANUAL,
+        LineaExtracto: idLinea,
+        FechaConciliacion: new Date()
+      });
+      AuditLog.record(user, 'registro.conciliar', 'Registro', idRegistro,
+        { estadoConciliacion: found.data.EstadoConciliacion || '', lineaExtracto: found.data.LineaExtracto || '' },
+        { estadoConciliacion: ReconciliationService.CONCILIADO_MANUAL, lineaExtracto: idLinea });
+      Logger.log(`Registro ${idRegistro} conciliado manualmente con la línea ${idLinea} por ${user.email}.`);
+
+      // Las demás ambigüedades del banco pueden haberse resuelto con esta asignación.
+      this.reconcile(line.banco);
+    } finally {
+      lock.releaseLock();
+    }
+    return 'Registro conciliado manualmente.';
+  }
+
+  readLines() {
+    const sheet = SheetManager.getSheet('ExtractosBancarios');
+    if (sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 11).getValues().map((row, index) => ({
+      rowIndex: index + 2,
+      id: String(row[0]),
+      banco: String(row[1]),
+      fecha: new Date(row[2]),
+      referencia: String(row[3]),
+      descripcion: String(row[4]),
+      monto: Number(row[5]) || 0,
+      estado: String(row[9]),
+      idRegistro: String(row[10])
+    }));
+  }
+
+  toClientLine(line, tz) {
+    return {
+      id: line.id,
+      banco: line.banco,
+      fecha: Utilities.formatDate(line.fecha, tz, 'dd/MM/yyyy'),
+      referencia: line.referencia,
+      descripcion: line.descripcion,
+      monto: line.monto
+    };
+  }
+
+  static normalizeReference(ref) {
+    const digits = String(ref ?? '').replace(/\D/g, '');
+    return digits || String(ref ?? '').trim().toUpperCase();
+  }
+
+  /**
+   * Compara referencias ignorando separadores. Los bancos suelen truncar la referencia,
+   * por lo que se acepta que una termine con la otra si la más corta tiene al menos 4 dígitos.
+   */
+  static referencesMatch(a, b) {
+    const ra = ReconciliationService.normalizeReference(a);
+    const rb = ReconciliationService.normalizeReference(b);
+    if (!ra || !rb) return false;
+    if (ra === rb) return true;
+    const [shorter, longer] = ra.length <= rb.length ? [ra, rb] : [rb, ra];
+    return shorter.length >= 4 && longer.endsWith(shorter);
+  }
+
+  static lineId(banco, line) {
+    const key = [banco, line.fecha.toISOString().slice(0, 10), line.referencia, line.monto.toFixed(2)].join('|');
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, key)
+      .map(b => ((b + 256) % 256).toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
+ReconciliationService.CONCILIADO = 'Conciliado';
+ReconciliationService.CONCILIADO_MANUAL = 'Conciliado manual';
+ReconciliationService.AMBIGUO = 'Ambiguo';
+ReconciliationService.SIN_COINCIDENCIA = 'Sin coincidencia';
+ReconciliationService.RESOLVED = ['Conciliado', 'Conciliado manual'];
+ReconciliationService.LINE_PENDING = 'Pendiente';
+ReconciliationService.LINE_AMBIGUOUS = 'Ambiguo';
+ReconciliationService.LINE_MATCHED = 'Conciliado';
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Eliminación recuperable de registros de cobranza.
+ *
+ * Eliminar un registro lo mueve completo (todas sus columnas) de su partición a la hoja
+ * 'Registros Eliminados', junto con la partición de origen, quién lo eliminó y el motivo, y
+ * lo quita de los índices. Restaurarlo lo vuelve a agregar a su partición (o, si esa hoja ya
+ * no existe, a la que le corresponde con la configuración vigente) y a los índices. Los
+ * registros se ubican siempre por `id_registro`. Sus comprobantes se mueven con ellos (ver Receipts.js).
+ *
+ * Plazo para eliminar, en minutos desde el envío, por rol: RecordDeletionService.DEFAULT_WINDOWS,
+ * sobrescribible con la propiedad VENTANAS_ELIMINACION (JSON, p. ej. {"Supervisor": 120};
+ * null = sin límite). Quién puede eliminar lo decide el permiso 'registros.eliminar'; los
+ * vendedores solo eliminan los registros que crearon. Restaurar requiere 'registros.restaurar',
+ * salvo que quien eliminó lo deshaga dentro de RecordDeletionService.UNDO_MINUTES.
+ */
+
+class RecordDeletionService {
+  /**
+   * Minutos desde el envío dentro de los que el rol puede eliminar; null si no hay límite.
+   * @param {string} role
+   * @returns {number|null}
+   */
+  static windowMinutes(role) {
+    let config = {};
+    try {
+      config = JSON.parse(PropertiesService.getScriptProperties().getProperty('VENTANAS_ELIMINACION') || '{}');
+    } catch (e) {
+      Logger.error(`VENTANAS_ELIMINACION no es un JSON válido: ${e.message}`);
+    }
+    const windows = Object.assign({}, RecordDeletionService.DEFAULT_WINDOWS, config);
+    return role in windows ? windows[role] : 0;
+  }
+
+  /**
+   * Motivo por el que el usuario no puede eliminar el registro, o null si puede.
+   * No verifica el alcance por sucursal (ver AccessControl.assertRecordAccess).
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} data El registro (indexado por encabezado).
+   * @returns {string|null}
+   */
+  static denialReason(user, data) {
+    if (!AccessControl.hasPermission(user.role, 'registros.eliminar')) return 'No tiene permiso para eliminar registros.';
+    if (user.role === AccessControl.VENDEDOR && data['Usuario Creador'] !== user.email) {
+      return 'Solo puede eliminar los registros que usted envió.';
+    }
+    if ([EfactoryCobroService.REGISTRADO, EfactoryCobroService.ENVIANDO].includes(data.EfactoryEstado)) {
+      return 'El cobro ya fue enviado a eFactory; no se puede eliminar.';
+    }
+    const minutos = RecordDeletionService.windowMinutes(user.role);
+    if (minutos === null) return null;
+    const edad = new Date().getTime() - new Date(data.Timestamp).getTime();
+    if (!(edad <= minutos * 60 * 1000)) {
+      return `No se puede eliminar un registro después de ${minutos} minutos de su envío.`;
+    }
+    return null;
+  }
+
+  static getSheet() {
+    const sheet = SheetManager.getSheet('Registros Eliminados');
+    RecordRepository.ensureColumns(sheet, RecordDeletionService.META_COLUMNS.concat(['id_registro']));
+    return sheet;
+  }
+
+  /**
+   * Elimina un registro (recuperable).
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro
+   * @param {string} motivo Obligatorio.
+   * @returns {string} Mensaje de confirmación.
+   */
+  deleteRecord(user, idRegistro, motivo) {
+    const razon = String(motivo || '').trim();
+    if (!razon) throw new Error('Debe indicar el motivo de la eliminación.');
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const found = RecordRepository.findById(idRegistro);
+      if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+      AccessControl.assertRecordAccess(user, found.data);
+      const denegado = RecordDeletionService.denialReason(user, found.data);
+      if (denegado) throw new Error(denegado);
+
+      const particion = found.sheet.getName();
+      ReceiptStorage.moveToDeleted(found.data);
+      RecordRepository.appendRecord(RecordDeletionService.getSheet(), Object.assign({}, found.data, {
+        'Fecha Eliminación': new Date(),
+        'Usuario que Eliminó': user.email,
+        'Particion': particion,
+        'MotivoEliminacion': razon,
+        'EstadoEliminacion': RecordDeletionService.ELIMINADO,
+        'RestauradoPor': '',
+        'FechaRestauracion': ''
+      }));
+      SpreadsheetApp.flush();
+      found.sheet.deleteRow(found.rowIndex);
+      ReferenceIndex.remove(idRegistro);
+      RecordIndex.remove(idRegistro, particion, found.rowIndex);
+
+      AuditLog.record(user, 'registro.eliminar', 'Registro', idRegistro, found.data, null, { particion, motivo: razon });
+      Logger.log(`Registro ${idRegistro} eliminado por ${user.email} de ${particion}. Motivo: ${razon}`);
+    } finally {
+      lock.releaseLock();
+    }
+    return 'Registro eliminado. Puede deshacerlo durante los próximos minutos.';
+  }
+
+  /**
+   * Restaura un registro eliminado en su partición.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro
+   * @returns {string} Mensaje de confirmación.
+   */
+  restoreRecord(user, idRegistro) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const eliminado = RecordDeletionService.findDeleted(idRegistro);
+      if (!eliminado) throw new Error(`No hay una eliminación pendiente del registro ${idRegistro}.`);
+      const { data, meta, rowIndex, sheet } = eliminado;
+
+      const deshacer = meta['Usuario que Eliminó'] === user.email
+        && new Date().getTime() - new Date(meta['Fecha Eliminación']).getTime() <= RecordDeletionService.UNDO_MINUTES * 60 * 1000;
+      if (!deshacer) {
+        AccessControl.assertPermission(user, 'registros.restaurar');
+        AccessControl.assertRecordAccess(user, data);
+      }
+      if (RecordRepository.findById(idRegistro)) {
+        throw new Error(`El registro ${idRegistro} ya existe en las particiones.`);
+      }
+
+      const ss = RecordRepository.getSpreadsheet();
+      const particion = ss.getSheetByName(meta.Particion) ? meta.Particion : RecordDeletionService.partitionFor(data);
+      const header = SheetManager.SHEET_CONFIG['Respuestas'].headers;
+      const destino = ensurePartitionSheet(ss, particion, header);
+      // Las columnas vacías que solo existen en 'Registros Eliminados' no se agregan a la partición.
+      const columnasDestino = RecordRepository.getHeaderMap(destino);
+      Object.keys(data).forEach(name => {
+        if (data[name] === '' && !(name in columnasDestino)) delete data[name];
+      });
+
+      // Mientras estuvo eliminado pudo registrarse otro pago con la misma referencia.
+      const colisiones = ReferenceIndex.findCollisions(data['Banco Receptor'], data['Nro. de Referencia'],
+        data['Monto Pagado'], data['Fecha de la Transferencia o Pago']);
+      if (colisiones.length > 0) data.PosibleDuplicado = colisiones.map(c => c.idRegistro).join(',');
+
+      ReceiptStorage.restore(data);
+      const fila = RecordRepository.appendRecord(destino, data);
+      ReferenceIndex.add(data, particion);
+      RecordIndex.add(data, particion, fila);
+      RecordRepository.writeFields(sheet, rowIndex, {
+        EstadoEliminacion: RecordDeletionService.RESTAURADO,
+        RestauradoPor: user.email,
+        FechaRestauracion: new Date()
+      });
+
+      AuditLog.record(user, 'registro.restaurar', 'Registro', idRegistro, null, { particion },
+        { deshacer, posibleDuplicado: data.PosibleDuplicado || '' });
+      Logger.log(`Registro ${idRegistro} restaurado en ${particion} por ${user.email}.`);
+      return `Registro restaurado en ${particion}.`;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Registros eliminados y no restaurados que el usuario puede ver, del más reciente al más antiguo.
+   * @param {Object} user El usuario de la sesión.
+   */
+  listDeleted(user) {
+    const sheet = RecordDeletionService.getSheet();
+    const scope = AccessControl.getBranchScope(user);
+    const tz = Session.getScriptTimeZone();
+    const format = (d) => d ? Utilities.formatDate(new Date(d), tz, 'dd/MM/yyyy HH:mm') : '';
+    return RecordRepository.readSheet(sheet)
+      .map(r => r.data)
+      .filter(d => d.id_registro && d.EstadoEliminacion !== RecordDeletionService.RESTAURADO)
+      .filter(d => scope.all || scope.branches.includes(String(d.Sucursal || '').trim())
+        || d['Usuario Creador'] === user.email || d['Usuario que Eliminó'] === user.email)
+      .reverse()
+      .slice(0, RecordDeletionService.LIST_LIMIT)
+      .map(d => ({
+        idRegistro: String(d.id_registro),
+        fechaEliminacion: format(d['Fecha Eliminación']),
+        eliminadoPor: String(d['Usuario que Eliminó'] || ''),
+        motivo: String(d.MotivoEliminacion || ''),
+        fechaEnvio: format(d.Timestamp),
+        vendedor: String(d.Vendedor || ''),
+        cliente: String(d['Nombre Cliente'] || ''),
+        monto: d['Monto Pagado'],
+        moneda: String(d.Moneda || 'USD'),
+        referencia: String(d['Nro. de Referencia'] || ''),
+        sucursal: String(d.Sucursal || ''),
+        particion: String(d.Particion || '')
+      }));
+  }
+
+  /**
+   * Última eliminación no restaurada de un registro.
+   * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, rowIndex: number, data: Object, meta: Object}|null}
+   */
+  static findDeleted(idRegistro) {
+    const sheet = RecordDeletionService.getSheet();
+    const headerMap = RecordRepository.getHeaderMap(sheet);
+    if (sheet.getLastRow() < 2 || !idRegistro) return null;
+    const rows = sheet.getRange(2, headerMap.id_registro + 1, sheet.getLastRow() - 1, 1)
+      .createTextFinder(String(idRegistro))
+      .matchEntireCell(true)
+      .findAll()
+      .map(cell => cell.getRow())
+      .reverse();
+    for (const rowIndex of rows) {
+      const row = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+      const all = RecordRepository.rowToObject(row, headerMap);
+      if (all.EstadoEliminacion === RecordDeletionService.RESTAURADO) continue;
+      const data = {};
+      const meta = {};
+      Object.keys(all).forEach(name => {
+        if (RecordDeletionService.META_COLUMNS.includes(name)) meta[name] = all[name];
+        else data[name] = all[name];
+      });
+      return { sheet, rowIndex, data, meta };
+    }
+    return null;
+  }
+
+  /** Partición que corresponde al registro con la configuración vigente (como en submitData). */
+  static partitionFor(data) {
+    const vendedor = String(data.Vendedor || '').trim();
+    const encontrado = new DataFetcher().fetchAllVendedoresFromSheet().find(v => v.nombre === vendedor);
+    const fecha = new Date(data.Timestamp);
+    return getPartitionName(isNaN(fecha.getTime()) ? new Date() : fecha, {
+      type: decidePartitionType(data),
+      vendedor: encontrado ? encontrado.codigo : vendedor,
+      banco: String(data['Banco Receptor'] || '').trim()
+    });
+  }
+}
+RecordDeletionService.ELIMINADO = 'Eliminado';
+RecordDeletionService.RESTAURADO = 'Restaurado';
+RecordDeletionService.META_COLUMNS = ['Fecha Eliminación', 'Usuario que Eliminó', 'Particion', 'MotivoEliminacion',
+  'EstadoEliminacion', 'RestauradoPor', 'FechaRestauracion'];
+RecordDeletionService.UNDO_MINUTES = 10;
+RecordDeletionService.LIST_LIMIT = 200;
+// Minutos desde el envío; null = sin límite. Los roles sin 'registros.eliminar' no eliminan.
+RecordDeletionService.DEFAULT_WINDOWS = {
+  'Vendedor': 5,
+  'Supervisor': 60,
+  'Analista de sucursal': 24 * 60,
+  'Analista global': 24 * 60,
+  'Admin': null
+};
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Corrección de registros de cobranza ya enviados, con versiones.
+ *
+ * Se pueden editar los datos del pago (facturas, monto, moneda, bancos, referencia, fecha,
+ * forma y tipo de cobro, observaciones) de los registros en estado Pendiente o Rechazado.
+ * Cada edición vuelve a pasar por las validaciones del envío (CobranzaService.preparePayment y
+ * checkDuplicates), guarda en 'VersionesRegistro' los valores anteriores y los cambios, e
+ * incrementa la columna `Version` del registro. Un registro rechazado que se corrige vuelve a
+ * revisión como 'Reenviado'.
+ *
+ * El registro se queda en su partición aunque cambie el banco receptor: la partición depende
+ * de la fecha de envío, que no se edita. Los vendedores solo corrigen los registros que crearon.
+ */
+
+class RecordEditService {
+  constructor(cobranzaService) {
+    this.cobranzaService = cobranzaService;
+  }
+
+  /**
+   * Motivo por el que el usuario no puede editar el registro, o null si puede.
+   * No verifica el alcance por sucursal (ver AccessControl.assertRecordAccess).
+   * @param {Object} user El usuario de la sesión.
+   * @param {Object} data El registro (indexado por encabezado).
+   * @returns {string|null}
+   */
+  static denialReason(user, data) {
+    if (!AccessControl.hasPermission(user.role, 'registros.editar')) return 'No tiene permiso para editar registros.';
+    if (user.role === AccessControl.VENDEDOR && data['Usuario Creador'] !== user.email) {
+      return 'Solo puede editar los registros que usted envió.';
+    }
+    const estado = PaymentStatus.normalize(data.EstadoAnalista);
+    if (!RecordEditService.EDITABLE_STATES.includes(estado)) {
+      return `No se puede editar un registro en estado ${estado}.`;
+    }
+    if (ReconciliationService.RESOLVED.includes(data.EstadoConciliacion)) {
+      return 'El registro ya fue conciliado con el extracto bancario; no se puede editar.';
+    }
+    return null;
+  }
+
+  /**
+   * Datos actuales de un registro para el formulario de edición.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro
+   */
+  getEditable(user, idRegistro) {
+    const data = this.findEditable(user, idRegistro).data;
+    return Object.assign(this.toForm(data), {
+      idRegistro: String(data.id_registro),
+      estado: PaymentStatus.normalize(data.EstadoAnalista),
+      comentarioAnalista: String(data.ComentarioAnalista || ''),
+      codVendedor: this.vendorCode(data.Vendedor),
+      nombreCliente: String(data['Nombre Cliente'] || ''),
+      version: Number(data.Version) || 1
+    });
+  }
+
+  /**
+   * Aplica una corrección a un registro.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro
+   * @param {Object} cambios Campos del formulario a modificar (mismos nombres que en enviarDatos).
+   * @param {string} [comentario] Explicación de la corrección.
+   * @returns {string} Mensaje de confirmación.
+   */
+  editRecord(user, idRegistro, cambios, comentario) {
+    const nota = String(comentario || '').trim();
+    // Las validaciones del envío consultan eFactory y pueden guardar tasas de cambio (que toman
+    // el mismo lock del script): se hacen antes del lock y después se verifica que el registro
+    // siga igual.
+    const inicial = this.findEditable(user, idRegistro);
+    const versionLeida = Number(inicial.data.Version) || 1;
+    const { fields, fechaPago } = this.prepareChanges(inicial.data, cambios);
+
+    let estado;
+    let version;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const found = this.findEditable(user, idRegistro);
+      const data = found.data;
+      if ((Number(data.Version) || 1) !== versionLeida) {
+        throw new Error('El registro fue modificado mientras se guardaba la corrección. Recárguelo e intente de nuevo.');
+      }
+      estado = PaymentStatus.normalize(data.EstadoAnalista);
+
+      const diferencias = RecordEditService.diff(data, fields);
+      if (!diferencias.some(d => RecordEditService.EDITABLE_COLUMNS.includes(d.campo))) {
+        throw new Error('No hay cambios que guardar.');
+      }
+
+      version = versionLeida + 1;
+      const actualizado = Object.assign({}, data, fields);
+      fields.PosibleDuplicado = this.cobranzaService.checkDuplicates(actualizado, fechaPago);
+      fields.Version = version;
+      actualizado.PosibleDuplicado = fields.PosibleDuplicado;
+
+      RecordVersions.append(idRegistro, version, user, diferencias,
+        Object.keys(fields).reduce((prev, name) => { prev[name] = data[name] ?? ''; return prev; }, {}), nota);
+      RecordRepository.writeFields(found.sheet, found.rowIndex, fields);
+      ReferenceIndex.remove(idRegistro);
+      ReferenceIndex.add(actualizado, found.sheet.getName());
+
+      const antes = {};
+      const despues = {};
+      diferencias.forEach(d => { antes[d.campo] = d.antes; despues[d.campo] = d.despues; });
+      AuditLog.record(user, 'registro.editar', 'Registro', idRegistro, antes, despues,
+        { version, comentario: nota, posibleDuplicado: fields.PosibleDuplicado });
+      Logger.log(`Registro ${idRegistro} editado por ${user.email} (versión ${version}): ${diferencias.map(d => d.campo).join(', ')}.`);
+    } finally {
+      lock.releaseLock();
+    }
+
+    if (estado === PaymentStatus.RECHAZADO) {
+      PaymentStatus.transition(user, idRegistro, PaymentStatus.REENVIADO, nota || `Corregido (versión ${version}).`);
+      return `Registro corregido (versión ${version}) y reenviado a revisión.`;
+    }
+    return `Registro corregido (versión ${version}).`;
+  }
+
+  /** El registro, si existe y el usuario puede editarlo. */
+  findEditable(user, idRegistro) {
+    const found = RecordRepository.findById(idRegistro);
+    if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+    AccessControl.assertRecordAccess(user, found.data);
+    const denegado = RecordEditService.denialReason(user, found.data);
+    if (denegado) throw new Error(denegado);
+    return found;
+  }
+
+  /**
+   * Valida los cambios del formulario sobre el registro con CobranzaService.preparePayment.
+   * @returns {{fields: Object, fechaPago: Date}}
+   */
+  prepareChanges(data, cambios) {
+    const anterior = this.toForm(data);
+    const propuesto = Object.assign({}, anterior);
+    RecordEditService.FORM_FIELDS.forEach(key => {
+      if (cambios && key in cambios) propuesto[key] = cambios[key] === null ? '' : String(cambios[key]).trim();
+    });
+    // Se conserva la distribución guardada mientras no cambie nada de lo que la determina.
+    propuesto.distribucion = ['factura', 'montoPagado', 'moneda', 'fechaTransferenciaPago']
+      .every(key => RecordEditService.same(anterior[key], propuesto[key]))
+      ? PaymentAllocation.parse(data.DistribucionFacturas).map(d => ({ documento: d.documento, monto: d.monto }))
+      : null;
+    return this.cobranzaService.preparePayment(propuesto, this.vendorCode(data.Vendedor), new Date(data.Timestamp));
+  }
+
+  /**
+   * Versiones anteriores de un registro, de la más reciente a la más antigua.
+   * @param {Object} user El usuario de la sesión.
+   * @param {string} idRegistro
+   */
+  getVersions(user, idRegistro) {
+    const found = RecordRepository.findById(idRegistro);
+    if (!found) throw new Error(`No se encontró el registro ${idRegistro}.`);
+    AccessControl.assertRecordAccess(user, found.data);
+    return RecordVersions.getFor(idRegistro);
+  }
+
+  /** Valores del registro con los nombres de campo del formulario de envío. */
+  toForm(data) {
+    return {
+      factura: String(data.Factura || ''),
+      montoPagado: String(data['Monto Pagado'] ?? ''),
+      moneda: String(data.Moneda || 'USD'),
+      formaPago: String(data['Forma de Pago'] || ''),
+      bancoEmisor: String(data['Banco Emisor'] || ''),
+      bancoReceptor: String(data['Banco Receptor'] || ''),
+      nroReferencia: String(data['Nro. de Referencia'] || ''),
+      tipoCobro: String(data['Tipo de Cobro'] || ''),
+      fechaTransferenciaPago: ReferenceIndex.formatDay(data['Fecha de la Transferencia o Pago']),
+      observaciones: String(data.Observaciones || ''),
+      cliente: String(data['Codigo Cliente'] || '')
+    };
+  }
+
+  /** El registro guarda el nombre del vendedor; las facturas se consultan por código. */
+  vendorCode(nombre) {
+    const vendedor = String(nombre || '').trim();
+    const encontrado = this.cobranzaService.dataFetcher.fetchAllVendedoresFromSheet().find(v => v.nombre === vendedor);
+    return encontrado ? encontrado.codigo : vendedor;
+  }
+
+  /**
+   * Campos cuyo valor cambia, comparados como texto.
+   * @returns {{campo: string, antes: string, despues: string}[]}
+   */
+  static diff(data, fields) {
+    return Object.keys(fields)
+      .map(campo => ({ campo, antes: RecordEditService.display(campo, data[campo]), despues: RecordEditService.display(campo, fields[campo]) }))
+      .filter(d => d.antes !== d.despues);
+  }
+
+  static display(campo, value) {
+    if (campo === 'Fecha de la Transferencia o Pago') return ReferenceIndex.formatDay(value);
+    if (value instanceof Date) return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    return String(value ?? '').trim();
+  }
+
+  static same(a, b) {
+    return String(a ?? '').trim() === String(b ?? '').trim();
+  }
+}
+RecordEditService.EDITABLE_STATES = ['Pendiente', 'Rechazado'];
+// Campos del formulario que se pueden corregir (vendedor y cliente no cambian).
+RecordEditService.FORM_FIELDS = ['factura', 'montoPagado', 'moneda', 'formaPago', 'bancoEmisor', 'bancoReceptor',
+  'nroReferencia', 'tipoCobro', 'fechaTransferenciaPago', 'observaciones'];
+// Columnas que corresponden a esos campos; el resto (tasas, distribución...) se recalcula.
+RecordEditService.EDITABLE_COLUMNS = ['Factura', 'Monto Pagado', 'Moneda', 'Forma de Pago', 'Banco Emisor',
+  'Banco Receptor', 'Nro. de Referencia', 'Tipo de Cobro', 'Fecha de la Transferencia o Pago', 'Observaciones'];
+
+/** Versiones anteriores de los registros, guardadas en la hoja 'VersionesRegistro'. */
+class RecordVersions {
+  /**
+   * @param {string} idRegistro
+   * @param {number} version La versión que resulta de la edición.
+   * @param {Object} user Quien editó.
+   * @param {{campo: string, antes: string, despues: string}[]} cambios
+   * @param {Object} anterior Valores previos de las columnas modificadas.
+   * @param {string} comentario
+   */
+  static append(idRegistro, version, user, cambios, anterior, comentario) {
+    SheetManager.getSheet('VersionesRegistro').appendRow([
+      new Date(), idRegistro, version, user.email, user.role || '',
+      JSON.stringify(cambios), JSON.stringify(anterior), comentario || ''
+    ]);
+  }
+
+  /**
+   * @param {string} idRegistro
+   * @returns {{version: number, fecha: string, usuario: string, rol: string, comentario: string, cambios: Object[]}[]}
+   */
+  static getFor(idRegistro) {
+    const sheet = SheetManager.getSheet('VersionesRegistro');
+    if (sheet.getLastRow() < 2) return [];
+    const width = SheetManager.SHEET_CONFIG['VersionesRegistro'].headers.length;
+    const tz = Session.getScriptTimeZone();
+    return sheet.getRange(2, 2, sheet.getLastRow() - 1, 1)
+      .createTextFinder(String(idRegistro))
+      .matchEntireCell(true)
+      .findAll()
+      .map(cell => sheet.getRange(cell.getRow(), 1, 1, width).getValues()[0])
+      .sort((a, b) => Number(b[2]) - Number(a[2]))
+      .map(row => {
+        let cambios = [];
+        try {
+          cambios = JSON.parse(String(row[5]) || '[]');
+        } catch (e) {
+          Logger.error(`Versión ${row[2]} de ${idRegistro} con cambios ilegibles: ${e.message}`);
+        }
+        return {
+          version: Number(row[2]),
+          fecha: Utilities.formatDate(new Date(row[0]), tz, 'dd/MM/yyyy HH:mm'),
+          usuario: String(row[3]),
+          rol: String(row[4]),
+          comentario: String(row[7]),
+          cambios
+        };
+      });
+  }
+}
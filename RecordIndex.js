@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Índice de registros (hoja `IDX`), según la propuesta de routersheets.txt.
+ * Cada registro tiene una fila con su `id_registro`, la partición y fila donde vive, la
+ * fecha de envío y los campos por los que se filtra (vendedor, cliente, sucursal). Las
+ * filas se mantienen ordenadas por fecha de envío, por lo que el final del índice son los
+ * registros más recientes: las consultas leen una ventana de las últimas filas o el tramo de fechas
+ * pedido, y después solo las filas de partición a las que apuntan.
+ *
+ * Las filas de partición se desplazan cuando se elimina un registro; `remove` corrige los
+ * punteros de la misma partición y `load` verifica el `id_registro` de cada fila leída,
+ * buscándolo de nuevo si el puntero quedó desfasado.
+ */
+
+class RecordIndex {
+  static getSheet() {
+    return SheetManager.getSheet('IDX');
+  }
+
+  /**
+   * Construye el índice la primera vez que se consulta si está vacío y ya hay registros.
+   */
+  static ensureBuilt() {
+    const sheet = this.getSheet();
+    if (sheet.getLastRow() >= 2) return sheet;
+    const ss = RecordRepository.getSpreadsheet();
+    const hayRegistros = RecordRepository.listPartitionNames(ss).some(name => ss.getSheetByName(name).getLastRow() > 1);
+    if (hayRegistros) this.rebuild();
+    return sheet;
+  }
+
+  /**
+   * Agrega un registro recién insertado. Debe llamarse bajo el mismo lock que la inserción.
+   * Si el índice todavía no se construyó (primer envío tras instalar), lo construye completo
+   * desde las particiones, que ya incluyen el registro recién insertado.
+   * Los registros nuevos van al final; uno con fecha anterior a la última (un registro
+   * restaurado) se inserta en su posición para que `inRange` pueda seguir buscando por fecha.
+   * @param {Object} record Registro indexado por encabezado.
+   * @param {string} particion Nombre de la hoja de partición.
+   * @param {number} fila Fila del registro en la partición.
+   */
+  static add(record, particion, fila) {
+    const sheet = this.getSheet();
+    if (sheet.getLastRow() < 2 && this.build() > 0) return;
+    const row = this.toIndexRow(record, particion, fila);
+    const lastRow = sheet.getLastRow();
+    const t = new Date(record.Timestamp).getTime();
+    if (lastRow < 2 || !(t < new Date(sheet.getRange(lastRow, 4).getValue()).getTime())) {
+      sheet.appendRow(row);
+      return;
+    }
+    const fechas = this.readDates(sheet);
+    const position = this.upperBound(fechas, t) + 2;
+    sheet.insertRowBefore(position);
+    sheet.getRange(position, 1, 1, row.length).setValues([row]);
+  }
+
+  static toIndexRow(record, particion, fila) {
+    return [
+      record.id_registro,
+      particion,
+      fila,
+      record.Timestamp,
+      record.Vendedor,
+      record['Codigo Cliente'],
+      record.Sucursal
+    ];
+  }
+
+  /**
+   * Quita un registro del índice y corrige las filas posteriores de la misma partición,
+   * que se desplazan una posición al eliminar la fila.
+   * @param {string} idRegistro
+   * @param {string} particion
+   * @param {number} fila Fila que ocupaba el registro eliminado.
+   */
+  static remove(idRegistro, particion, fila) {
+    const sheet = this.getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return;
+    const pointers = sheet.getRange(2, 1, lastRow - 1, 3).getValues();
+    let indexRow = -1;
+    const filas = pointers.map(([id, hoja, f], i) => {
+      if (String(id) === String(idRegistro)) indexRow = i + 2;
+      return [hoja === particion && Number(f) > fila ? Number(f) - 1 : f];
+    });
+    sheet.getRange(2, 3, filas.length, 1).setValues(filas);
+    if (indexRow > 0) sheet.deleteRow(indexRow);
+  }
+
+  /**
+   * Ubicación de un registro por `id_registro`.
+   * @returns {{particion: string, fila: number}|null}
+   */
+  static locate(idRegistro) {
+    const sheet = this.getSheet();
+    if (sheet.getLastRow() < 2) return null;
+    const match = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+      .createTextFinder(String(idRegistro))
+      .matchEntireCell(true)
+      .findNext();
+    if (!match) return null;
+    const [, particion, fila] = sheet.getRange(match.getRow(), 1, 1, 3).getValues()[0];
+    return { particion: String(particion), fila: Number(fila) };
+  }
+
+  /**
+   * Las últimas `limit` entradas (más recientes primero) que cumplan el filtro.
+   * Lee el índice desde el final en ventanas de RecordIndex.WINDOW filas.
+   * @param {number} limit
+   * @param {function(Object): boolean} [filter] Recibe la entrada del índice.
+   * @returns {Object[]} Entradas `{idRegistro, particion, fila, fecha, vendedor, cliente, sucursal}`.
+   */
+  static latest(limit, filter = () => true) {
+    const sheet = this.ensureBuilt();
+    const result = [];
+    let end = sheet.getLastRow();
+    while (end >= 2 && result.length < limit) {
+      const start = Math.max(2, end - RecordIndex.WINDOW + 1);
+      const entries = this.readEntries(sheet, start, end - start + 1).reverse();
+      for (const entry of entries) {
+        if (filter(entry)) result.push(entry);
+        if (result.length >= limit) break;
+      }
+      end = start - 1;
+    }
+    return result;
+  }
+
+  /**
+   * Los últimos `limit` registros (más recientes primero) que cumplan el filtro de la entrada
+   * y el del registro ya leído (p. ej. por estado, que no está en el índice). Lee el índice
+   * desde el final en ventanas de RecordIndex.WINDOW filas y, de cada ventana, solo las filas
+   * de partición que pasan el primer filtro.
+   * @param {number} limit
+   * @param {function(Object): boolean} [filter] Recibe la entrada del índice.
+   * @param {function(Object): boolean} [dataFilter] Recibe el registro indexado por encabezado.
+   * @returns {{sheetName: string, rowIndex: number, data: Object}[]}
+   */
+  static latestRecords(limit, filter = () => true, dataFilter = () => true) {
+    const sheet = this.ensureBuilt();
+    const result = [];
+    let end = sheet.getLastRow();
+    while (end >= 2 && result.length < limit) {
+      const start = Math.max(2, end - RecordIndex.WINDOW + 1);
+      const entries = this.readEntries(sheet, start, end - start + 1).reverse().filter(filter);
+      for (const record of this.load(entries)) {
+        if (dataFilter(record.data)) result.push(record);
+        if (result.length >= limit) break;
+      }
+      end = start - 1;
+    }
+    return result;
+  }
+
+  /**
+   * Entradas con fecha de envío dentro del rango, en orden de inserción.
+   * Como el índice está ordenado por fecha, se ubica el tramo con búsqueda binaria
+   * sobre la columna de fechas y solo se leen esas filas.
+   * @param {Date} start
+   * @param {Date} end
+   * @param {function(Object): boolean} [filter]
+   */
+  static inRange(start, end, filter = () => true) {
+    const sheet = this.ensureBuilt();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+    const fechas = this.readDates(sheet);
+    const from = this.upperBound(fechas, start.getTime() - 1);
+    const to = this.upperBound(fechas, end.getTime());
+    if (to <= from) return [];
+    // Se verifica la fecha de cada entrada por si el índice quedó desordenado (p. ej., filas
+    // agregadas antes de que `add` insertara en orden); `reconstruirIndiceRegistros` lo corrige.
+    return this.readEntries(sheet, from + 2, to - from)
+      .filter(e => e.fecha.getTime() >= start.getTime() && e.fecha.getTime() <= end.getTime())
+      .filter(filter);
+  }
+
+  static readDates(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+    return sheet.getRange(2, 4, lastRow - 1, 1).getValues().map(r => new Date(r[0]).getTime());
+  }
+
+  /** Cantidad de fechas del arreglo ordenado que son menores o iguales a `t`. */
+  static upperBound(fechas, t) {
+    let lo = 0, hi = fechas.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (fechas[mid] <= t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  static readEntries(sheet, startRow, numRows) {
+    return sheet.getRange(startRow, 1, numRows, 7).getValues()
+      .filter(row => row[0])
+      .map(([idRegistro, particion, fila, fecha, vendedor, cliente, sucursal]) => ({
+        idRegistro: String(idRegistro),
+        particion: String(particion),
+        fila: Number(fila),
+        fecha: new Date(fecha),
+        vendedor: String(vendedor),
+        cliente: String(cliente),
+        sucursal: String(sucursal)
+      }));
+  }
+
+  /**
+   * Lee de las particiones las filas a las que apuntan las entradas, agrupando por hoja
+   * para leer un único bloque contiguo por partición.
+   * @param {Object[]} entries Entradas de `latest` o `inRange`.
+   * @returns {{sheetName: string, rowIndex: number, data: Object}[]} En el mismo orden que `entries`.
+   */
+  static load(entries) {
+    const ss = RecordRepository.getSpreadsheet();
+    const byPartition = {};
+    entries.forEach(e => { (byPartition[e.particion] = byPartition[e.particion] || []).push(e); });
+
+    const loaded = {};
+    Object.keys(byPartition).forEach(name => {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) return;
+      const headerMap = RecordRepository.getHeaderMap(sheet);
+      const lastRow = sheet.getLastRow();
+      const filas = byPartition[name].map(e => e.fila).filter(f => f >= 2 && f <= lastRow);
+      if (filas.length === 0) return;
+      const first = filas.reduce((a, b) => Math.min(a, b));
+      const last = filas.reduce((a, b) => Math.max(a, b));
+      const block = sheet.getRange(first, 1, last - first + 1, sheet.getLastColumn()).getValues();
+      byPartition[name].forEach(e => {
+        const row = block[e.fila - first];
+        if (row && String(row[headerMap['id_registro']]) === e.idRegistro) {
+          loaded[e.idRegistro] = { sheetName: name, rowIndex: e.fila, data: RecordRepository.rowToObject(row, headerMap) };
+        }
+      });
+    });
+
+    return entries.map(e => {
+      if (loaded[e.idRegistro]) return loaded[e.idRegistro];
+      // Puntero desfasado: se busca el registro y se corrige el índice.
+      const found = RecordRepository.findById(e.idRegistro);
+      if (!found) return null;
+      this.repoint(e.idRegistro, found.sheet.getName(), found.rowIndex);
+      return { sheetName: found.sheet.getName(), rowIndex: found.rowIndex, data: found.data };
+    }).filter(Boolean);
+  }
+
+  static repoint(idRegistro, particion, fila) {
+    const sheet = this.getSheet();
+    const match = sheet.getRange(2, 1, Math.max(sheet.getLastRow() - 1, 1), 1)
+      .createTextFinder(String(idRegistro))
+      .matchEntireCell(true)
+      .findNext();
+    if (match) sheet.getRange(match.getRow(), 2, 1, 2).setValues([[particion, fila]]);
+  }
+
+  /**
+   * Reconstruye el índice a partir de todas las particiones, ordenado por fecha de envío.
+   * @returns {number} Cantidad de registros indexados.
+   */
+  static rebuild() {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      return this.build();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Construye el índice sin tomar el lock; lo usa `add`, que ya corre bajo el lock de la inserción.
+   * @returns {number} Cantidad de registros indexados.
+   */
+  static build() {
+    const rows = RecordRepository.readAll()
+      .filter(r => r.data.id_registro)
+      .sort((a, b) => new Date(a.data.Timestamp).getTime() - new Date(b.data.Timestamp).getTime())
+      .map(r => this.toIndexRow(r.data, r.sheetName, r.rowIndex));
+    const sheet = this.getSheet();
+    if (sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+    }
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    return rows.length;
+  }
+}
+RecordIndex.WINDOW = 200;
+
+/**
+ * Reconstruye el índice de registros desde el editor (instalación inicial o tras editar particiones a mano).
+ */
+function reconstruirIndiceRegistros() {
+  const total = RecordIndex.rebuild();
+  Logger.log(`Índice de registros reconstruido: ${total} registros.`);
+  return total;
+}
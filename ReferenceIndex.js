@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Índice global de referencias bancarias.
+ * La hoja `IndiceReferencias` guarda una fila por registro con la clave banco + referencia,
+ * compartida por todas las particiones, para detectar un pago reportado dos veces aunque
+ * lo haya enviado otro vendedor o esté en otro mes. Se actualiza al insertar y al eliminar, y
+ * se construye la primera vez que se consulta si está vacío y ya hay registros. Las referencias
+ * sin dígitos distintos de cero (vacías, 'N/A', '0000') no se indexan: compartirían una misma
+ * clave y chocarían entre sí en todo el histórico.
+ *
+ * Propiedades:
+ * - DUPLICADOS_MODO: 'bloquear' (por defecto) rechaza el envío; 'marcar' lo guarda con
+ *   `PosibleDuplicado` para que lo revise el analista.
+ * - DUPLICADOS_COMPARAR_MONTO_FECHA: 'true' para considerar duplicado solo si además
+ *   coinciden el monto y la fecha del pago.
+ */
+
+class ReferenceIndex {
+  /**
+   * Clave del índice: banco receptor y referencia normalizados (sin acentos, espacios ni ceros a la izquierda).
+   */
+  static key(banco, referencia) {
+    const bank = String(banco ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const ref = ReconciliationService.normalizeReference(referencia).replace(/^0+(?=.)/, '');
+    return `${bank}|${ref}`;
+  }
+
+  /** true si la referencia identifica un pago (tiene algún dígito distinto de cero). */
+  static indexable(referencia) {
+    return /[1-9]/.test(String(referencia ?? '').replace(/\D/g, ''));
+  }
+
+  static mode() {
+    const value = PropertiesService.getScriptProperties().getProperty('DUPLICADOS_MODO');
+    return value === ReferenceIndex.MODE_FLAG ? ReferenceIndex.MODE_FLAG : ReferenceIndex.MODE_BLOCK;
+  }
+
+  /**
+   * Registros del histórico con la misma referencia en el mismo banco.
+   * @param {string} banco Banco receptor.
+   * @param {string} referencia Número de referencia.
+   * @param {number} monto Monto pagado (solo si se compara monto y fecha).
+   * @param {Date} fecha Fecha del pago (solo si se compara monto y fecha).
+   * @returns {{idRegistro: string, particion: string, monto: number, fecha: string}[]}
+   */
+  static findCollisions(banco, referencia, monto, fecha) {
+    if (!ReferenceIndex.indexable(referencia)) return [];
+    const sheet = ReferenceIndex.ensureBuilt();
+    if (sheet.getLastRow() < 2) return [];
+    const compararMontoFecha = PropertiesService.getScriptProperties()
+      .getProperty('DUPLICADOS_COMPARAR_MONTO_FECHA') === 'true';
+    const dia = ReferenceIndex.formatDay(fecha);
+    const width = SheetManager.SHEET_CONFIG['IndiceReferencias'].headers.length;
+
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+      .createTextFinder(ReferenceIndex.key(banco, referencia))
+      .matchEntireCell(true)
+      .findAll()
+      .map(cell => sheet.getRange(cell.getRow(), 1, 1, width).getValues()[0])
+      .map(([, , , montoIdx, fechaIdx, idRegistro, particion]) => ({
+        idRegistro: String(idRegistro),
+        particion: String(particion),
+        monto: Number(montoIdx) || 0,
+        fecha: ReferenceIndex.formatDay(fechaIdx)
+      }))
+      .filter(c => !compararMontoFecha || (Math.abs(c.monto - monto) < 0.01 && c.fecha === dia));
+  }
+
+  /**
+   * Agrega un registro al índice. Debe llamarse dentro del mismo lock que la inserción.
+   * @param {Object} record Registro indexado por encabezado.
+   * @param {string} particion Nombre de la hoja de partición.
+   */
+  static add(record, particion) {
+    if (!ReferenceIndex.indexable(record['Nro. de Referencia'])) return;
+    SheetManager.getSheet('IndiceReferencias').appendRow([
+      ReferenceIndex.key(record['Banco Receptor'], record['Nro. de Referencia']),
+      record['Banco Receptor'],
+      record['Nro. de Referencia'],
+      record['Monto Pagado'],
+      ReferenceIndex.formatDay(record['Fecha de la Transferencia o Pago']),
+      record.id_registro,
+      particion,
+      new Date()
+    ]);
+  }
+
+  /**
+   * Quita del índice las filas de un registro.
+   * @param {string} idRegistro
+   */
+  static remove(idRegistro) {
+    if (!idRegistro) return;
+    const sheet = SheetManager.getSheet('IndiceReferencias');
+    if (sheet.getLastRow() < 2) return;
+    const col = SheetManager.SHEET_CONFIG['IndiceReferencias'].headers.indexOf('id_registro') + 1;
+    sheet.getRange(2, col, sheet.getLastRow() - 1, 1)
+      .createTextFinder(String(idRegistro))
+      .matchEntireCell(true)
+      .findAll()
+      .map(cell => cell.getRow())
+      .sort((a, b) => b - a)
+      .forEach(row => sheet.deleteRow(row));
+  }
+
+  /**
+   * Actualiza la columna Particion después de mover registros (ver PartitionMigration.js).
+   * @param {Object<string, string>} ubicaciones Partición actual por `id_registro`. Los registros
+   *     que ya no están en el libro principal se marcan como archivados.
+   */
+  static updatePartitions(ubicaciones) {
+    const sheet = SheetManager.getSheet('IndiceReferencias');
+    if (sheet.getLastRow() < 2) return;
+    const headers = SheetManager.SHEET_CONFIG['IndiceReferencias'].headers;
+    const idCol = headers.indexOf('id_registro');
+    const range = sheet.getRange(2, idCol + 1, sheet.getLastRow() - 1, 2);
+    range.setValues(range.getValues().map(([id, particion]) => {
+      const archivada = String(particion).startsWith(`${ReferenceIndex.ARCHIVED}:`);
+      return [id, ubicaciones[id] || (archivada ? particion : `${ReferenceIndex.ARCHIVED}:${particion}`)];
+    }));
+  }
+
+  /**
+   * Construye el índice si está vacío y ya hay registros en las particiones. Se llama desde
+   * findCollisions, que corre con el lock del script tomado, por eso usa `build` y no `rebuild`.
+   * Si ningún registro tiene referencia el índice queda vacío: se recuerda en la caché para no
+   * recorrer las particiones en cada envío.
+   */
+  static ensureBuilt() {
+    const sheet = SheetManager.getSheet('IndiceReferencias');
+    if (sheet.getLastRow() >= 2) return sheet;
+    const cache = CacheService.getScriptCache();
+    if (cache.get(ReferenceIndex.BUILT_CACHE_KEY)) return sheet;
+    const ss = RecordRepository.getSpreadsheet();
+    const hayRegistros = RecordRepository.listPartitionNames(ss).some(name => ss.getSheetByName(name).getLastRow() > 1);
+    if (hayRegistros) {
+      const total = ReferenceIndex.build();
+      Logger.log(`Índice de referencias construido al primer uso: ${total} registros.`);
+    }
+    cache.put(ReferenceIndex.BUILT_CACHE_KEY, '1', 21600);
+    return sheet;
+  }
+
+  /**
+   * Reconstruye el índice completo a partir de todas las particiones. Conserva las entradas
+   * de registros archivados, que siguen contando para detectar duplicados.
+   * @returns {number} Cantidad de registros indexados.
+   */
+  static rebuild() {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      return ReferenceIndex.build();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /** Reconstrucción sin tomar el lock (quien llama ya lo tiene). */
+  static build() {
+    const sheet = SheetManager.getSheet('IndiceReferencias');
+    const width = SheetManager.SHEET_CONFIG['IndiceReferencias'].headers.length;
+    const archivadas = sheet.getLastRow() > 1
+      ? sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues()
+        .filter(row => String(row[6]).startsWith(`${ReferenceIndex.ARCHIVED}:`))
+      : [];
+    const rows = archivadas.concat(RecordRepository.readAll()
+      .filter(r => r.data.id_registro && ReferenceIndex.indexable(r.data['Nro. de Referencia']))
+      .map(r => [
+        ReferenceIndex.key(r.data['Banco Receptor'], r.data['Nro. de Referencia']),
+        r.data['Banco Receptor'],
+        r.data['Nro. de Referencia'],
+        r.data['Monto Pagado'],
+        ReferenceIndex.formatDay(r.data['Fecha de la Transferencia o Pago']),
+        r.data.id_registro,
+        r.sheetName,
+        new Date()
+      ]));
+    if (sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+    }
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    return rows.length;
+  }
+
+  static formatDay(value) {
+    const date = StatementParser.parseDate(value);
+    return date ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd') : '';
+  }
+}
+ReferenceIndex.MODE_BLOCK = 'bloquear';
+ReferenceIndex.MODE_FLAG = 'marcar';
+// Prefijo de la columna Particion para registros trasladados al libro de archivo.
+ReferenceIndex.ARCHIVED = 'ARCHIVO';
+ReferenceIndex.BUILT_CACHE_KEY = 'indice_referencias_construido';
+
+/**
+ * Reconstruye el índice de referencias desde el editor (p. ej. tras la primera instalación).
+ */
+function reconstruirIndiceReferencias() {
+  const total = ReferenceIndex.rebuild();
+  Logger.log(`Índice de referencias reconstruido: ${total} registros.`);
+  return total;
+}
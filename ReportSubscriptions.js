@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Envío programado de reportes por correo.
+ *
+ * Los administradores definen suscripciones en la hoja 'SuscripcionesReportes': destinatarios,
+ * criterios del reporte (los de ReportService.normalizeCriteria, sin las fechas), un rango relativo
+ * (ReportSubscriptionService.RANGES), el formato (PDF o XLSX) y la programación (diaria, semanal o
+ * mensual, a una hora). Cada suscripción indica el usuario de la aplicación cuyo alcance por
+ * vendedor/sucursal se aplica: los destinatarios reciben lo mismo que ese usuario vería en Reportes.
+ *
+ * El trigger horario (ver crearTriggerReportesProgramados) envía las suscripciones cuya última
+ * programación ya pasó y no se han enviado desde entonces. Cada intento, exitoso o no, queda en la
+ * hoja 'EnviosReportes'. Los correos salen por MailSender: con MAIL_TRANSPORT='log' no se envía
+ * nada, y el servicio acepta otro MailSender para usar un transporte de prueba.
+ */
+
+class ReportSubscriptionService {
+  /**
+   * @param {MailSender} [mailSender]
+   */
+  constructor(mailSender) {
+    this.mailSender = mailSender;
+  }
+
+  /**
+   * Suscripciones con su último envío registrado.
+   * @returns {Object[]}
+   */
+  list() {
+    const tz = Session.getScriptTimeZone();
+    const ultimos = {};
+    ReportSubscriptionService.readLog().forEach(envio => { ultimos[envio.idSuscripcion] = envio; });
+    return ReportSubscriptionService.readAll().map(s => ({
+      id: s.id,
+      activa: s.activa,
+      destinatarios: s.destinatarios,
+      usuario: s.usuario,
+      frecuencia: s.frecuencia,
+      hora: s.hora,
+      dia: s.dia,
+      rango: s.rango,
+      formato: s.formato,
+      criterios: s.criterios,
+      descripcion: ReportSubscriptionService.describe(s),
+      ultimoEnvio: ultimos[s.id] ? {
+        fecha: Utilities.formatDate(ultimos[s.id].fecha, tz, 'dd/MM/yyyy HH:mm'),
+        estado: ultimos[s.id].estado,
+        detalle: ultimos[s.id].detalle
+      } : null
+    }));
+  }
+
+  /**
+   * Últimos envíos registrados, del más reciente al más antiguo.
+   * @param {number} [limite]
+   */
+  deliveries(limite = 50) {
+    const tz = Session.getScriptTimeZone();
+    return ReportSubscriptionService.readLog().reverse().slice(0, limite).map(envio => Object.assign({}, envio, {
+      fecha: Utilities.formatDate(envio.fecha, tz, 'dd/MM/yyyy HH:mm')
+    }));
+  }
+
+  /**
+   * Crea una suscripción o actualiza la indicada en `datos.id`.
+   * @param {Object} admin El usuario de la sesión.
+   * @param {Object} datos Campos del formulario de Reportes.html.
+   * @returns {string} El id de la suscripción.
+   */
+  save(admin, datos) {
+    const s = ReportSubscriptionService.normalize(datos);
+    const alcance = ReportSubscriptionService.scopeUser(s.usuario);
+    ReportSubscriptionService.assertCanReceive(alcance, s.formato);
+    // Valida los criterios (y el vendedor elegido) con un rango de un día.
+    const hoy = ReferenceIndex.formatDay(new Date());
+    const c = ReportService.normalizeCriteria(Object.assign({}, s.criterios, { desde: hoy, hasta: hoy }));
+    AccessControl.vendorFilter(alcance, c.vendedor);
+    delete c.desde;
+    delete c.hasta;
+    s.criterios = c;
+
+    const sheet = SheetManager.getSheet('SuscripcionesReportes');
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const fila = [s.activa, s.destinatarios.join(', '), s.usuario, s.frecuencia, s.hora, s.dia, s.rango, s.formato,
+        JSON.stringify(s.criterios)];
+      if (s.id) {
+        const row = ReportSubscriptionService.findRow(s.id);
+        if (!row) throw new Error(`No se encontró la suscripción ${s.id}.`);
+        const antes = sheet.getRange(row, 2, 1, fila.length).getValues()[0];
+        sheet.getRange(row, 2, 1, fila.length).setValues([fila]);
+        AuditLog.record(admin, 'reporte.suscripcion.editar', 'SuscripcionReporte', s.id, antes, fila);
+      } else {
+        s.id = Utilities.getUuid().slice(0, 8);
+        sheet.appendRow([s.id].concat(fila, ['', admin.email, new Date()]));
+        AuditLog.record(admin, 'reporte.suscripcion.crear', 'SuscripcionReporte', s.id, null, fila);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    Logger.log(`Suscripción de reporte ${s.id} guardada por ${admin.email}.`);
+    return s.id;
+  }
+
+  remove(admin, id) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const row = ReportSubscriptionService.findRow(id);
+      if (!row) throw new Error(`No se encontró la suscripción ${id}.`);
+      const sheet = SheetManager.getSheet('SuscripcionesReportes');
+      const antes = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+      sheet.deleteRow(row);
+      AuditLog.record(admin, 'reporte.suscripcion.eliminar', 'SuscripcionReporte', id, antes, null);
+    } finally {
+      lock.releaseLock();
+    }
+    return 'Suscripción eliminada.';
+  }
+
+  /**
+   * Envía ya una suscripción, sin esperar su programación (para probarla).
+   * @returns {string} Mensaje con el resultado.
+   */
+  sendNow(admin, id) {
+    const s = ReportSubscriptionService.readAll().find(x => x.id === id);
+    if (!s) throw new Error(`No se encontró la suscripción ${id}.`);
+    const envio = this.deliver(s, new Date(), admin.email);
+    if (envio.estado !== ReportSubscriptionService.ENVIADO) throw new Error(envio.detalle);
+    return `Reporte enviado a ${s.destinatarios.join(', ')} (${envio.registros} registros).`;
+  }
+
+  /**
+   * Envía las suscripciones activas que están pendientes en `now`.
+   * @returns {number} Suscripciones procesadas.
+   */
+  runDue(now = new Date()) {
+    const pendientes = ReportSubscriptionService.readAll()
+      .filter(s => s.activa && ReportSubscriptionService.isDue(s, now));
+    pendientes.forEach(s => this.deliver(s, now, ''));
+    return pendientes.length;
+  }
+
+  /**
+   * Genera y envía el reporte de una suscripción y registra el intento. No lanza errores:
+   * un fallo queda en 'EnviosReportes' y no se reintenta hasta la próxima programación.
+   * @param {Object} s La suscripción.
+   * @param {Date} now Fecha de referencia del rango relativo.
+   * @param {string} solicitadoPor Correo de quien pidió el envío manual ('' si es el trigger).
+   * @returns {{estado: string, detalle: string, registros: number}}
+   */
+  deliver(s, now, solicitadoPor) {
+    const rango = ReportSubscriptionService.rangeFor(s.rango, now);
+    let resultado;
+    try {
+      const alcance = ReportSubscriptionService.scopeUser(s.usuario);
+      ReportSubscriptionService.assertCanReceive(alcance, s.formato);
+      const criterios = Object.assign({}, s.criterios, rango);
+      const reportService = new ReportService(new DataFetcher());
+      let adjunto;
+      let registros;
+      let resumen;
+      if (s.formato === 'xlsx') {
+        const archivo = new RecordExportService(reportService).buildFile(alcance, 'xlsx', criterios);
+        adjunto = archivo.blob;
+        registros = archivo.filas;
+        resumen = ReportService.describeCriteria(archivo.criterios);
+      } else {
+        const { records, meta } = reportService.buildReport(alcance, criterios);
+        adjunto = reportService.buildPdf(records, meta);
+        registros = records.length;
+        resumen = meta.filtros;
+      }
+      const periodo = `${ReportService.formatIsoDay(rango.desde)} al ${ReportService.formatIsoDay(rango.hasta)}`;
+      (this.mailSender || new MailSender()).send({
+        to: s.destinatarios.join(','),
+        subject: `Reporte de cobranza del ${periodo}`,
+        body: `Reporte de cobranza del ${periodo} (${ReportSubscriptionService.RANGES[s.rango]}).\n`
+          + (resumen ? `Filtros: ${resumen}.\n` : '')
+          + `Registros: ${registros}.\n\n`
+          + `Envío programado: ${ReportSubscriptionService.describe(s)}. Para dejar de recibirlo, contacte al administrador.`,
+        attachments: [adjunto]
+      });
+      resultado = { estado: ReportSubscriptionService.ENVIADO, detalle: '', registros };
+    } catch (e) {
+      Logger.error(`Error enviando la suscripción de reporte ${s.id}: ${e.message}`);
+      resultado = { estado: ReportSubscriptionService.ERROR, detalle: e.message, registros: 0 };
+    }
+
+    SheetManager.getSheet('EnviosReportes').appendRow([
+      now, s.id, s.destinatarios.join(', '), `${rango.desde} a ${rango.hasta}`, s.formato,
+      resultado.registros, resultado.estado, resultado.detalle, solicitadoPor || 'Programado'
+    ]);
+    if (!solicitadoPor) {
+      const row = ReportSubscriptionService.findRow(s.id);
+      if (row) SheetManager.getSheet('SuscripcionesReportes').getRange(row, ReportSubscriptionService.column('UltimoEnvio')).setValue(now);
+    }
+    return resultado;
+  }
+
+  /**
+   * Valida y normaliza los datos de una suscripción.
+   * @returns {Object}
+   */
+  static normalize(datos = {}) {
+    const s = {
+      id: String(datos.id || '').trim(),
+      activa: datos.activa === undefined ? true : datos.activa === true || String(datos.activa).toLowerCase() === 'true',
+      destinatarios: String(datos.destinatarios || '').split(/[,;\s]+/).map(d => d.trim().toLowerCase()).filter(Boolean),
+      usuario: String(datos.usuario || '').trim().toLowerCase(),
+      frecuencia: String(datos.frecuencia || '').trim(),
+      hora: Number(datos.hora),
+      dia: Number(datos.dia) || 0,
+      rango: String(datos.rango || '').trim(),
+      formato: String(datos.formato || 'pdf').trim().toLowerCase(),
+      criterios: datos.criterios && typeof datos.criterios === 'object' ? datos.criterios : {}
+    };
+    if (s.destinatarios.length === 0) throw new Error('Indique al menos un destinatario.');
+    const invalido = s.destinatarios.find(d => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(d));
+    if (invalido) throw new Error(`Correo de destinatario inválido: ${invalido}`);
+    if (!s.usuario) throw new Error('Indique el usuario cuyo alcance se aplica al reporte.');
+    if (!ReportSubscriptionService.FREQUENCIES.includes(s.frecuencia)) throw new Error(`Frecuencia inválida: ${s.frecuencia}`);
+    if (!Number.isInteger(s.hora) || s.hora < 0 || s.hora > 23) throw new Error('La hora debe estar entre 0 y 23.');
+    if (s.frecuencia === 'semanal' && (s.dia < 1 || s.dia > 7)) throw new Error('Indique el día de la semana (1 = lunes ... 7 = domingo).');
+    if (s.frecuencia === 'mensual' && (s.dia < 1 || s.dia > 28)) throw new Error('Indique el día del mes (1 a 28).');
+    if (s.frecuencia === 'diaria') s.dia = 0;
+    if (!(s.rango in ReportSubscriptionService.RANGES)) throw new Error(`Rango inválido: ${s.rango}`);
+    if (!['pdf', 'xlsx'].includes(s.formato)) throw new Error(`Formato inválido: ${s.formato}`);
+    return s;
+  }
+
+  /** Usuario de la aplicación con cuyo alcance se genera el reporte. */
+  static scopeUser(email) {
+    const cuenta = AccountService.findUser(email);
+    if (!cuenta || cuenta.estado === AccountService.INACTIVO) {
+      throw new Error(`El usuario ${email} no existe o está inactivo.`);
+    }
+    return { email: cuenta.correo, name: cuenta.nombre, role: AccessControl.getRole(cuenta.correo) };
+  }
+
+  static assertCanReceive(user, formato) {
+    const permiso = formato === 'xlsx' ? 'reportes.exportar' : 'reportes.pdf';
+    if (!AccessControl.hasPermission(user.role, permiso)) {
+      throw new Error(`El usuario ${user.email} (${user.role}) no tiene el permiso '${permiso}'.`);
+    }
+  }
+
+  /**
+   * Fechas 'yyyy-MM-dd' del rango relativo a `now`.
+   * @param {string} rango Una clave de ReportSubscriptionService.RANGES.
+   * @returns {{desde: string, hasta: string}}
+   */
+  static rangeFor(rango, now) {
+    const dia = (y, m, d) => ReferenceIndex.formatDay(new Date(y, m, d));
+    const y = now.getFullYear();
+    const m = now.getMonth();
+    const d = now.getDate();
+    const lunes = d - ((now.getDay() + 6) % 7);
+    switch (rango) {
+      case 'hoy': return { desde: dia(y, m, d), hasta: dia(y, m, d) };
+      case 'ayer': return { desde: dia(y, m, d - 1), hasta: dia(y, m, d - 1) };
+      case 'ultimos_7_dias': return { desde: dia(y, m, d - 7), hasta: dia(y, m, d - 1) };
+      case 'semana_anterior': return { desde: dia(y, m, lunes - 7), hasta: dia(y, m, lunes - 1) };
+      case 'mes_en_curso': return { desde: dia(y, m, 1), hasta: dia(y, m, d) };
+      case 'mes_anterior': return { desde: dia(y, m - 1, 1), hasta: dia(y, m, 0) };
+      default: throw new Error(`Rango inválido: ${rango}`);
+    }
+  }
+
+  /**
+   * Última fecha programada de la suscripción que no es posterior a `now`.
+   * @returns {Date}
+   */
+  static lastOccurrence(s, now) {
+    const y = now.getFullYear();
+    const m = now.getMonth();
+    const d = now.getDate();
+    let fecha;
+    if (s.frecuencia === 'mensual') {
+      fecha = new Date(y, m, s.dia, s.hora);
+      if (fecha > now) fecha = new Date(y, m - 1, s.dia, s.hora);
+    } else if (s.frecuencia === 'semanal') {
+      // dia: 1 = lunes ... 7 = domingo; getDay(): 0 = domingo.
+      fecha = new Date(y, m, d - ((now.getDay() - s.dia + 7) % 7), s.hora);
+      if (fecha > now) fecha = new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate() - 7, s.hora);
+    } else {
+      fecha = new Date(y, m, d, s.hora);
+      if (fecha > now) fecha = new Date(y, m, d - 1, s.hora);
+    }
+    return fecha;
+  }
+
+  /**
+   * Una suscripción está pendiente si su última programación es posterior a su último envío
+   * (o a su creación, para no enviar de inmediato las recién creadas).
+   */
+  static isDue(s, now) {
+    const referencia = s.ultimoEnvio || s.creado;
+    return !referencia || referencia < ReportSubscriptionService.lastOccurrence(s, now);
+  }
+
+  static describe(s) {
+    const dias = ['', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'];
+    const hora = `${String(s.hora).padStart(2, '0')}:00`;
+    const cuando = s.frecuencia === 'semanal' ? `cada ${dias[s.dia]} a las ${hora}`
+      : s.frecuencia === 'mensual' ? `el día ${s.dia} de cada mes a las ${hora}`
+        : `todos los días a las ${hora}`;
+    return `${ReportSubscriptionService.RANGES[s.rango] || s.rango}, ${s.formato.toUpperCase()}, ${cuando}`;
+  }
+
+  static readAll() {
+    const sheet = SheetManager.getSheet('SuscripcionesReportes');
+    if (sheet.getLastRow() < 2) return [];
+    const width = SheetManager.SHEET_CONFIG['SuscripcionesReportes'].headers.length;
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues()
+      .filter(row => String(row[0]).trim())
+      .map(([id, activa, destinatarios, usuario, frecuencia, hora, dia, rango, formato, criterios, ultimoEnvio, creadoPor, creado]) => {
+        let c = {};
+        try {
+          c = JSON.parse(String(criterios) || '{}');
+        } catch (e) {
+          Logger.error(`Criterios ilegibles en la suscripción ${id}: ${e.message}`);
+        }
+        return {
+          id: String(id),
+          activa: activa === true || String(activa).toLowerCase() === 'true',
+          destinatarios: String(destinatarios).split(/[,;\s]+/).filter(Boolean),
+          usuario: String(usuario).trim().toLowerCase(),
+          frecuencia: String(frecuencia),
+          hora: Number(hora) || 0,
+          dia: Number(dia) || 0,
+          rango: String(rango),
+          formato: String(formato || 'pdf'),
+          criterios: c,
+          ultimoEnvio: ultimoEnvio instanceof Date ? ultimoEnvio : null,
+          creadoPor: String(creadoPor),
+          creado: creado instanceof Date ? creado : null
+        };
+      });
+  }
+
+  static readLog() {
+    const sheet = SheetManager.getSheet('EnviosReportes');
+    if (sheet.getLastRow() < 2) return [];
+    const width = SheetManager.SHEET_CONFIG['EnviosReportes'].headers.length;
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues()
+      .map(([fecha, idSuscripcion, destinatarios, periodo, formato, registros, estado, detalle, solicitadoPor]) => ({
+        fecha: new Date(fecha), idSuscripcion: String(idSuscripcion), destinatarios: String(destinatarios),
+        periodo: String(periodo), formato: String(formato), registros: Number(registros) || 0,
+        estado: String(estado), detalle: String(detalle), solicitadoPor: String(solicitadoPor)
+      }));
+  }
+
+  static findRow(id) {
+    const sheet = SheetManager.getSheet('SuscripcionesReportes');
+    if (sheet.getLastRow() < 2) return null;
+    const cell = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+      .createTextFinder(String(id)).matchEntireCell(true).findNext();
+    return cell ? cell.getRow() : null;
+  }
+
+  static column(name) {
+    return SheetManager.SHEET_CONFIG['SuscripcionesReportes'].headers.indexOf(name) + 1;
+  }
+}
+ReportSubscriptionService.FREQUENCIES = ['diaria', 'semanal', 'mensual'];
+ReportSubscriptionService.RANGES = {
+  hoy: 'Hoy',
+  ayer: 'Ayer',
+  ultimos_7_dias: 'Últimos 7 días',
+  semana_anterior: 'Semana anterior',
+  mes_en_curso: 'Mes en curso',
+  mes_anterior: 'Mes anterior'
+};
+ReportSubscriptionService.ENVIADO = 'Enviado';
+ReportSubscriptionService.ERROR = 'Error';
+
+/**
+ * Envía las suscripciones de reportes pendientes.
+ * Esta función está diseñada para ser ejecutada por un trigger de tiempo.
+ */
+function enviarReportesProgramados_() {
+  const enviadas = new ReportSubscriptionService().runDue(new Date());
+  if (enviadas > 0) Logger.log(`Envío programado de reportes: ${enviadas} suscripciones procesadas.`);
+}
+
+/**
+ * Crea el trigger horario de los reportes programados (ejecutar una vez desde el editor).
+ */
+function crearTriggerReportesProgramados() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'enviarReportesProgramados_') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  ScriptApp.newTrigger('enviarReportesProgramados_').timeBased().everyHours(1).create();
+  Logger.log('Trigger horario de reportes programados creado/actualizado correctamente.');
+}
+
+/**
+ * Verificación de rangos y programación; ejecutar desde el editor tras modificar este archivo.
+ * Lanza un error con el primer caso que no coincida.
+ */
+function verificarSuscripcionesReportes() {
+  const ahora = new Date(2025, 8, 3, 10, 30); // miércoles 03/09/2025 10:30
+  const rangos = [
+    ['hoy', '2025-09-03', '2025-09-03'],
+    ['ayer', '2025-09-02', '2025-09-02'],
+    ['ultimos_7_dias', '2025-08-27', '2025-09-02'],
+    ['semana_anterior', '2025-08-25', '2025-08-31'],
+    ['mes_en_curso', '2025-09-01', '2025-09-03'],
+    ['mes_anterior', '2025-08-01', '2025-08-31']
+  ];
+  rangos.forEach(([rango, desde, hasta]) => {
+    const r = ReportSubscriptionService.rangeFor(rango, ahora);
+    if (r.desde !== desde || r.hasta !== hasta) throw new Error(`rangeFor(${rango}): esperado ${desde}..${hasta}, obtenido ${r.desde}..${r.hasta}`);
+  });
+
+  const programaciones = [
+    // [frecuencia, hora, dia, última programación esperada]
+    ['diaria', 7, 0, new Date(2025, 8, 3, 7)],
+    ['diaria', 11, 0, new Date(2025, 8, 2, 11)],
+    ['semanal', 7, 3, new Date(2025, 8, 3, 7)],
+    ['semanal', 11, 3, new Date(2025, 7, 27, 11)],
+    ['semanal', 7, 1, new Date(2025, 8, 1, 7)],
+    ['semanal', 7, 7, new Date(2025, 7, 31, 7)],
+    ['mensual', 6, 1, new Date(2025, 8, 1, 6)],
+    ['mensual', 6, 5, new Date(2025, 7, 5, 6)]
+  ];
+  programaciones.forEach(([frecuencia, hora, dia, esperada]) => {
+    const fecha = ReportSubscriptionService.lastOccurrence({ frecuencia, hora, dia }, ahora);
+    if (fecha.getTime() !== esperada.getTime()) throw new Error(`lastOccurrence(${frecuencia}, ${hora}, ${dia}): esperado ${esperada}, obtenido ${fecha}`);
+  });
+  const s = { frecuencia: 'diaria', hora: 7, dia: 0, creado: new Date(2025, 8, 1) };
+  if (!ReportSubscriptionService.isDue(s, ahora)) throw new Error('isDue: la suscripción debería estar pendiente.');
+  if (ReportSubscriptionService.isDue(Object.assign({}, s, { ultimoEnvio: new Date(2025, 8, 3, 7, 5) }), ahora)) {
+    throw new Error('isDue: la suscripción ya se envió hoy.');
+  }
+  Logger.log('Verificación de suscripciones de reportes: OK');
+}
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Sesiones de la aplicación.
+ *
+ * La hoja 'Sesiones' es el registro de sesiones (una fila por login) y CacheService hace de
+ * caché para validar el token sin leer la hoja en cada llamada. El token no se guarda: la hoja
+ * y la caché usan su SHA-256, y a la vista se muestra solo un identificador corto.
+ *
+ * Una sesión vence a las SESION_DURACION_HORAS (6 por defecto) de creada o tras
+ * SESION_INACTIVIDAD_MINUTOS (120 por defecto) sin uso. Revocar una sesión la marca en la hoja
+ * y la borra de la caché, así que deja de valer de inmediato.
+ *
+ * La purga diaria reescribe la hoja completa; por eso toda escritura en la hoja (altas y
+ * cambios por número de fila) se hace bajo el mismo lock del script que la purga.
+ */
+
+class SessionStore {
+  static getSheet() {
+    return SheetManager.getSheet('Sesiones');
+  }
+
+  static headers() {
+    return SheetManager.SHEET_CONFIG['Sesiones'].headers;
+  }
+
+  static config() {
+    const props = PropertiesService.getScriptProperties();
+    return {
+      duracionMs: (Number(props.getProperty('SESION_DURACION_HORAS')) || 6) * 3600 * 1000,
+      inactividadMs: (Number(props.getProperty('SESION_INACTIVIDAD_MINUTOS')) || 120) * 60 * 1000
+    };
+  }
+
+  static hash(token) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token));
+    return Utilities.base64EncodeWebSafe(digest).replace(/=+$/, '');
+  }
+
+  static cacheKey(tokenHash) {
+    return `sess_${tokenHash}`;
+  }
+
+  /** Ejecuta una escritura en la hoja bajo el lock del script (ver el encabezado). */
+  static withLock(fn) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      return fn();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Crea una sesión para un usuario autenticado.
+   * @param {{email: string, name: string, role: string}} user
+   * @param {{dispositivo: string, agente: string}} [origen] Datos del navegador (Auth.html).
+   * @returns {string} El token de sesión.
+   */
+  static create(user, origen) {
+    const token = Utilities.getUuid() + Utilities.getUuid().replace(/-/g, '');
+    const tokenHash = SessionStore.hash(token);
+    const now = new Date();
+    const { duracionMs } = SessionStore.config();
+    const session = {
+      tokenHash,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      creada: now.getTime(),
+      ultimoAcceso: now.getTime(),
+      ultimoRegistro: now.getTime(),
+      expira: now.getTime() + duracionMs
+    };
+    SessionStore.withLock(() => SessionStore.getSheet().appendRow([
+      tokenHash, user.email, user.name, user.role, now, now, new Date(session.expira),
+      String((origen && origen.dispositivo) || ''), String((origen && origen.agente) || '').slice(0, 250),
+      SessionStore.ACTIVA, ''
+    ]));
+    SessionStore.cache(session);
+    return token;
+  }
+
+  /**
+   * Usuario de una sesión válida, renovando su último acceso; null si no existe, venció o fue revocada.
+   * @param {string} token
+   * @returns {{email: string, name: string, role: string, sessionId: string}|null}
+   */
+  static get(token) {
+    if (!token) return null;
+    const tokenHash = SessionStore.hash(token);
+    const cached = CacheService.getScriptCache().get(SessionStore.cacheKey(tokenHash));
+    const session = cached ? JSON.parse(cached) : SessionStore.load(tokenHash);
+    if (!session) return null;
+
+    const now = new Date().getTime();
+    const { inactividadMs } = SessionStore.config();
+    if (now >= session.expira || now - session.ultimoAcceso >= inactividadMs) {
+      SessionStore.end(tokenHash, SessionStore.VENCIDA, '');
+      return null;
+    }
+
+    // La cuenta se verifica al leer la sesión de la hoja y junto con la escritura del último acceso:
+    // desactivarla directamente en 'Usuarios' invalida sus tokens en a lo sumo LAST_SEEN_WRITE_MS.
+    const verificar = !cached || now - session.ultimoRegistro >= SessionStore.LAST_SEEN_WRITE_MS;
+    if (verificar && !SessionStore.isAccountActive(session.email)) {
+      SessionStore.end(tokenHash, SessionStore.REVOCADA, '');
+      return null;
+    }
+
+    session.ultimoAcceso = now;
+    // El último acceso se escribe en la hoja como mucho cada LAST_SEEN_WRITE_MS.
+    if (now - session.ultimoRegistro >= SessionStore.LAST_SEEN_WRITE_MS) {
+      SessionStore.withLock(() => {
+        const row = SessionStore.findRow(tokenHash);
+        if (row) SessionStore.getSheet().getRange(row, SessionStore.column('UltimoAcceso')).setValue(new Date(now));
+      });
+      session.ultimoRegistro = now;
+    }
+    SessionStore.cache(session);
+    return { email: session.email, name: session.name, role: session.role, sessionId: SessionStore.shortId(tokenHash) };
+  }
+
+  static isAccountActive(email) {
+    const cuenta = AccountService.findUser(email);
+    return !!cuenta && cuenta.estado === AccountService.ACTIVO;
+  }
+
+  static cache(session) {
+    const { inactividadMs } = SessionStore.config();
+    const restante = Math.min(session.expira - new Date().getTime(), inactividadMs);
+    const ttl = Math.max(1, Math.min(21600, Math.ceil(restante / 1000)));
+    CacheService.getScriptCache().put(SessionStore.cacheKey(session.tokenHash), JSON.stringify(session), ttl);
+  }
+
+  /** Recupera una sesión activa de la hoja (caché vencida o desalojada). */
+  static load(tokenHash) {
+    const row = SessionStore.findRow(tokenHash);
+    if (!row) return null;
+    const values = SessionStore.getSheet().getRange(row, 1, 1, SessionStore.headers().length).getValues()[0];
+    const data = SessionStore.toObject(values);
+    if (data.Estado !== SessionStore.ACTIVA) return null;
+    const ultimoAcceso = new Date(data.UltimoAcceso).getTime();
+    return {
+      tokenHash,
+      email: String(data.Correo),
+      name: String(data.Nombre),
+      role: String(data.Rol),
+      creada: new Date(data.Creada).getTime(),
+      ultimoAcceso,
+      ultimoRegistro: ultimoAcceso,
+      expira: new Date(data.Expira).getTime()
+    };
+  }
+
+  static findRow(tokenHash) {
+    const sheet = SessionStore.getSheet();
+    if (sheet.getLastRow() < 2) return null;
+    const match = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+      .createTextFinder(tokenHash)
+      .matchEntireCell(true)
+      .findNext();
+    return match ? match.getRow() : null;
+  }
+
+  /**
+   * Termina una sesión: la marca con el estado indicado y la quita de la caché.
+   */
+  static end(tokenHash, estado, actor) {
+    CacheService.getScriptCache().remove(SessionStore.cacheKey(tokenHash));
+    SessionStore.withLock(() => {
+      const row = SessionStore.findRow(tokenHash);
+      if (row) SessionStore.getSheet().getRange(row, SessionStore.column('Estado'), 1, 2).setValues([[estado, actor || '']]);
+    });
+  }
+
+  static logout(token) {
+    if (token) SessionStore.end(SessionStore.hash(token), SessionStore.CERRADA, '');
+  }
+
+  /**
+   * Sesiones activas (no vencidas) de un usuario, de la más reciente a la más antigua.
+   * @param {string} email
+   * @returns {{id: string, creada: string, ultimoAcceso: string, expira: string, dispositivo: string, agente: string}[]}
+   */
+  static listActive(email) {
+    const correo = String(email || '').trim().toLowerCase();
+    const tz = Session.getScriptTimeZone();
+    const format = (d) => Utilities.formatDate(new Date(d), tz, 'dd/MM/yyyy HH:mm');
+    return SessionStore.readActive()
+      .filter(s => s.Correo === correo)
+      .sort((a, b) => new Date(b.Creada).getTime() - new Date(a.Creada).getTime())
+      .map(s => ({
+        id: SessionStore.shortId(s.TokenHash),
+        creada: format(s.Creada),
+        ultimoAcceso: format(s.UltimoAcceso),
+        expira: format(s.Expira),
+        dispositivo: String(s.Dispositivo).slice(0, 8),
+        agente: String(s.Agente)
+      }));
+  }
+
+  /** Cantidad de sesiones activas por correo. */
+  static countActive() {
+    return SessionStore.readActive().reduce((counts, s) => {
+      counts[s.Correo] = (counts[s.Correo] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /** Todas las filas de la hoja como objetos por encabezado, con su número de fila. */
+  static readAll() {
+    const sheet = SessionStore.getSheet();
+    if (sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, SessionStore.headers().length).getValues()
+      .map((values, i) => Object.assign(SessionStore.toObject(values), { row: i + 2 }));
+  }
+
+  static readActive() {
+    const { inactividadMs } = SessionStore.config();
+    const now = new Date().getTime();
+    return SessionStore.readAll()
+      .filter(s => s.Estado === SessionStore.ACTIVA
+        && new Date(s.Expira).getTime() > now
+        && now - new Date(s.UltimoAcceso).getTime() < inactividadMs + SessionStore.LAST_SEEN_WRITE_MS);
+  }
+
+  /**
+   * Revoca sesiones de un usuario: una por su identificador corto, o todas si no se indica.
+   * La sesión deja de valer en la siguiente llamada que haga con su token.
+   * @param {string} email
+   * @param {string|null} id Identificador corto de listActive.
+   * @param {string} actor Correo de quien revoca.
+   * @returns {number} Sesiones revocadas.
+   */
+  static revoke(email, id, actor) {
+    const correo = String(email || '').trim().toLowerCase();
+    const sheet = SessionStore.getSheet();
+    const cache = CacheService.getScriptCache();
+    return SessionStore.withLock(() => {
+      const sesiones = SessionStore.readAll()
+        .filter(s => s.Correo === correo && s.Estado === SessionStore.ACTIVA)
+        .filter(s => !id || SessionStore.shortId(s.TokenHash) === id);
+      sesiones.forEach(s => {
+        cache.remove(SessionStore.cacheKey(s.TokenHash));
+        sheet.getRange(s.row, SessionStore.column('Estado'), 1, 2).setValues([[SessionStore.REVOCADA, actor || '']]);
+      });
+      return sesiones.length;
+    });
+  }
+
+  /**
+   * Revoca todas las sesiones de un usuario salvo la indicada (p. ej. la que cambió la contraseña).
+   * @param {string} email
+   * @param {string|null} idConservar Identificador corto de la sesión que sigue activa.
+   * @param {string} actor Correo de quien revoca.
+   * @returns {number} Sesiones revocadas.
+   */
+  static revokeOthers(email, idConservar, actor) {
+    const correo = String(email || '').trim().toLowerCase();
+    const sheet = SessionStore.getSheet();
+    const cache = CacheService.getScriptCache();
+    return SessionStore.withLock(() => {
+      const otras = SessionStore.readAll()
+        .filter(s => s.Correo === correo && s.Estado === SessionStore.ACTIVA && SessionStore.shortId(s.TokenHash) !== idConservar);
+      otras.forEach(s => {
+        cache.remove(SessionStore.cacheKey(s.TokenHash));
+        sheet.getRange(s.row, SessionStore.column('Estado'), 1, 2).setValues([[SessionStore.REVOCADA, actor || '']]);
+      });
+      return otras.length;
+    });
+  }
+
+  /**
+   * Actualiza el rol guardado en las sesiones activas de un usuario (p. ej. tras reasignarlo).
+   */
+  static updateRole(email, role) {
+    const correo = String(email || '').trim().toLowerCase();
+    const sheet = SessionStore.getSheet();
+    const cache = CacheService.getScriptCache();
+    SessionStore.withLock(() => SessionStore.readAll()
+      .filter(s => s.Correo === correo && s.Estado === SessionStore.ACTIVA)
+      .forEach(s => {
+        sheet.getRange(s.row, SessionStore.column('Rol')).setValue(role);
+        cache.remove(SessionStore.cacheKey(s.TokenHash));
+      }));
+  }
+
+  /**
+   * Borra de la hoja las sesiones terminadas o vencidas hace más de RETENTION_DAYS días.
+   * Reescribe el rango: debe llamarse con el lock del script tomado (ver purgarSesiones_).
+   * @returns {number} Filas eliminadas.
+   */
+  static purge() {
+    const sheet = SessionStore.getSheet();
+    if (sheet.getLastRow() < 2) return 0;
+    const limite = new Date().getTime() - SessionStore.RETENTION_DAYS * 24 * 3600 * 1000;
+    const { inactividadMs } = SessionStore.config();
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, SessionStore.headers().length).getValues();
+    const keep = values.filter(v => {
+      const s = SessionStore.toObject(v);
+      const fin = s.Estado === SessionStore.ACTIVA
+        ? Math.min(new Date(s.Expira).getTime(), new Date(s.UltimoAcceso).getTime() + inactividadMs)
+        : new Date(s.UltimoAcceso).getTime();
+      return fin >= limite;
+    });
+    const removed = values.length - keep.length;
+    if (removed === 0) return 0;
+    sheet.getRange(2, 1, values.length, SessionStore.headers().length).clearContent();
+    if (keep.length > 0) sheet.getRange(2, 1, keep.length, SessionStore.headers().length).setValues(keep);
+    return removed;
+  }
+
+  static toObject(values) {
+    return SessionStore.headers().reduce((obj, header, i) => {
+      obj[header] = values[i];
+      return obj;
+    }, {});
+  }
+
+  static column(name) {
+    return SessionStore.headers().indexOf(name) + 1;
+  }
+
+  static shortId(tokenHash) {
+    return String(tokenHash).slice(0, 10);
+  }
+}
+SessionStore.ACTIVA = 'activa';
+SessionStore.CERRADA = 'cerrada';
+SessionStore.VENCIDA = 'vencida';
+SessionStore.REVOCADA = 'revocada';
+SessionStore.LAST_SEEN_WRITE_MS = 5 * 60 * 1000;
+SessionStore.RETENTION_DAYS = 30;
+
+/**
+ * Handler del trigger diario que limpia la hoja 'Sesiones'.
+ */
+function purgarSesiones_() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const removed = SessionStore.purge();
+    Logger.log(`Purga de sesiones: ${removed} filas eliminadas.`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Crea el trigger diario de purga de sesiones (ejecutar una vez desde el editor).
+ */
+function crearTriggerPurgaSesiones() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'purgarSesiones_') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  ScriptApp.newTrigger('purgarSesiones_').timeBased().everyDays(1).atHour(3).create();
+  Logger.log('Trigger diario de purga de sesiones creado.');
+}
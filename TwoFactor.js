@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Verificación en dos pasos con TOTP (RFC 6238: HMAC-SHA1, 6 dígitos, pasos de 30 s),
+ * compatible con Google Authenticator, Microsoft Authenticator y similares.
+ *
+ * La hoja 'SegundoFactor' guarda, por usuario, el secreto cifrado con AUTH_SECRET_KEY, los
+ * códigos de recuperación (solo su HMAC; cada uno sirve una vez) y el último paso aceptado,
+ * para que un mismo código no pueda usarse dos veces.
+ *
+ * Es obligatorio para los roles con el permiso 'seguridad.2fa' (hoja 'Permisos'); el resto
+ * puede activarlo desde Mi Cuenta. Quien lo tiene obligatorio y aún no lo configuró lo
+ * activa en el propio login (Auth.html), antes de recibir su token.
+ */
+
+class Totp {
+  /** Secreto aleatorio de 20 bytes (160 bits, lo recomendado para HMAC-SHA1). */
+  static generateSecret() {
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + new Date().getTime())
+      .slice(0, Totp.SECRET_BYTES);
+  }
+
+  /**
+   * Código de 6 dígitos para un paso de tiempo.
+   * @param {number[]} secret Bytes del secreto.
+   * @param {number} step Paso de tiempo (segundos Unix / Totp.PERIOD_SECONDS).
+   * @returns {string}
+   */
+  static code(secret, step) {
+    const counter = [];
+    let high = Math.floor(step / 0x100000000);
+    let low = step % 0x100000000;
+    for (let i = 7; i >= 4; i--) { counter[i] = Totp.toByte(low & 0xff); low = Math.floor(low / 256); }
+    for (let i = 3; i >= 0; i--) { counter[i] = Totp.toByte(high & 0xff); high = Math.floor(high / 256); }
+    const hmac = Utilities.computeHmacSignature(Utilities.MacAlgorithm.HMAC_SHA_1, counter, secret);
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | ((hmac[offset + 1] & 0xff) << 16)
+      | ((hmac[offset + 2] & 0xff) << 8) | (hmac[offset + 3] & 0xff);
+    return String(binary % Math.pow(10, Totp.DIGITS)).padStart(Totp.DIGITS, '0');
+  }
+
+  static currentStep() {
+    return Math.floor(new Date().getTime() / 1000 / Totp.PERIOD_SECONDS);
+  }
+
+  /**
+   * Busca el código en el paso actual y en los vecinos (tolerancia de reloj).
+   * @param {number[]} secret
+   * @param {string} codigo
+   * @param {number} [ultimoPaso] Último paso aceptado; no se aceptan pasos anteriores o iguales.
+   * @returns {number} El paso que coincide, o -1.
+   */
+  static verify(secret, codigo, ultimoPaso = -1) {
+    const value = String(codigo || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${Totp.DIGITS}}$`).test(value)) return -1;
+    const actual = Totp.currentStep();
+    for (let step = actual - Totp.WINDOW; step <= actual + Totp.WINDOW; step++) {
+      if (step > ultimoPaso && PasswordHasher.equals(Totp.code(secret, step), value)) return step;
+    }
+    return -1;
+  }
+
+  /** URI otpauth:// que leen las aplicaciones de autenticación (también como código QR). */
+  static uri(email, secret) {
+    const label = encodeURIComponent(`${Totp.ISSUER}:${email}`);
+    return `otpauth://totp/${label}?secret=${Totp.base32Encode(secret)}&issuer=${Totp.ISSUER}` +
+      `&digits=${Totp.DIGITS}&period=${Totp.PERIOD_SECONDS}`;
+  }
+
+  static base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    bytes.forEach(b => {
+      value = (value << 8) | (b & 0xff);
+      bits += 8;
+      while (bits >= 5) {
+        output += Totp.BASE32[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+    if (bits > 0) output += Totp.BASE32[(value << (5 - bits)) & 31];
+    return output;
+  }
+
+  static base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    String(text).toUpperCase().replace(/[\s=]/g, '').split('').forEach(c => {
+      const index = Totp.BASE32.indexOf(c);
+      if (index < 0) throw new Error('Secreto base32 inválido.');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push(Totp.toByte((value >>> (bits - 8)) & 0xff));
+        bits -= 8;
+      }
+    });
+    return bytes;
+  }
+
+  // Utilities trabaja con bytes con signo (-128..127).
+  static toByte(n) {
+    return n > 127 ? n - 256 : n;
+  }
+}
+Totp.BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+Totp.SECRET_BYTES = 20;
+Totp.DIGITS = 6;
+Totp.PERIOD_SECONDS = 30;
+Totp.WINDOW = 1;
+Totp.ISSUER = 'Conciliapp';
+
+class TwoFactorAuth {
+  static getSheet() {
+    return SheetManager.getSheet('SegundoFactor');
+  }
+
+  static column(name) {
+    return SheetManager.SHEET_CONFIG['SegundoFactor'].headers.indexOf(name) + 1;
+  }
+
+  /** true si el rol debe usar verificación en dos pasos. */
+  static isRequired(role) {
+    return AccessControl.hasPermission(role, 'seguridad.2fa');
+  }
+
+  /**
+   * Configuración de un usuario.
+   * @returns {{row: number, correo: string, secreto: number[], codigos: string[], ultimoPaso: number}|null}
+   */
+  static find(email) {
+    const correo = String(email || '').trim().toLowerCase();
+    const sheet = TwoFactorAuth.getSheet();
+    if (!correo || sheet.getLastRow() < 2) return null;
+    const width = SheetManager.SHEET_CONFIG['SegundoFactor'].headers.length;
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+    const index = values.findIndex(row => String(row[0]).trim().toLowerCase() === correo);
+    if (index < 0) return null;
+    const [, secreto, codigos, ultimoPaso] = values[index];
+    return {
+      row: index + 2,
+      correo,
+      secreto: TwoFactorAuth.decrypt(correo, String(secreto)),
+      codigos: String(codigos).split(',').filter(Boolean),
+      ultimoPaso: Number(ultimoPaso) || -1
+    };
+  }
+
+  static isEnrolled(email) {
+    return TwoFactorAuth.find(email) !== null;
+  }
+
+  /**
+   * Estado para Mi Cuenta.
+   * @param {Object} user El usuario de la sesión.
+   */
+  static status(user) {
+    const config = TwoFactorAuth.find(user.email);
+    return {
+      activo: !!config,
+      obligatorio: TwoFactorAuth.isRequired(user.role),
+      codigosRestantes: config ? config.codigos.length : 0
+    };
+  }
+
+  /**
+   * Verifica un código TOTP o, si no coincide, un código de recuperación (que se consume).
+   * @returns {{valid: boolean, recuperacion: boolean, restantes: number}}
+   */
+  static verify(email, codigo) {
+    const config = TwoFactorAuth.find(email);
+    if (!config) return { valid: false, recuperacion: false, restantes: 0 };
+    const step = Totp.verify(config.secreto, codigo, config.ultimoPaso);
+    if (step >= 0) {
+      TwoFactorAuth.getSheet().getRange(config.row, TwoFactorAuth.column('UltimoPaso')).setValue(step);
+      return { valid: true, recuperacion: false, restantes: config.codigos.length };
+    }
+    const hash = TwoFactorAuth.hashRecoveryCode(config.correo, codigo);
+    if (!config.codigos.includes(hash)) return { valid: false, recuperacion: false, restantes: config.codigos.length };
+    const restantes = config.codigos.filter(c => c !== hash);
+    TwoFactorAuth.getSheet().getRange(config.row, TwoFactorAuth.column('CodigosRecuperacion')).setValue(restantes.join(','));
+    AuditLog.record(config.correo, '2fa.recuperacion', 'Usuario', config.correo, null, null, { restantes: restantes.length });
+    return { valid: true, recuperacion: true, restantes: restantes.length };
+  }
+
+  /**
+   * Genera un secreto pendiente de confirmar para el usuario (vence a los ENROLLMENT_TTL_SECONDS).
+   * Si ya tiene la verificación activa debe desactivarla primero (lo que exige un código):
+   * con solo una sesión no se puede reemplazar el secreto.
+   * @returns {{secreto: string, uri: string}}
+   */
+  static beginEnrollment(email) {
+    const correo = String(email).trim().toLowerCase();
+    TwoFactorAuth.assertNotEnrolled(correo);
+    const secret = Totp.generateSecret();
+    CacheService.getScriptCache().put(TwoFactorAuth.enrollmentKey(correo), Totp.base32Encode(secret),
+      TwoFactorAuth.ENROLLMENT_TTL_SECONDS);
+    return { secreto: Totp.base32Encode(secret), uri: Totp.uri(correo, secret) };
+  }
+
+  /**
+   * Activa la verificación con el secreto pendiente si el código es correcto.
+   * @returns {string[]|null} Los códigos de recuperación, o null si el código no es válido.
+   */
+  static confirmEnrollment(email, codigo) {
+    const correo = String(email).trim().toLowerCase();
+    const cache = CacheService.getScriptCache();
+    const pendiente = cache.get(TwoFactorAuth.enrollmentKey(correo));
+    if (!pendiente) throw new Error('La activación venció. Vuelva a iniciarla.');
+    const secret = Totp.base32Decode(pendiente);
+    const step = Totp.verify(secret, codigo);
+    if (step < 0) return null;
+    TwoFactorAuth.assertNotEnrolled(correo);
+
+    const codigos = TwoFactorAuth.generateRecoveryCodes();
+    const row = [correo, TwoFactorAuth.encrypt(correo, secret),
+      codigos.map(c => TwoFactorAuth.hashRecoveryCode(correo, c)).join(','), step, new Date()];
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      TwoFactorAuth.assertNotEnrolled(correo);
+      TwoFactorAuth.getSheet().appendRow(row);
+    } finally {
+      lock.releaseLock();
+    }
+    cache.remove(TwoFactorAuth.enrollmentKey(correo));
+    AuditLog.record(correo, '2fa.activar', 'Usuario', correo);
+    return codigos;
+  }
+
+  static assertNotEnrolled(correo) {
+    if (TwoFactorAuth.find(correo)) {
+      throw new Error('La verificación en dos pasos ya está activa. Para configurar otro dispositivo, desactívela con un código válido o pida a un administrador que la restablezca.');
+    }
+  }
+
+  /**
+   * Reemplaza los códigos de recuperación (exige un código TOTP vigente).
+   * @param {Object} user El usuario de la sesión.
+   * @returns {string[]}
+   */
+  static regenerateRecoveryCodes(user, codigo) {
+    const config = TwoFactorAuth.find(user.email);
+    if (!config) throw new Error('La verificación en dos pasos no está activa.');
+    const step = Totp.verify(config.secreto, codigo, config.ultimoPaso);
+    if (step < 0) throw new Error('El código no es válido.');
+    const codigos = TwoFactorAuth.generateRecoveryCodes();
+    TwoFactorAuth.getSheet().getRange(config.row, TwoFactorAuth.column('CodigosRecuperacion'), 1, 2)
+      .setValues([[codigos.map(c => TwoFactorAuth.hashRecoveryCode(config.correo, c)).join(','), step]]);
+    AuditLog.record(user, '2fa.codigosRecuperacion', 'Usuario', config.correo);
+    return codigos;
+  }
+
+  /**
+   * Desactiva la verificación del propio usuario (exige un código válido y que no sea obligatoria).
+   * @param {Object} user El usuario de la sesión.
+   */
+  static disable(user, codigo) {
+    if (TwoFactorAuth.isRequired(user.role)) {
+      throw new Error('La verificación en dos pasos es obligatoria para su rol.');
+    }
+    if (!TwoFactorAuth.verify(user.email, codigo).valid) throw new Error('El código no es válido.');
+    TwoFactorAuth.remove(user.email);
+    AuditLog.record(user, '2fa.desactivar', 'Usuario', user.email);
+    return 'Verificación en dos pasos desactivada.';
+  }
+
+  /**
+   * Quita la configuración de un usuario que perdió su dispositivo y sus códigos. Si su rol la
+   * exige, la vuelve a configurar en el próximo login.
+   * @param {Object} admin El usuario de la sesión.
+   */
+  static reset(admin, email) {
+    const correo = String(email || '').trim().toLowerCase();
+    if (!TwoFactorAuth.remove(correo)) return `${correo} no tenía la verificación en dos pasos activa.`;
+    SessionStore.revoke(correo, null, admin.email);
+    AuditLog.record(admin, '2fa.restablecer', 'Usuario', correo);
+    return `Verificación en dos pasos de ${correo} restablecida.`;
+  }
+
+  static remove(email) {
+    const config = TwoFactorAuth.find(email);
+    if (!config) return false;
+    TwoFactorAuth.getSheet().deleteRow(config.row);
+    return true;
+  }
+
+  /**
+   * Desafío de login pendiente del segundo factor: guarda quién superó la contraseña y
+   * desde dónde, sin emitir todavía el token.
+   * @returns {string} Identificador del desafío.
+   */
+  static createChallenge(user, origen) {
+    const id = Utilities.getUuid();
+    CacheService.getScriptCache().put(`mfa_${id}`, JSON.stringify({ user, origen, intentos: 0 }),
+      TwoFactorAuth.CHALLENGE_TTL_SECONDS);
+    return id;
+  }
+
+  static getChallenge(id) {
+    return id ? JSON.parse(CacheService.getScriptCache().get(`mfa_${id}`) || 'null') : null;
+  }
+
+  /**
+   * Registra un código fallido; el desafío se descarta al llegar a CHALLENGE_MAX_ATTEMPTS.
+   * @returns {number} Intentos restantes.
+   */
+  static failChallenge(id, challenge) {
+    challenge.intentos += 1;
+    const restantes = TwoFactorAuth.CHALLENGE_MAX_ATTEMPTS - challenge.intentos;
+    if (restantes <= 0) {
+      TwoFactorAuth.clearChallenge(id);
+    } else {
+      CacheService.getScriptCache().put(`mfa_${id}`, JSON.stringify(challenge), TwoFactorAuth.CHALLENGE_TTL_SECONDS);
+    }
+    return restantes;
+  }
+
+  static clearChallenge(id) {
+    CacheService.getScriptCache().remove(`mfa_${id}`);
+  }
+
+  /** Códigos 'xxxxx-xxxxx' (hexadecimal) a partir de UUID aleatorios. */
+  static generateRecoveryCodes() {
+    return Array.from({ length: TwoFactorAuth.RECOVERY_CODES }, () => {
+      const hex = Utilities.getUuid().replace(/-/g, '');
+      return `${hex.slice(0, 5)}-${hex.slice(5, 10)}`;
+    });
+  }
+
+  static hashRecoveryCode(correo, codigo) {
+    const normalizado = String(codigo || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    return AccountService.hashCode(correo, `recuperacion:${normalizado}`);
+  }
+
+  // El secreto se guarda combinado (XOR) con HMAC(correo|nonce, AUTH_SECRET_KEY): quien solo
+  // lee la hoja no puede generar códigos.
+  static encrypt(correo, secret) {
+    const nonce = Utilities.getUuid();
+    const pad = TwoFactorAuth.pad(correo, nonce);
+    return `${nonce}$${Utilities.base64Encode(secret.map((b, i) => Totp.toByte((b ^ pad[i]) & 0xff)))}`;
+  }
+
+  static decrypt(correo, stored) {
+    const [nonce, data] = stored.split('$');
+    const pad = TwoFactorAuth.pad(correo, nonce);
+    return Utilities.base64Decode(data).map((b, i) => Totp.toByte((b ^ pad[i]) & 0xff));
+  }
+
+  static pad(correo, nonce) {
+    const secret = PropertiesService.getScriptProperties().getProperty(SECRET_KEY_PROPERTY);
+    return Utilities.computeHmacSha256Signature(`2fa|${correo}|${nonce}`, secret);
+  }
+
+  static enrollmentKey(correo) {
+    return `mfa_alta_${Utilities.base64EncodeWebSafe(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, correo))}`;
+  }
+}
+TwoFactorAuth.RECOVERY_CODES = 8;
+TwoFactorAuth.ENROLLMENT_TTL_SECONDS = 10 * 60;
+TwoFactorAuth.CHALLENGE_TTL_SECONDS = 5 * 60;
+TwoFactorAuth.CHALLENGE_MAX_ATTEMPTS = 5;